@@ -0,0 +1,186 @@
+"use strict";
+
+const TcpNet = require('./tcpNet.js');
+
+// Most peers remembered at once
+const MAX_SIZE = 100;
+
+// Peers that miss this many pings in a row are dropped
+const MAX_MISSED_PINGS = 3;
+
+/**
+ * Peers a miner has heard of, with enough history to tell which ones
+ * are still alive. Peers are found through the seeds in a config file
+ * and through other peers sharing their own address books.
+ */
+module.exports = class AddressBook {
+
+  static get MAX_SIZE() { return MAX_SIZE; }
+  static get MAX_MISSED_PINGS() { return MAX_MISSED_PINGS; }
+
+  /**
+   * @param {Object} obj - Address book settings.
+   * @param {int} [obj.maxSize] - Most peers remembered at once.
+   * @param {int} [obj.maxMissedPings] - Pings a peer may miss in a row before it is dropped.
+   * @param {Array} [obj.entries] - Peers saved by toJSON.
+   */
+  constructor({maxSize=MAX_SIZE, maxMissedPings=MAX_MISSED_PINGS, entries=[]} = {}) {
+    this.maxSize = maxSize;
+    this.maxMissedPings = maxMissedPings;
+
+    // Peers keyed by host and port
+    this.peers = new Map();
+    entries.forEach(({connection, address, lastSeen}) => {
+      this.add(connection, address);
+      this.peers.get(TcpNet.connectionKey(connection)).lastSeen = lastSeen || 0;
+    });
+  }
+
+  get size() { return this.peers.size; }
+
+  /**
+   * @param {Object} connection - Host and port of a peer
+   *
+   * @returns {boolean} - True if the peer is in the address book
+   */
+  has(connection) {
+    return this.peers.has(TcpNet.connectionKey(connection));
+  }
+
+  /**
+   * Remember a peer. When the address book is full, the peer heard from
+   * least recently is forgotten to make room.
+   *
+   * @param {Object} connection - Host and port of the peer
+   * @param {string} [address] - Address of the peer's miner, if known
+   *
+   * @returns {boolean} - True if the peer was not known before
+   */
+  add(connection, address) {
+    let key = TcpNet.connectionKey(connection);
+    let peer = this.peers.get(key);
+    if (peer !== undefined) {
+      if (address) peer.address = address;
+      return false;
+    }
+
+    if (this.peers.size >= this.maxSize) {
+      this.remove(this.stalest().connection);
+    }
+
+    let host = connection.host || connection.hostname;
+    this.peers.set(key, {
+      connection: host ? { host, port: connection.port } : { port: connection.port },
+      address,
+      lastSeen: 0,
+      missedPings: 0,
+      awaitingPong: false,
+    });
+    return true;
+  }
+
+  /**
+   * @returns {Object} - The peer that has missed the most pings, or that
+   *      was heard from least recently among those that missed as many.
+   */
+  stalest() {
+    let stalest;
+    this.peers.forEach((peer) => {
+      if (stalest === undefined || peer.missedPings > stalest.missedPings ||
+          (peer.missedPings === stalest.missedPings && peer.lastSeen < stalest.lastSeen)) {
+        stalest = peer;
+      }
+    });
+    return stalest;
+  }
+
+  /**
+   * Forget a peer.
+   *
+   * @param {Object} connection - Host and port of the peer
+   *
+   * @returns {Object | undefined} - The peer removed, if it was known
+   */
+  remove(connection) {
+    let key = TcpNet.connectionKey(connection);
+    let peer = this.peers.get(key);
+    this.peers.delete(key);
+    return peer;
+  }
+
+  /**
+   * Record that a peer answered, so it is alive.
+   *
+   * @param {Object} connection - Host and port of the peer
+   * @param {number} [now] - Current time in milliseconds
+   */
+  markSeen(connection, now=Date.now()) {
+    let peer = this.peers.get(TcpNet.connectionKey(connection));
+    if (peer === undefined) return;
+
+    peer.lastSeen = now;
+    peer.missedPings = 0;
+    peer.awaitingPong = false;
+  }
+
+  /**
+   * Start a new round of pings. Peers that did not answer the last
+   * round have a missed ping counted against them, and peers that
+   * missed too many in a row are removed.
+   *
+   * @returns {Array} - Peers removed for not answering
+   */
+  startPingRound() {
+    let dropped = [];
+    this.peers.forEach((peer, key) => {
+      if (peer.awaitingPong) {
+        peer.missedPings++;
+      }
+      peer.awaitingPong = true;
+
+      if (peer.missedPings >= this.maxMissedPings) {
+        this.peers.delete(key);
+        dropped.push(peer);
+      }
+    });
+    return dropped;
+  }
+
+  /**
+   * @returns {Array} - Host and port of every peer
+   */
+  connections() {
+    return Array.from(this.peers.values()).map((peer) => peer.connection);
+  }
+
+  /**
+   * Pick peers at random, preferring peers that have not missed a ping.
+   *
+   * @param {int} count - Most peers to return
+   * @param {boolean} [aliveOnly] - Only pick peers that answered their last ping
+   *
+   * @returns {Array} - Host and port of the peers picked
+   */
+  sample(count, aliveOnly=false) {
+    let peers = Array.from(this.peers.values());
+    if (aliveOnly) {
+      peers = peers.filter((peer) => peer.lastSeen > 0 && peer.missedPings === 0);
+    }
+    for (let i = peers.length - 1; i > 0; i--) {
+      let j = Math.floor(Math.random() * (i + 1));
+      [peers[i], peers[j]] = [peers[j], peers[i]];
+    }
+    peers.sort((a, b) => a.missedPings - b.missedPings);
+    return peers.slice(0, count).map((peer) => peer.connection);
+  }
+
+  /**
+   * Pack the address book for saving, leaving out ping state.
+   *
+   * @returns {Array} - Connection, address and last time seen of each peer
+   */
+  toJSON() {
+    return Array.from(this.peers.values()).map(({connection, address, lastSeen}) => ({connection, address, lastSeen}));
+  }
+
+}
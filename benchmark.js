@@ -0,0 +1,111 @@
+"use strict";
+
+const { utils } = require('spartan-gold');
+
+const BigNum = require('./bigNum.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const Prime = require('./prime.js');
+
+// Origin sizes measured, in bits
+const ORIGIN_BITS = [256, 512, 1024];
+
+// Default number of seconds spent on each origin size
+const DEFAULT_SECONDS = 5;
+
+
+/**
+ * Derive a number of the given bit length from hashes of a seed, so every
+ * run benchmarks the same origins.
+ *
+ * @param {string} seed - Seed for the hashes
+ * @param {int} bits - Bit length of number
+ *
+ * @returns {BigInteger} - Number with its top bit set
+ */
+function numberFromSeed(seed, bits) {
+  let n = BigNum.from(utils.hash(seed), 16);
+  while (n.bitLength() < bits) {
+    n = n.shiftLeft(256).add(BigNum.from(utils.hash(seed + n.bitLength()), 16));
+  }
+  return n.shiftRight(n.bitLength() - bits).setBit(bits - 1);
+}
+
+/**
+ * Run full chain tests (Fermat and Lifchitz tests of both Cunningham chains
+ * from an origin) on consecutive multipliers of the base primorial for a
+ * fixed amount of time.
+ *
+ * @param {int} bits - Bit length of origins
+ * @param {number} seconds - How long to run
+ *
+ * @returns {Object} - Number of chain tests, primes found, and elapsed seconds
+ */
+function benchmarkChainTests(bits, seconds) {
+  let base = numberFromSeed(`benchmark${bits}`, bits - 8);
+  let multiplier = Prime.BI_BASE_PRIMORIAL;
+  let tests = 0;
+  let primeOrigins = 0;
+  let start = Date.now();
+  let end = start + seconds * 1000;
+
+  while (Date.now() < end) {
+    let { chainLength } = Prime.findPrimeChain(base.multiply(multiplier));
+    if (chainLength >= 1) primeOrigins++;
+    multiplier = multiplier.add(Prime.BI_BASE_PRIMORIAL);
+    tests++;
+  }
+
+  return { tests, primeOrigins, elapsed: (Date.now() - start) / 1000 };
+}
+
+/**
+ * Time the Lifchitz test alone on a prime of the given size.
+ *
+ * @param {int} bits - Bit length of number tested
+ * @param {number} seconds - How long to run
+ *
+ * @returns {Object} - Number of tests and elapsed seconds
+ */
+function benchmarkLifchitzTests(bits, seconds) {
+  let p = numberFromSeed(`lifchitz${bits}`, bits).setBit(0);
+  let tests = 0;
+  let start = Date.now();
+  let end = start + seconds * 1000;
+
+  while (Date.now() < end) {
+    Prime.eulerLagrangePrimalityTest(p, PrimeBlockchain.CUNNINGHAM_CHAIN_1);
+    tests++;
+  }
+
+  return { tests, elapsed: (Date.now() - start) / 1000 };
+}
+
+let seconds = process.argv[2] ? parseFloat(process.argv[2]) : DEFAULT_SECONDS;
+if (process.argv.length > 3 || !(seconds > 0)) {
+  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} [seconds per origin size and backend]`);
+  process.exit(1);
+}
+
+console.log(`Benchmarking prime chain tests for ${seconds} seconds per origin size and big integer backend.`);
+let results = new Map();
+BigNum.BACKENDS.forEach((backend) => {
+  BigNum.use(backend);
+  console.log();
+  console.log(`${backend} backend:`);
+  ORIGIN_BITS.forEach((bits) => {
+    let chains = benchmarkChainTests(bits, seconds / 2);
+    let lifchitz = benchmarkLifchitzTests(bits, seconds / 2);
+    let chainRate = chains.tests / chains.elapsed;
+    results.set(`${backend}${bits}`, chainRate);
+    console.log(`  ${bits} bit origins:`);
+    console.log(`    chain tests: ${chains.tests} in ${chains.elapsed}s, ${chainRate.toFixed(2)} per second (${chains.primeOrigins} started with a prime)`);
+    console.log(`    Lifchitz tests: ${lifchitz.tests} in ${lifchitz.elapsed}s, ${(lifchitz.tests / lifchitz.elapsed).toFixed(2)} per second`);
+  });
+});
+
+console.log();
+console.log(`Chain tests per second, ${BigNum.NATIVE} relative to ${BigNum.JSBN}:`);
+ORIGIN_BITS.forEach((bits) => {
+  let ratio = results.get(`${BigNum.NATIVE}${bits}`) / results.get(`${BigNum.JSBN}${bits}`);
+  console.log(`  ${bits} bit origins: ${ratio.toFixed(2)}x`);
+});
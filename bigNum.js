@@ -0,0 +1,100 @@
+"use strict";
+
+const JsbnBigInteger = require('jsbn').BigInteger;
+const NativeBigInteger = require('./nativeBigInteger.js');
+
+// Names of available backends
+const JSBN = "jsbn";
+const NATIVE = "native";
+
+// Digits of every radix up to 36, in order
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+const BACKENDS = new Map([
+  [JSBN, JsbnBigInteger],
+  [NATIVE, NativeBigInteger],
+]);
+
+// Backend in use, and constants already created for each backend
+let backend = JSBN;
+let constants = new Map([...BACKENDS.keys()].map((name) => [name, new Map()]));
+
+/**
+ * Chooses the big integer implementation used by the prime routines.
+ * Every backend implements the same subset of the jsbn BigInteger
+ * interface, and numbers should only be created through this class so
+ * that the backend can be selected once at startup. Numbers from
+ * different backends must not be mixed.
+ */
+module.exports = class BigNum {
+
+  static get JSBN() { return JSBN; }
+  static get NATIVE() { return NATIVE; }
+  static get BACKENDS() { return [...BACKENDS.keys()]; }
+
+  // Name of the backend in use
+  static get backend() { return backend; }
+
+  // Big integer class of the backend in use
+  static get BigInteger() { return BACKENDS.get(backend); }
+
+  /**
+   * Select the backend used for all numbers created from now on.
+   *
+   * @param {string} name - BigNum.JSBN or BigNum.NATIVE
+   */
+  static use(name) {
+    if (!BACKENDS.has(name)) {
+      throw new Error(`Unknown big integer backend ${name}, expected one of ${BigNum.BACKENDS.join(", ")}.`);
+    }
+    backend = name;
+  }
+
+  /**
+   * Create a big integer with the backend in use. A string must hold
+   * nothing but digits of the radix: the backends disagree on signs,
+   * prefixes such as 0x, whitespace and stray characters, and every node
+   * must read the same number from a block whatever its backend.
+   *
+   * @param {string | number} value - Value of the number
+   * @param {int} [radix] - Radix of value when it is a string
+   *
+   * @returns {BigInteger} - New number
+   */
+  static from(value, radix=10) {
+    if (typeof value === 'string' && !BigNum.isDigits(value, radix)) {
+      throw new Error(`Invalid number "${value}" in radix ${radix}.`);
+    }
+    let BigInteger = BACKENDS.get(backend);
+    return new BigInteger(value.toString(radix), radix);
+  }
+
+  /**
+   * @param {string} s - String to check
+   * @param {int} [radix] - Radix of the digits
+   *
+   * @returns {boolean} - True if s is one or more digits of radix, in either case
+   */
+  static isDigits(s, radix=10) {
+    return typeof s === 'string' && new RegExp(`^[${DIGITS.substring(0, radix)}]+$`, 'i').test(s);
+  }
+
+  /**
+   * Like BigNum.from, but returns the same instance every time for the
+   * backend in use. Only for numbers that are never modified.
+   *
+   * @param {string | number} value - Value of the number
+   * @param {int} [radix] - Radix of value when it is a string
+   *
+   * @returns {BigInteger} - Shared number
+   */
+  static constant(value, radix=10) {
+    let cache = constants.get(backend);
+    let key = `${radix}:${value}`;
+    if (!cache.has(key)) {
+      cache.set(key, BigNum.from(value, radix));
+    }
+    return cache.get(key);
+  }
+
+}
@@ -0,0 +1,92 @@
+"use strict";
+
+const ChainType = require('./chainType.js');
+const Prime = require('./prime.js');
+
+/**
+ * Bitwin chain, made of the two Cunningham chains of the first and second
+ * kind sharing an origin. Its length is combined from theirs the way
+ * Primecoin does it, see Prime.bitwinChainLength.
+ */
+module.exports = class BitwinChain extends ChainType {
+
+  /**
+   * @param {Object} obj - The properties of the chain type, see ChainType.
+   * @param {CunninghamChain} obj.first - Chain of the first kind, from origin - 1.
+   * @param {CunninghamChain} obj.second - Chain of the second kind, from origin + 1.
+   */
+  constructor({name, label, first, second}) {
+    super({name, label});
+    this.first = first;
+    this.second = second;
+  }
+
+  /**
+   * Lengths of the two Cunningham chains already found from the origin are
+   * used instead of searching for them again.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length at which the search may stop
+   * @param {Map} [found] - Lengths already found from this origin, by name
+   *
+   * @returns {number} - Fractional length of the bitwin chain
+   */
+  search(origin, target, found=new Map()) {
+    let firstChainLength = found.has(this.first.name) ? found.get(this.first.name) : this.first.search(origin, target);
+    let secondChainLength = found.has(this.second.name) ? found.get(this.second.name) : this.second.search(origin, target);
+    return Prime.bitwinChainLength(firstChainLength, secondChainLength);
+  }
+
+  /**
+   * Each of the two Cunningham chains can reach the longest length a
+   * search to target finds, and the bitwin length counts both.
+   *
+   * @param {number} target - Chain length at which the search may stop
+   *
+   * @returns {int} - Largest fractional length the search returns
+   */
+  maxLength(target) {
+    return 2 * Math.max(this.first.maxLength(target), this.second.maxLength(target));
+  }
+
+  /**
+   * A bitwin chain alternates between the members of its two Cunningham
+   * chains, starting with the first kind.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {int} count - Number of primes in the chain
+   *
+   * @returns {Array} - The first count numbers of the chain
+   */
+  members(origin, count) {
+    return this.alternate(this.first.members(origin, Math.ceil(count / 2)),
+      this.second.members(origin, Math.floor(count / 2)), count);
+  }
+
+  /**
+   * @param {int} q - Small prime that does not divide the base primorial
+   * @param {int} count - Number of members
+   *
+   * @returns {Array} - Origin mod q for each member, or null for a member q never divides
+   */
+  divisibleOrigins(q, count) {
+    return this.alternate(this.first.divisibleOrigins(q, Math.ceil(count / 2)),
+      this.second.divisibleOrigins(q, Math.floor(count / 2)), count);
+  }
+
+  /**
+   * @param {Array} first - Values for the members of the chain of the first kind
+   * @param {Array} second - Values for the members of the chain of the second kind
+   * @param {int} count - Number of members
+   *
+   * @returns {Array} - The values in the order of the bitwin chain's members
+   */
+  alternate(first, second, count) {
+    let values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(i % 2 === 0 ? first[i / 2] : second[(i - 1) / 2]);
+    }
+    return values;
+  }
+
+}
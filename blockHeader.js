@@ -0,0 +1,129 @@
+"use strict";
+
+const { utils } = require('spartan-gold');
+
+const BlockValidator = require('./blockValidator.js');
+const MerkleTree = require('./merkleTree.js');
+
+/**
+ * What a light client keeps of a block: the fields that link it into the
+ * chain and set its difficulty, its prime chain proof, and the work of the
+ * chain up to it. Transactions and balances are dropped once the block has
+ * been checked, but the Merkle root of the transactions is kept, so a peer
+ * can later prove that a transaction is in the block.
+ */
+module.exports = class BlockHeader {
+
+  /**
+   * Hash of the fields of a block header, other than for the genesis
+   * block. The proof is left out, since it is found for this hash.
+   *
+   * @param {PrimeBlock | BlockHeader} block - Block or header to hash
+   *
+   * @returns {String} - Cryptographic hash of the block header
+   */
+  static hash(block) {
+    let o = {
+      chainLength: block.chainLength,
+      timestamp: block.timestamp,
+      transactionsRoot: block.transactionsRoot,
+      prevBlockHash: block.prevBlockHash,
+      target: block.target,
+      primeNonce: block.primeNonce,
+      rewardAddr: block.rewardAddr,
+    };
+    return utils.hash(JSON.stringify(o));
+  }
+
+  /**
+   * @param {PrimeBlock} block - Block that has been checked
+   * @param {string} [headerHash] - Hash of the block header, if already computed
+   *
+   * @returns {BlockHeader} - Header of the block
+   */
+  static fromBlock(block, headerHash=block.hashHeader()) {
+    return new BlockHeader({
+      id: block.id,
+      prevBlockHash: block.prevBlockHash,
+      chainLength: block.chainLength,
+      timestamp: block.timestamp,
+      target: block.target,
+      headerHash,
+      transactionsRoot: block.isGenesisBlock() ? undefined : block.transactionsRoot,
+      primeNonce: block.primeNonce,
+      primeMultiplier: block.isGenesisBlock() ? undefined : block.primeMultiplier.toString(),
+      primeChainLength: block.primeChainLength,
+      primeChainType: block.primeChainType,
+      rewardAddr: block.rewardAddr,
+      totalWork: block.totalWork,
+    });
+  }
+
+  /**
+   * @param {Object} obj - Fields of the header, as returned by toJSON.
+   */
+  constructor({id, prevBlockHash, chainLength, timestamp, target, headerHash,
+      transactionsRoot, primeNonce, primeMultiplier, primeChainLength, primeChainType, rewardAddr, totalWork=0}) {
+    this.id = id;
+    this.prevBlockHash = prevBlockHash;
+    this.chainLength = chainLength;
+    this.timestamp = timestamp;
+    this.target = target;
+    this.headerHash = headerHash;
+    this.transactionsRoot = transactionsRoot;
+    this.primeNonce = primeNonce;
+    this.primeMultiplier = primeMultiplier;
+    this.primeChainLength = primeChainLength;
+    this.primeChainType = primeChainType;
+    this.rewardAddr = rewardAddr;
+    this.totalWork = totalWork;
+  }
+
+  /**
+   * @returns {boolean} - True if this is the header of the genesis block
+   */
+  isGenesisBlock() {
+    return this.chainLength === 0;
+  }
+
+  /**
+   * Hash the header again from its fields. The genesis header keeps the
+   * hash of its block, which covers balances the header does not hold.
+   *
+   * @returns {String} - Cryptographic hash of the block header
+   */
+  hashHeader() {
+    return this.isGenesisBlock() ? this.headerHash : BlockHeader.hash(this);
+  }
+
+  /**
+   * Check the proof of the header, as PrimeBlock.hasValidProof does for
+   * a whole block.
+   *
+   * @returns {boolean} - Whether proof is correct or not
+   */
+  hasValidProof() {
+    return BlockValidator.checkProof(this) === null;
+  }
+
+  /**
+   * Check a proof from PrimeBlock.proveTransaction against the
+   * transactions root of this header.
+   *
+   * @param {string} txId - Id of the transaction
+   * @param {Array} proof - Merkle proof for the transaction
+   *
+   * @returns {boolean} - True if the transaction is in the block
+   */
+  verifyTransactionProof(txId, proof) {
+    return this.transactionsRoot !== undefined && MerkleTree.verify(txId, proof, this.transactionsRoot);
+  }
+
+  /**
+   * @returns {Object} - Fields of the header
+   */
+  toJSON() {
+    return Object.assign({}, this);
+  }
+
+}
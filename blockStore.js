@@ -0,0 +1,135 @@
+"use strict";
+
+const fs = require('fs');
+const { utils } = require('spartan-gold');
+
+/**
+ * Append-only file of accepted blocks, one per line. Each line holds a
+ * checksum of the serialized block followed by the block itself, and
+ * every append is flushed to disk before returning. A crash in the middle
+ * of an append can only leave a damaged last line, which is cut off the
+ * next time the store is opened.
+ */
+module.exports = class BlockStore {
+
+  /**
+   * Open a block store, creating the file if it does not exist yet.
+   * Blocks already in the file are read into the blocks property.
+   *
+   * @param {string} fileName - Path of the file holding the blocks
+   */
+  constructor(fileName) {
+    this.fileName = fileName;
+    this.blocks = this.recover();
+    this.fd = fs.openSync(fileName, 'a');
+  }
+
+  /**
+   * Read every intact block in the file. Reading stops at the first line
+   * that is incomplete or fails its checksum, and the file is truncated
+   * there so that new blocks are appended after the last good one.
+   *
+   * @returns {Array} - Blocks in the order they were appended, as plain objects
+   */
+  recover() {
+    this.size = 0;
+    if (!fs.existsSync(this.fileName)) {
+      return [];
+    }
+
+    let data = fs.readFileSync(this.fileName);
+    let blocks = [];
+    while (this.size < data.length) {
+      let end = data.indexOf('\n', this.size);
+      if (end === -1) break;
+
+      let o = BlockStore.parseRecord(data.toString('utf8', this.size, end));
+      if (o === null) break;
+
+      blocks.push(o);
+      this.size = end + 1;
+    }
+
+    if (this.size < data.length) {
+      fs.truncateSync(this.fileName, this.size);
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Convert a line of the file back into a block object.
+   *
+   * @param {string} line - Line without its trailing newline
+   *
+   * @returns {Object | null} - The block, or null if the line is damaged
+   */
+  static parseRecord(line) {
+    let separator = line.indexOf(' ');
+    if (separator === -1) {
+      return null;
+    }
+
+    let checksum = line.substring(0, separator);
+    let json = line.substring(separator + 1);
+    if (utils.hash(json) !== checksum) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a block to the end of the file and wait for it to reach the
+   * disk. If the write fails partway, the file is cut back to its previous
+   * length so later blocks are not stored behind a damaged line.
+   *
+   * @param {Block} block - Block to store
+   */
+  append(block) {
+    let json = block.serialize();
+    let record = Buffer.from(`${utils.hash(json)} ${json}\n`);
+    try {
+      fs.writeSync(this.fd, record);
+      fs.fsyncSync(this.fd);
+    } catch (e) {
+      fs.ftruncateSync(this.fd, this.size);
+      throw e;
+    }
+    this.size += record.length;
+  }
+
+  /**
+   * Load the stored blocks into a client. The first stored block must be
+   * the client's genesis block. The rest go through receiveBlock, so they
+   * are validated again just like blocks from the network. A new store
+   * starts with the client's genesis block.
+   *
+   * @param {Client} client - PrimeClient or PrimeMiner holding only its genesis block
+   */
+  replay(client) {
+    let [genesis, ...rest] = this.blocks;
+    if (genesis === undefined) {
+      this.append(client.lastBlock);
+    }else if (utils.hash(JSON.stringify(genesis)) !== client.lastBlock.id) {
+      throw new Error(`Block store ${this.fileName} was started from a different genesis block.`);
+    }
+
+    rest.forEach((o) => client.receiveBlock(o));
+
+    // Nothing else needs the objects once they are in the client
+    this.blocks = [];
+  }
+
+  /**
+   * Close the file. No blocks can be appended afterwards.
+   */
+  close() {
+    fs.closeSync(this.fd);
+  }
+
+}
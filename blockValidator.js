@@ -0,0 +1,340 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+const ChainTypes = require('./chainTypes.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeDifficulty = require('./primeDifficulty.js');
+const Prime = require('./prime.js');
+
+// Reasons a block is rejected
+const DUPLICATE_BLOCK = "DUPLICATE_BLOCK";
+const DUPLICATE_HEADER = "DUPLICATE_HEADER";
+const HEADER_HASH_TOO_LOW = "HEADER_HASH_TOO_LOW";
+const TARGET_NOT_ALLOWED = "TARGET_NOT_ALLOWED";
+const CHAIN_TOO_SHORT = "CHAIN_TOO_SHORT";
+const BAD_MULTIPLIER = "BAD_MULTIPLIER";
+const BAD_CHAIN_TYPE = "BAD_CHAIN_TYPE";
+const COMPOSITE_CHAIN_MEMBER = "COMPOSITE_CHAIN_MEMBER";
+const BAD_CHAIN_LENGTH = "BAD_CHAIN_LENGTH";
+const MISSING_PARENT = "MISSING_PARENT";
+const BAD_HEIGHT = "BAD_HEIGHT";
+const TIMESTAMP_TOO_OLD = "TIMESTAMP_TOO_OLD";
+const TIMESTAMP_IN_FUTURE = "TIMESTAMP_IN_FUTURE";
+const UNEXPECTED_TARGET = "UNEXPECTED_TARGET";
+const INVALID_TRANSACTIONS = "INVALID_TRANSACTIONS";
+
+// Emitted by the client for every block it stores, and every block it turns down
+const BLOCK_ACCEPTED = "BLOCK_ACCEPTED";
+const BLOCK_REJECTED = "BLOCK_REJECTED";
+
+/**
+ * Checks blocks for a client before they are stored, and stores the ones
+ * that pass. PrimeClient and PrimeMiner both receive blocks through it.
+ * The checks run in order, cheapest first: the block must be new, the
+ * proof must hold up (see checkProof), the block must link to a stored
+ * parent at the next height, be stamped later than the median time of
+ * the blocks before it but not too far ahead of the client's clock, use
+ * the target dictated by the chain's history, and its transactions must
+ * rerun on top of the parent.
+ *
+ * A failed check gives a rejection with one of the reasons above and a
+ * message. A block whose parent is missing is not rejected, but kept
+ * until the parent arrives.
+ */
+module.exports = class BlockValidator {
+
+  static get DUPLICATE_BLOCK() { return DUPLICATE_BLOCK; }
+  static get DUPLICATE_HEADER() { return DUPLICATE_HEADER; }
+  static get HEADER_HASH_TOO_LOW() { return HEADER_HASH_TOO_LOW; }
+  static get TARGET_NOT_ALLOWED() { return TARGET_NOT_ALLOWED; }
+  static get CHAIN_TOO_SHORT() { return CHAIN_TOO_SHORT; }
+  static get BAD_MULTIPLIER() { return BAD_MULTIPLIER; }
+  static get BAD_CHAIN_TYPE() { return BAD_CHAIN_TYPE; }
+  static get COMPOSITE_CHAIN_MEMBER() { return COMPOSITE_CHAIN_MEMBER; }
+  static get BAD_CHAIN_LENGTH() { return BAD_CHAIN_LENGTH; }
+  static get MISSING_PARENT() { return MISSING_PARENT; }
+  static get BAD_HEIGHT() { return BAD_HEIGHT; }
+  static get TIMESTAMP_TOO_OLD() { return TIMESTAMP_TOO_OLD; }
+  static get TIMESTAMP_IN_FUTURE() { return TIMESTAMP_IN_FUTURE; }
+  static get UNEXPECTED_TARGET() { return UNEXPECTED_TARGET; }
+  static get INVALID_TRANSACTIONS() { return INVALID_TRANSACTIONS; }
+  static get BLOCK_ACCEPTED() { return BLOCK_ACCEPTED; }
+  static get BLOCK_REJECTED() { return BLOCK_REJECTED; }
+
+  /**
+   * @param {string} reason - One of the reasons above
+   * @param {string} message - Description of the problem
+   *
+   * @returns {Object} - Rejection with the reason and message
+   */
+  static rejection(reason, message) {
+    return { reason, message };
+  }
+
+  /**
+   * Check a block's proof of work, which needs nothing but the block.
+   *
+   * 1. The block header hash must be at least the minimum.
+   * 2. The target must be within the range allowed by retargeting.
+   * 3. The prime chain length claimed must meet the target.
+   * 4. The multiplier must be a positive multiple of the base primorial,
+   *    the only multipliers the miner uses.
+   * 5. The chain type must be enabled on the network.
+   * 6. The length claimed must be no longer than a search stopping at
+   *    the target can find, so that a made-up length cannot make the
+   *    check build and test a huge chain.
+   * 7. Every member of the chain claimed must pass the Fermat test.
+   * 8. Searching the origin the way the miner does must find exactly the
+   *    chain type and length claimed, so that the proof for a block
+   *    header cannot be changed without changing the origin.
+   *
+   * @param {PrimeBlock | BlockHeader} block - Block or header to check
+   *
+   * @returns {Object | null} - Rejection, or null if the proof is valid
+   */
+  static checkProof(block) {
+    let blockHeaderHash = BigNum.from(block.hashHeader(), 16);
+    if (blockHeaderHash.compareTo(PrimeBlockchain.BLOCK_HEADER_HASH_MIN) < 0) {
+      return BlockValidator.rejection(HEADER_HASH_TOO_LOW,
+        `Block header hash has fewer than ${PrimeBlockchain.BLOCK_HEADER_HASH_MIN_BITS + 1} bits.`);
+    }
+
+    if (!PrimeDifficulty.isAllowedTarget(block.target)) {
+      return BlockValidator.rejection(TARGET_NOT_ALLOWED, `Target ${block.target} is out of range.`);
+    }
+
+    if (!(block.primeChainLength >= block.target)) {
+      return BlockValidator.rejection(CHAIN_TOO_SHORT,
+        `Prime chain length ${block.primeChainLength} does not meet target ${block.target}.`);
+    }
+
+    // Headers keep the multiplier as a string, which must be decimal
+    // digits for every backend to read the same number from it
+    let digits = String(block.primeMultiplier);
+    let multiplier = BigNum.isDigits(digits) ? BigNum.from(digits) : null;
+    if (multiplier === null || multiplier.signum() <= 0 || multiplier.mod(Prime.BI_BASE_PRIMORIAL).signum() !== 0) {
+      return BlockValidator.rejection(BAD_MULTIPLIER,
+        `Multiplier ${digits} is not a positive multiple of ${PrimeBlockchain.BASE_PRIMORIAL}.`);
+    }
+
+    if (!PrimeBlockchain.CHAIN_TYPES.includes(block.primeChainType)) {
+      return BlockValidator.rejection(BAD_CHAIN_TYPE, `Chain type ${block.primeChainType} is not accepted.`);
+    }
+
+    let type = ChainTypes.get(block.primeChainType);
+    let maxLength = type.maxLength(block.target);
+    if (!(block.primeChainLength <= maxLength)) {
+      return BlockValidator.rejection(BAD_CHAIN_LENGTH,
+        `Prime chain length ${block.primeChainLength} is longer than the ${maxLength} a search to target ${block.target} finds.`);
+    }
+
+    let origin = blockHeaderHash.multiply(multiplier);
+    let members;
+    try {
+      members = type.build(origin, block.primeChainLength);
+    } catch (e) {
+      return BlockValidator.rejection(BAD_CHAIN_LENGTH, e.message);
+    }
+    let composite = members.findIndex((n) => !Prime.fermatPrimalityTest(n));
+    if (composite !== -1) {
+      return BlockValidator.rejection(COMPOSITE_CHAIN_MEMBER, `Member ${composite + 1} of the chain is composite.`);
+    }
+
+    let { chainLength, chainType } = Prime.findPrimeChain(origin, block.target);
+    if (chainType !== block.primeChainType) {
+      return BlockValidator.rejection(BAD_CHAIN_TYPE, `The origin's best chain is of type ${chainType}.`);
+    }
+    if (chainLength !== block.primeChainLength) {
+      return BlockValidator.rejection(BAD_CHAIN_LENGTH, `The origin's chain has length ${chainLength}.`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Median of the timestamps of a block and the blocks before it, up to
+   * PrimeBlockchain.MEDIAN_TIME_SPAN blocks in all. A block following it
+   * must have a later timestamp, so timestamps cannot be moved back by
+   * more than a few blocks, whatever a miner's clock says.
+   *
+   * @param {PrimeBlock} block - Last block to include
+   * @param {Map} blocks - Map of block hashes to blocks containing all ancestors of block
+   *
+   * @returns {number} - Median timestamp
+   */
+  static medianTimePast(block, blocks) {
+    let timestamps = [block.timestamp];
+    while (!block.isGenesisBlock() && timestamps.length < PrimeBlockchain.MEDIAN_TIME_SPAN) {
+      block = blocks.get(block.prevBlockHash);
+      if (block === undefined) break;
+      timestamps.push(block.timestamp);
+    }
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  /**
+   * @param {PrimeClient | PrimeMiner} client - Client to check and store blocks for,
+   *      whose clock is used for the latest timestamp allowed
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Run every check on a block received by the client. Nothing is stored,
+   * but if all checks pass the block's transactions have been rerun on
+   * top of its parent and its total work is set.
+   *
+   * @param {PrimeBlock} block - Block to check
+   * @param {boolean} [proofChecked] - True if the block's proof was already checked,
+   *      as ChainSync does for downloaded blocks.
+   *
+   * @returns {Object | null} - Rejection, or null if the block is valid
+   */
+  validate(block, proofChecked=false) {
+    let client = this.client;
+
+    if (client.blocks.has(block.id)) {
+      return BlockValidator.rejection(DUPLICATE_BLOCK, `Block ${block.id} is already stored.`);
+    }
+
+    // Reject a second proof for a block header already stored, such as a
+    // copy of another block with its proof swapped out.
+    let headerHash = block.hashHeader();
+    if (client.headerHashes.has(headerHash)) {
+      return BlockValidator.rejection(DUPLICATE_HEADER,
+        `Block ${block.id} has the same header as block ${client.headerHashes.get(headerHash)}.`);
+    }
+
+    // Anything else only applies to blocks after the genesis block.
+    if (block.isGenesisBlock()) return null;
+
+    if (!proofChecked) {
+      let rejection = BlockValidator.checkProof(block);
+      if (rejection !== null) return rejection;
+    }
+
+    let prevBlock = client.blocks.get(block.prevBlockHash);
+    if (prevBlock === undefined) {
+      return BlockValidator.rejection(MISSING_PARENT, `Parent ${block.prevBlockHash} of block ${block.id} is missing.`);
+    }
+
+    if (block.chainLength !== prevBlock.chainLength + 1) {
+      return BlockValidator.rejection(BAD_HEIGHT,
+        `Block ${block.id} has height ${block.chainLength}, but its parent has height ${prevBlock.chainLength}.`);
+    }
+
+    let medianTime = BlockValidator.medianTimePast(prevBlock, client.blocks);
+    if (!(block.timestamp > medianTime)) {
+      return BlockValidator.rejection(TIMESTAMP_TOO_OLD,
+        `Block ${block.id} has timestamp ${block.timestamp}, not after the median time ${medianTime} of the blocks before it.`);
+    }
+    let latest = client.clock() + PrimeBlockchain.MAX_FUTURE_DRIFT;
+    if (block.timestamp > latest) {
+      return BlockValidator.rejection(TIMESTAMP_IN_FUTURE,
+        `Block ${block.id} has timestamp ${block.timestamp}, more than ${PrimeBlockchain.MAX_FUTURE_DRIFT}ms in the future.`);
+    }
+
+    // Make sure the block uses the target dictated by the chain's history.
+    let target = PrimeDifficulty.nextTarget(prevBlock, client.blocks);
+    if (block.target !== target) {
+      return BlockValidator.rejection(UNEXPECTED_TARGET, `Block ${block.id} has target ${block.target} instead of ${target}.`);
+    }
+
+    if (!block.rerun(prevBlock)) {
+      return BlockValidator.rejection(INVALID_TRANSACTIONS, `Block ${block.id} has invalid transactions.`);
+    }
+    block.totalWork = prevBlock.totalWork + PrimeDifficulty.blockWork(block);
+
+    return null;
+  }
+
+  /**
+   * Copied from Client, but uses PrimeBlockchain's deserializeBlock() and
+   * the checks of validate. Also saves proof-of-work prime chain info to
+   * the client's primeChains. Prime chain info can be saved to a file from
+   * the CLI by running tcpPrimeMiner.js
+   *
+   * A valid block is stored, possibly becoming the new head, and the client
+   * emits BLOCK_ACCEPTED with it. Otherwise the client emits BLOCK_REJECTED
+   * with the block and the rejection.
+   *
+   * If a block cannot be connected to an existing block but seems otherwise
+   * valid, it is added to the client's pending blocks and a request is sent
+   * out to get the missing block from other clients.
+   *
+   * @param {Block | Object} block - The block to add to the client's list of available blocks.
+   * @param {boolean} [proofChecked] - True if the block's proof was already checked.
+   *
+   * @returns {Block | null} - The block with rerun transactions, or null if it was not stored.
+   */
+  receiveBlock(block, proofChecked=false) {
+    let client = this.client;
+
+    // If the block is a string, then deserialize it.
+    block = PrimeBlockchain.deserializeBlock(block);
+
+    let rejection = this.validate(block, proofChecked);
+    if (rejection !== null && rejection.reason === MISSING_PARENT) {
+      let stuckBlocks = client.pendingBlocks.get(block.prevBlockHash);
+
+      // If this is the first time that we have identified this block as missing,
+      // send out a request for the block.
+      if (stuckBlocks === undefined) {
+        client.requestMissingBlock(block);
+        stuckBlocks = new Set();
+      }
+      stuckBlocks.add(block);
+
+      client.pendingBlocks.set(block.prevBlockHash, stuckBlocks);
+      return null;
+    }else if (rejection !== null) {
+      // Blocks already stored arrive again all the time, so are not logged
+      if (rejection.reason !== DUPLICATE_BLOCK) {
+        client.log(rejection.message);
+      }
+      client.emit(BLOCK_REJECTED, { block, reason: rejection.reason, message: rejection.message });
+      return null;
+    }
+
+    // Storing the block.
+    let headerHash = block.hashHeader();
+    client.blocks.set(block.id, block);
+    client.headerHashes.set(headerHash, block.id);
+    if (client.blockStore) {
+      client.blockStore.append(block);
+    }
+
+    // Storing the prime chain info
+    client.primeChains.push({
+      blockNumber: block.chainLength,
+      blockHash: block.hashVal(),
+      blockHeaderHash: headerHash,
+      primeMultiplier: block.primeMultiplier.toString(),
+      primeChainLength: block.primeChainLength,
+      primeChainType: block.primeChainType,
+    });
+
+    // If its chain has more work than the client's current chain, set
+    // that as the new head, and update the lastConfirmedBlock.
+    if (PrimeDifficulty.isBetterHead(block, client.lastBlock)) {
+      client.lastBlock = block;
+      client.setLastConfirmed();
+    }
+    client.emit(BLOCK_ACCEPTED, block);
+
+    // Go through any blocks that were waiting for this block
+    // and recursively call receiveBlock.
+    let unstuckBlocks = client.pendingBlocks.get(block.id) || [];
+    // Remove these blocks from the pending set.
+    client.pendingBlocks.delete(block.id);
+    unstuckBlocks.forEach((b) => {
+      client.log(`Processing unstuck block ${b.id}`);
+      client.receiveBlock(b);
+    });
+
+    return block;
+  }
+
+}
@@ -1,121 +1,184 @@
 "use strict";
 
-const { readFileSync, writeFileSync } = require('fs');
-const BigInteger = require('jsbn').BigInteger;
+const { existsSync, realpathSync, writeFileSync } = require('fs');
+const path = require('path');
 
-const PrimeBlockchain = require('./primeBlockchain.js');
-const Prime = require('./prime.js');
+const ChainExporter = require('./chainExporter.js');
+const CommandLine = require('./commandLine.js');
+const Primality = require('./primality.js');
 
+const USAGE = `Usage: node buildPrimeChains.js [options] <primes.json>
+       node buildPrimeChains.js [options] <chains.log>...
+
+Builds the full prime chains from a prime JSON file saved by tcpPrimeMiner.js,
+or from chain logs written by a miner with a chain log, oldest first. Chains
+built before, in the json or ndjson format, can be read again and give the
+same output. The input files are never changed.
+
+Options:
+  --format <format>        One of ${ChainExporter.FORMATS.join(", ")} (default json)
+  -o, --output <file>      Write the chains to file instead of printing them
+  --verify                 Test every number of every chain for primality
+                           instead of building the chains
+  -h, --help               Show this help
+`;
 
 /**
- * Reconstruct prime chain accoridng to length and type. Chain is
- * represented as a string with prime numbers delimited by commas.
+ * Test every number of every chain with Primality.isPrime, printing a line
+ * for each chain and a summary at the end. Bad records are reported as
+ * failures, and checking carries on with the next one.
  *
- * @param {BigInteger} origin - chain origin number
- * @param {int} chainLength - length of prime chain
- * @param {string} chainType - type of prime chain
+ * @param {Array} records - records read by ChainExporter.readRecords
  *
- * @returns {string} - prime chain numbers delimited by commas
+ * @returns {int} - number of chains that failed
  */
-function buildChain(origin, chainLength, chainType) {
-  let primeChain = [];
-  
-  // Error for chain length of 0
-  if (chainLength < 1) {
-    console.error("Invalid chain, chain length less than 1");
-    process.exit();
-  }
+function verifyChains(records) {
+  let summary = new Map();
+  let passed = 0;
+  let failed = 0;
+
+  records.forEach((record, index) => {
+    let label = `record ${index + 1}`;
+    let type = "???";
+    try {
+      let chain = ChainExporter.describeRecord(record, index);
+      label = chain.label;
+      type = ChainExporter.typeLabel(chain.chainType);
+
+      let members = ChainExporter.chainMembers(chain.origin, chain.chainLength, chain.chainType);
+      let firstFailure = members.findIndex((n) => !Primality.isPrime(n));
+      let stats = summary.get(type) || { passed: 0, failed: 0, longest: 0 };
+      summary.set(type, stats);
 
-  if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
-    origin = origin.subtract(Prime.BI_ONE);
-    primeChain.push(origin.toString());
-    for (let i = 1; i < chainLength; i++) {
-      origin = origin.multiply(Prime.BI_TWO).add(Prime.BI_ONE);
-      primeChain.push(origin.toString());
+      let description = `${label} ${type}${chain.chainLength} (${chain.origin.toString().length} digits)`;
+      if (firstFailure === -1) {
+        passed++;
+        stats.passed++;
+        stats.longest = Math.max(stats.longest, chain.chainLength);
+        console.log(`PASS ${description}`);
+      }else {
+        failed++;
+        stats.failed++;
+        console.log(`FAIL ${description}: number ${firstFailure} of ${members.length} is composite`);
+      }
+    } catch (err) {
+      failed++;
+      console.log(`FAIL ${label} ${type}: ${err.message}`);
     }
-  }else if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
-    origin = origin.add(Prime.BI_ONE);
-    primeChain.push(origin.toString());
-    for (let i = 1; i < chainLength; i++) {
-      origin = origin.multiply(Prime.BI_TWO).subtract(Prime.BI_ONE);
-      primeChain.push(origin.toString());
+  });
+
+  console.log("");
+  console.log(`Verified ${records.length} chains with Miller-Rabin (${Primality.MILLER_RABIN_BASES.length} bases) and BPSW: ${passed} passed, ${failed} failed`);
+  summary.forEach((stats, type) => {
+    console.log(`  ${type}: ${stats.passed} passed, ${stats.failed} failed, longest passing ${stats.longest}`);
+  });
+
+  return failed;
+}
+
+/**
+ * Read the command line.
+ *
+ * @param {Array} args - command line arguments after the script name
+ *
+ * @returns {Object} - files to read, and the format, output and mode
+ */
+function parseArgs(args) {
+  let options = { fileNames: [], format: ChainExporter.JSON, output: undefined, verify: false, help: false };
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+    let value;
+    let equals = arg.indexOf("=");
+    if (arg.startsWith("--") && equals !== -1) {
+      [arg, value] = [arg.slice(0, equals), arg.slice(equals + 1)];
     }
-  }else if (chainType === PrimeBlockchain.BITWIN_CHAIN) {
-    let first = origin.subtract(Prime.BI_ONE);
-    primeChain.push(first.toString());
-    let second = origin.add(Prime.BI_ONE);
-    primeChain.push(second.toString());
-    for (let i = 2; i < chainLength; i+=2) {
-      first = first.multiply(Prime.BI_TWO).add(Prime.BI_ONE);
-      primeChain.push(first.toString());
-      second = second.multiply(Prime.BI_TWO).subtract(Prime.BI_ONE);
-      primeChain.push(second.toString());
-      if (i + 1 === chainLength) {
-        first = first.multiply(Prime.BI_TWO).add(Prime.BI_ONE);
-        primeChain.push(first.toString());
+
+    if (arg === "--verify") {
+      options.verify = true;
+    }else if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    }else if (arg === "--format" || arg === "-o" || arg === "--output") {
+      if (value === undefined) {
+        if (i + 1 >= args.length) {
+          throw CommandLine.usageError(`Missing value for ${arg}.`);
+        }
+        value = args[++i];
       }
+      if (arg === "--format") {
+        if (!ChainExporter.FORMATS.includes(value)) {
+          throw CommandLine.usageError(`Unknown format ${value}, expected one of ${ChainExporter.FORMATS.join(", ")}.`);
+        }
+        options.format = value;
+      }else {
+        options.output = value;
+      }
+    }else if (arg.startsWith("-")) {
+      throw CommandLine.usageError(`Unknown option ${arg}.`);
+    }else {
+      options.fileNames.push(arg);
     }
-  }else {
-    console.error("Invalid chain type found");
-    process.exit();
   }
-
-  return primeChain.join(",");
+  if (!options.help && options.fileNames.length < 1) {
+    throw CommandLine.usageError("No prime JSON file or chain logs given.");
+  }
+  return options;
 }
 
-// Print usage if wrong command line arguments
-if (process.argv.length !== 3) {
-  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} <primes.json>`);
-  console.error("Prime JSON file should be first generated from tcpPrimeMiner.js");
-  process.exit();
+/**
+ * @param {string} fileName - file that may or may not exist
+ *
+ * @returns {string} - absolute path of the file, following links
+ */
+function resolvePath(fileName) {
+  return existsSync(fileName) ? realpathSync(fileName) : path.resolve(fileName);
 }
 
-// Parse JSON
-let chainInfo = JSON.parse(readFileSync(process.argv[2]));
-let chains = [];
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  if (!err.usage) throw err;
+  console.error(err.message);
+  console.error(USAGE);
+  process.exit(CommandLine.EXIT_USAGE);
+}
+if (options.help) {
+  console.log(USAGE);
+  process.exit(CommandLine.EXIT_OK);
+}
 
-// Exit if nothing found from expected filled array
-if (chainInfo.length < 1) {
-  console.error("No elements found in parsed JSON array");
-  process.exit();
+let records;
+try {
+  records = ChainExporter.readRecords(options.fileNames);
+} catch (err) {
+  console.error(err.message);
+  process.exit(CommandLine.EXIT_USAGE);
 }
 
-// Exit if wrong object property found, maybe prime chains are already built?
-if (!chainInfo[0].hasOwnProperty("blockHeaderHash")) {
-  console.error("Parsed JSON is missing required properties, maybe this file already has its prime chains built?");
-  process.exit();
+if (options.verify) {
+  process.exit(verifyChains(records) > 0 ? CommandLine.EXIT_FAILURE : CommandLine.EXIT_OK);
 }
 
-chainInfo.forEach((block) => {
-  // Compute origin number
-  let origin = new BigInteger(block.blockHeaderHash).multiply(new BigInteger(block.primeMultiplier));
-  
-  // Build and return prime chain as comma delimited string
-  let primeChain = buildChain(origin, block.primeChainLength, block.primeChainType);
-  
-  // Change chain type to style Primecoin uses for display
-  let type = "";
-  if (block.primeChainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
-    type = "1CC";
-  }else if (block.primeChainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
-    type = "2CC";
-  }else if (block.primeChainType === PrimeBlockchain.BITWIN_CHAIN) {
-    type = "TWN";
-  }else {
-    console.error("Invalid chain type found");
-    process.exit();
+try {
+  if (records.length < 1) {
+    throw new Error("No chains found in the input");
   }
 
-  // Add built chain to array
-  chains.push({
-    blockID: block.blockNumber,
-    hash: block.blockHash,
-    type: type,
-    length: block.primeChainLength,
-    digits: origin.toString().length,
-    primeOrigin: origin.toString(),
-    primeChain: primeChain,
-  });
-});
+  // Never overwrite an input, which may be the only copy of the chains
+  if (options.output !== undefined) {
+    let output = resolvePath(options.output);
+    if (options.fileNames.some((fileName) => resolvePath(fileName) === output)) {
+      throw new Error(`Output ${options.output} is also an input, choose another file`);
+    }
+  }
 
-writeFileSync(process.argv[2], JSON.stringify(chains));
+  let text = ChainExporter.format(records.map((record, index) => ChainExporter.buildRecord(record, index)), options.format);
+  if (options.output !== undefined) {
+    writeFileSync(options.output, text);
+  }else {
+    process.stdout.write(text);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(CommandLine.EXIT_FAILURE);
+}
@@ -0,0 +1,199 @@
+"use strict";
+
+const { readFileSync } = require('fs');
+const BigNum = require('./bigNum.js');
+
+const ChainLog = require('./chainLog.js');
+const ChainTypes = require('./chainTypes.js');
+
+// Output formats, see ChainExporter.format
+const JSON_FORMAT = "json";
+const NDJSON_FORMAT = "ndjson";
+const CSV_FORMAT = "csv";
+const PRIMES_ZONE_FORMAT = "primes-zone";
+const FORMATS = [JSON_FORMAT, NDJSON_FORMAT, CSV_FORMAT, PRIMES_ZONE_FORMAT];
+
+// Columns of the CSV format. Chains from blocks have no time, and chains
+// from chain logs have no block.
+const CSV_COLUMNS = ["blockID", "hash", "time", "headerHash", "multiplier",
+  "type", "length", "digits", "primeOrigin", "primeChain"];
+
+/**
+ * Builds the full prime chains from the records tcpPrimeMiner.js saves,
+ * and writes them out in one of several formats. Records can come from
+ * the prime chains saved by the miner, from chain logs, or from an
+ * earlier export in the JSON formats, which gives the same chains again.
+ */
+module.exports = class ChainExporter {
+
+  static get JSON() { return JSON_FORMAT; }
+  static get NDJSON() { return NDJSON_FORMAT; }
+  static get CSV() { return CSV_FORMAT; }
+  static get PRIMES_ZONE() { return PRIMES_ZONE_FORMAT; }
+  static get FORMATS() { return FORMATS; }
+  static get CSV_COLUMNS() { return CSV_COLUMNS; }
+
+  /**
+   * Change chain type to style Primecoin uses for display.
+   *
+   * @param {string} chainType - Type of prime chain
+   *
+   * @returns {string} - Label of the type, such as 1CC, 2CC or TWN
+   */
+  static typeLabel(chainType) {
+    return ChainTypes.get(chainType).label;
+  }
+
+  /**
+   * @param {string} label - Label of a chain type, such as 1CC, 2CC or TWN
+   *
+   * @returns {string | undefined} - Type of prime chain with that label
+   */
+  static chainType(label) {
+    let chainType = ChainTypes.byLabel(label);
+    return chainType && chainType.name;
+  }
+
+  /**
+   * Reconstruct the numbers of a prime chain according to length and
+   * type, see ChainType.build.
+   *
+   * @param {BigInteger} origin - Chain origin number
+   * @param {number} chainLength - Fractional length of prime chain
+   * @param {string} chainType - Type of prime chain
+   *
+   * @returns {Array} - Numbers in the chain
+   */
+  static chainMembers(origin, chainLength, chainType) {
+    return ChainTypes.get(chainType).build(origin, chainLength);
+  }
+
+  /**
+   * Read the records in one JSON file, either saved by the miner or
+   * exported before, or in chain logs.
+   *
+   * @param {Array} fileNames - One JSON or NDJSON file, or chain log files oldest first
+   *
+   * @returns {Array} - Records of the files, in order
+   */
+  static readRecords(fileNames) {
+    let first = readFileSync(fileNames[0], 'utf8');
+    if (first.trimStart().startsWith("[")) {
+      if (fileNames.length !== 1) {
+        throw new Error("Only one prime JSON file can be read at a time");
+      }
+      return JSON.parse(first);
+    }
+    return [].concat(...fileNames.map((fileName) => ChainLog.read(fileName)));
+  }
+
+  /**
+   * Find the chain a record describes.
+   *
+   * @param {Object} record - Record read by readRecords
+   * @param {int} index - Position of the record
+   *
+   * @returns {Object} - Label, origin, length and type of the chain
+   */
+  static describeRecord(record, index) {
+    if (record.blockHeaderHash !== undefined) {
+      return {
+        label: `block ${record.blockNumber}`,
+        origin: BigNum.from(record.blockHeaderHash, 16).multiply(BigNum.from(record.primeMultiplier)),
+        chainLength: record.primeChainLength,
+        chainType: record.primeChainType,
+      };
+    }else if (record.primeOrigin !== undefined) {
+      return {
+        label: record.blockID !== undefined ? `block ${record.blockID}` : `chain ${index + 1}`,
+        origin: BigNum.from(record.primeOrigin),
+        chainLength: record.length,
+        chainType: ChainExporter.chainType(record.type),
+      };
+    }else if (record.origin !== undefined) {
+      return {
+        label: `chain ${index + 1}`,
+        origin: BigNum.from(record.origin),
+        chainLength: record.chainLength,
+        chainType: record.chainType,
+      };
+    }
+    throw new Error("Record has no prime origin");
+  }
+
+  /**
+   * Build the chain of a record. Records that were built before are
+   * built again, giving the same result.
+   *
+   * @param {Object} record - Record read by readRecords
+   * @param {int} index - Position of the record
+   *
+   * @returns {Object} - The chain with its numbers delimited by commas
+   */
+  static buildRecord(record, index) {
+    let { origin, chainLength, chainType } = ChainExporter.describeRecord(record, index);
+    let primeChain = ChainExporter.chainMembers(origin, chainLength, chainType).map((n) => n.toString()).join(",");
+
+    let chain = {};
+    if (record.blockHeaderHash !== undefined) {
+      chain.blockID = record.blockNumber;
+      chain.hash = record.blockHash;
+    }else if (record.blockID !== undefined) {
+      chain.blockID = record.blockID;
+      chain.hash = record.hash;
+    }else {
+      chain.time = record.time;
+      chain.headerHash = record.headerHash;
+      chain.multiplier = record.multiplier;
+    }
+    return Object.assign(chain, {
+      type: ChainExporter.typeLabel(chainType),
+      length: chainLength,
+      digits: origin.toString().length,
+      primeOrigin: origin.toString(),
+      primeChain,
+    });
+  }
+
+  /**
+   * Write built chains in an output format:
+   *  - json: a JSON array
+   *  - ndjson: one JSON object per line
+   *  - csv: a header line with CSV_COLUMNS, then one line per chain
+   *  - primes-zone: one "1CC10 79 origin" line per chain, with the type,
+   *    whole length, digits and origin, the way primes.zone lists chains
+   *
+   * @param {Array} chains - Chains from buildRecord
+   * @param {string} format - One of FORMATS
+   *
+   * @returns {string} - The chains in that format
+   */
+  static format(chains, format) {
+    switch (format) {
+      case JSON_FORMAT:
+        return JSON.stringify(chains) + "\n";
+      case NDJSON_FORMAT:
+        return chains.map((chain) => JSON.stringify(chain) + "\n").join("");
+      case CSV_FORMAT:
+        return [CSV_COLUMNS].concat(chains.map((chain) => CSV_COLUMNS.map((column) => chain[column])))
+          .map((row) => row.map((value) => ChainExporter.csvField(value)).join(",") + "\n").join("");
+      case PRIMES_ZONE_FORMAT:
+        return chains.map((chain) =>
+          `${chain.type}${Math.floor(chain.length)} ${chain.digits} ${chain.primeOrigin}\n`).join("");
+      default:
+        throw new Error(`Unknown format ${format}, expected one of ${FORMATS.join(", ")}.`);
+    }
+  }
+
+  /**
+   * @param {*} value - Value of a CSV field
+   *
+   * @returns {string} - The value, quoted if it holds a comma, quote or line break
+   */
+  static csvField(value) {
+    if (value === undefined || value === null) return "";
+    let s = value.toString();
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+}
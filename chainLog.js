@@ -0,0 +1,162 @@
+"use strict";
+
+const fs = require('fs');
+const BigNum = require('./bigNum.js');
+
+// Shortest chain logged unless another threshold is given
+const THRESHOLD = 2;
+
+// Bytes written to a log file before it is rotated, and rotated files kept
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES = 5;
+
+/**
+ * Log of every prime chain a miner finds at or above a threshold length,
+ * whether or not it is long enough for a block. Each line is a JSON
+ * object with the time, chain type, origin, length, multiplier and block
+ * header hash. Once the file grows past maxFileSize it is renamed to
+ * fileName.1, older files move up to fileName.2 and so on, and the file
+ * past maxFiles is deleted.
+ */
+module.exports = class ChainLog {
+
+  static get THRESHOLD() { return THRESHOLD; }
+  static get MAX_FILE_SIZE() { return MAX_FILE_SIZE; }
+  static get MAX_FILES() { return MAX_FILES; }
+
+  /**
+   * @param {string} fileName - Path of the current log file
+   * @param {int} [maxFiles] - Rotated files kept besides the current one
+   *
+   * @returns {Array} - Paths of the log files that exist, oldest first
+   */
+  static fileNames(fileName, maxFiles=MAX_FILES) {
+    let names = [fileName];
+    for (let i = 1; i <= maxFiles; i++) {
+      names.unshift(`${fileName}.${i}`);
+    }
+    return names.filter((name) => fs.existsSync(name));
+  }
+
+  /**
+   * Read the chains in a log file. A line cut short by a crash is skipped.
+   *
+   * @param {string} fileName - Path of a log file
+   *
+   * @returns {Array} - Chains in the order they were logged
+   */
+  static read(fileName) {
+    let chains = [];
+    fs.readFileSync(fileName, 'utf8').split('\n').forEach((line) => {
+      if (line === '') return;
+      try {
+        chains.push(JSON.parse(line));
+      } catch (e) {
+        // Skip damaged lines
+      }
+    });
+    return chains;
+  }
+
+  /**
+   * Open a log, creating the file if it does not exist yet.
+   *
+   * @param {Object} obj - Log settings.
+   * @param {string} obj.fileName - Path of the current log file.
+   * @param {number} [obj.threshold] - Shortest chain length logged.
+   * @param {int} [obj.maxFileSize] - Bytes written to a file before it is rotated.
+   * @param {int} [obj.maxFiles] - Rotated files kept besides the current one.
+   */
+  constructor({fileName, threshold=THRESHOLD, maxFileSize=MAX_FILE_SIZE, maxFiles=MAX_FILES}) {
+    if (!(threshold >= 1)) {
+      throw new Error(`Chain log threshold must be at least 1, got ${threshold}.`);
+    }
+    this.fileName = fileName;
+    this.threshold = threshold;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = maxFiles;
+    this.open();
+  }
+
+  /**
+   * Open the current log file for appending.
+   */
+  open() {
+    this.fd = fs.openSync(this.fileName, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  /**
+   * Append a chain to the log if it is at least as long as the threshold.
+   *
+   * @param {Object} chain - Chain found while mining
+   * @param {string} chain.headerHash - Block header hash as hex
+   * @param {string} chain.multiplier - Multiplier of the origin, including the base primorial
+   * @param {number} chain.chainLength - Fractional length of the chain
+   * @param {string} chain.chainType - Type of chain
+   * @param {int} [chain.time] - When the chain was found
+   *
+   * @returns {boolean} - True if the chain was logged
+   */
+  record({headerHash, multiplier, chainLength, chainType, time=Date.now()}) {
+    if (chainLength < this.threshold) return false;
+
+    let origin = BigNum.from(headerHash, 16).multiply(BigNum.from(multiplier));
+    let line = JSON.stringify({
+      time,
+      chainType,
+      origin: origin.toString(),
+      chainLength,
+      multiplier: multiplier.toString(),
+      headerHash,
+    }) + '\n';
+
+    if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxFileSize) {
+      this.rotate();
+    }
+    this.size += fs.writeSync(this.fd, line);
+    return true;
+  }
+
+  /**
+   * Move each log file up one place, dropping the oldest, and start a new file.
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    let oldest = `${this.fileName}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.fileName}.${i}`)) {
+        fs.renameSync(`${this.fileName}.${i}`, `${this.fileName}.${i + 1}`);
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.fileName, `${this.fileName}.1`);
+    }else {
+      fs.unlinkSync(this.fileName);
+    }
+    this.open();
+  }
+
+  /**
+   * Stop writing to the log.
+   */
+  close() {
+    fs.closeSync(this.fd);
+  }
+
+  /**
+   * @returns {Object} - Settings of the log, to open it again later
+   */
+  toJSON() {
+    return {
+      fileName: this.fileName,
+      threshold: this.threshold,
+      maxFileSize: this.maxFileSize,
+      maxFiles: this.maxFiles,
+    };
+  }
+
+}
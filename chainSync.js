@@ -0,0 +1,506 @@
+"use strict";
+
+const BlockHeader = require('./blockHeader.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const ProofValidator = require('./proofValidator.js');
+
+// Messages of the sync protocol
+const GET_HEAD = "GET_HEAD";
+const HEAD = "HEAD";
+const GET_HEADERS = "GET_HEADERS";
+const HEADERS = "HEADERS";
+const GET_BLOCKS = "GET_BLOCKS";
+const BLOCKS = "BLOCKS";
+const GET_TX_PROOF = "GET_TX_PROOF";
+const TX_PROOF = "TX_PROOF";
+
+// Emitted by the client when a sync finishes
+const SYNC_DONE = "SYNC_DONE";
+
+// Most headers and blocks sent in reply to one request
+const MAX_HEADERS = 500;
+const MAX_BLOCKS = 50;
+
+// Milliseconds to collect heads from peers, and to wait for any other reply
+const HEAD_TIMEOUT = 1000;
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Brings a client's blockchain up to date with its peers. The client asks
+ * every peer for its head, picks the peer with the most total work, and
+ * downloads that peer's chain in batches: first the headers, which must
+ * link up to a block the client already has, then the blocks themselves.
+ * The hash of each header is computed again from its fields, and the
+ * proofs of each batch of headers are checked in parallel, so a made-up
+ * chain of headers costs as much work as a real one. The blocks must
+ * match their headers, and are passed to receiveBlock, which switches the
+ * head as usual.
+ *
+ * The sync fails if the peer's chain turns out to have less work than
+ * the peer claimed, or if the peer sends headers without new blocks.
+ *
+ * Every client also answers these requests for its own chain, unless it
+ * does not hold full blocks, as for PrimeLightClient. Clients holding full
+ * blocks also answer requests for the block that includes a transaction.
+ */
+module.exports = class ChainSync {
+
+  static get GET_HEAD() { return GET_HEAD; }
+  static get HEAD() { return HEAD; }
+  static get GET_HEADERS() { return GET_HEADERS; }
+  static get HEADERS() { return HEADERS; }
+  static get GET_BLOCKS() { return GET_BLOCKS; }
+  static get BLOCKS() { return BLOCKS; }
+  static get GET_TX_PROOF() { return GET_TX_PROOF; }
+  static get TX_PROOF() { return TX_PROOF; }
+  static get SYNC_DONE() { return SYNC_DONE; }
+  static get MAX_HEADERS() { return MAX_HEADERS; }
+  static get MAX_BLOCKS() { return MAX_BLOCKS; }
+
+  /**
+   * @param {PrimeClient | PrimeMiner} client - Client to sync, also used to send and receive messages
+   * @param {Object} obj - Sync settings.
+   * @param {int} [obj.maxHeaders] - Most headers to ask for at once.
+   * @param {int} [obj.maxBlocks] - Most blocks to ask for at once.
+   * @param {int} [obj.headTimeout] - Milliseconds to collect heads from peers.
+   * @param {int} [obj.requestTimeout] - Milliseconds to wait for other replies.
+   * @param {int} [obj.validationThreads] - Worker threads for checking proofs, see ProofValidator.
+   * @param {boolean} [obj.serve] - Whether to answer requests from peers for the client's chain.
+   */
+  constructor(client, {maxHeaders=MAX_HEADERS, maxBlocks=MAX_BLOCKS, headTimeout=HEAD_TIMEOUT,
+      requestTimeout=REQUEST_TIMEOUT, validationThreads, serve=true} = {}) {
+    this.client = client;
+    this.maxHeaders = maxHeaders;
+    this.maxBlocks = maxBlocks;
+    this.headTimeout = headTimeout;
+    this.requestTimeout = requestTimeout;
+    this.validationThreads = validationThreads;
+
+    this.syncing = false;
+
+    // Heads reported by peers while choosing a peer to sync from
+    this.heads = null;
+
+    // Peer being synced from, and the reply expected from it
+    this.peer = null;
+    this.expected = null;
+    this.timer = null;
+    this.validator = null;
+
+    // Work the peer claimed for its chain, and the last block downloaded from it
+    this.claimedWork = 0;
+    this.tip = null;
+
+    client.on(HEAD, (o) => this.receiveHead(o));
+    client.on(HEADERS, (o) => this.receiveHeaders(o));
+    client.on(BLOCKS, (o) => this.receiveBlocks(o));
+    if (serve) {
+      client.on(GET_HEAD, (o) => this.provideHead(o));
+      client.on(GET_HEADERS, (o) => this.provideHeaders(o));
+      client.on(GET_BLOCKS, (o) => this.provideBlocks(o));
+      client.on(GET_TX_PROOF, (o) => this.provideTransactionProof(o));
+    }
+  }
+
+  /**
+   * Ask every peer for its head and sync from the one with the most work,
+   * if it has more than the client.
+   *
+   * @returns {Promise} - Resolves once the sync has finished
+   */
+  start() {
+    if (this.syncing) return this.done;
+
+    this.begin();
+    this.heads = [];
+    this.client.net.broadcast(GET_HEAD, { from: this.client.address });
+    this.timer = setTimeout(() => this.chooseHead(), this.headTimeout);
+    return this.done;
+  }
+
+  /**
+   * Ask a single peer for its head, for instance one that just connected.
+   * If it has more work than the client, a sync from that peer starts.
+   *
+   * @param {string} address - Address of the peer
+   */
+  checkPeer(address) {
+    this.client.net.sendMessage(address, GET_HEAD, { from: this.client.address });
+  }
+
+  /**
+   * Enter the syncing state.
+   */
+  begin() {
+    this.syncing = true;
+    this.done = new Promise((resolve) => this.resolveDone = resolve);
+  }
+
+  /**
+   * Leave the syncing state and let the client know.
+   */
+  finish() {
+    clearTimeout(this.timer);
+    this.syncing = false;
+    this.heads = null;
+    this.peer = null;
+    this.expected = null;
+    this.tip = null;
+    if (this.validator) {
+      this.validator.terminate();
+      this.validator = null;
+    }
+    this.client.emit(SYNC_DONE);
+    this.resolveDone();
+  }
+
+  /**
+   * Give up on the peer being synced from.
+   *
+   * @param {string} reason - Why the sync failed
+   */
+  abort(reason) {
+    this.client.log(`Sync from ${this.peer} failed: ${reason}`);
+    this.finish();
+  }
+
+  /**
+   * Send a request to the peer being synced from, giving up if it does
+   * not answer in time.
+   *
+   * @param {string} msg - Request to send
+   * @param {Object} o - Payload of the request
+   * @param {string} expected - Reply to wait for
+   */
+  request(msg, o, expected) {
+    this.expected = expected;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.abort(`no reply to ${msg}`), this.requestTimeout);
+    this.client.net.sendMessage(this.peer, msg, Object.assign({ from: this.client.address }, o));
+  }
+
+  /**
+   * Check that a reply is the one the sync is waiting for.
+   *
+   * @param {string} msg - Type of the reply
+   * @param {string} from - Address of the peer that sent it
+   *
+   * @returns {boolean} - True if the reply should be handled
+   */
+  isExpected(msg, from) {
+    if (!this.syncing || this.expected !== msg || this.peer !== from) {
+      return false;
+    }
+    this.expected = null;
+    clearTimeout(this.timer);
+    return true;
+  }
+
+  /**
+   * @param {Object} o - Request from a peer
+   * @param {string} o.from - Address of the peer
+   */
+  provideHead({from}) {
+    let head = this.client.lastBlock;
+    this.client.net.sendMessage(from, HEAD, {
+      from: this.client.address,
+      id: head.id,
+      chainLength: head.chainLength,
+      totalWork: head.totalWork,
+    });
+  }
+
+  /**
+   * Collect a peer's head while choosing a peer to sync from. Outside of
+   * a sync, a head with more work than the client starts a sync from that
+   * peer right away.
+   *
+   * @param {Object} head - Head reported by provideHead
+   */
+  receiveHead(head) {
+    if (head.from === this.client.address || !(head.totalWork > this.client.lastBlock.totalWork)) {
+      return;
+    }
+
+    if (this.heads !== null) {
+      this.heads.push(head);
+    }else if (!this.syncing) {
+      this.begin();
+      this.syncFrom(head);
+    }
+  }
+
+  /**
+   * Pick the peer with the most work once the heads are collected.
+   */
+  chooseHead() {
+    let best = null;
+    this.heads.forEach((head) => {
+      if (best === null || head.totalWork > best.totalWork) {
+        best = head;
+      }
+    });
+    this.heads = null;
+
+    if (best === null) {
+      this.finish();
+    }else {
+      this.syncFrom(best);
+    }
+  }
+
+  /**
+   * Start downloading a peer's chain.
+   *
+   * @param {Object} head - Head reported by the peer
+   */
+  syncFrom(head) {
+    this.client.log(`Syncing ${head.chainLength} blocks from ${head.from}`);
+    this.peer = head.from;
+    this.claimedWork = head.totalWork;
+    this.tip = this.client.lastBlock;
+    this.validator = new ProofValidator({ threads: this.validationThreads });
+    this.requestHeaders();
+  }
+
+  /**
+   * Ask the peer for the headers that follow the last block downloaded,
+   * which at first is the head of the client's best chain. Asking from
+   * the head every time would get the same headers again and again from
+   * a peer whose chain has not overtaken the client's yet.
+   */
+  requestHeaders() {
+    this.request(GET_HEADERS, { locator: this.locator(this.tip), limit: this.maxHeaders }, HEADERS);
+  }
+
+  /**
+   * Ids of blocks on a chain of the client, for a peer to find where its
+   * own chain branches off. The most recent blocks are all listed, after
+   * which the gaps double, ending with the genesis block.
+   *
+   * @param {PrimeBlock} [block] - Last block of the chain, the client's head by default
+   *
+   * @returns {Array} - Block ids, newest first
+   */
+  locator(block=this.client.lastBlock) {
+    let ids = [];
+    let step = 1;
+    while (block !== undefined) {
+      ids.push(block.id);
+      if (block.isGenesisBlock()) break;
+      if (ids.length >= 10) step *= 2;
+
+      let height = Math.max(block.chainLength - step, 0);
+      while (block !== undefined && block.chainLength > height) {
+        block = this.client.blocks.get(block.prevBlockHash);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Blocks of the client's best chain, oldest first.
+   *
+   * @returns {Array} - Blocks from the genesis block to the head
+   */
+  bestChain() {
+    let chain = [];
+    let block = this.client.lastBlock;
+    while (block !== undefined) {
+      chain.push(block);
+      block = this.client.blocks.get(block.prevBlockHash);
+    }
+    return chain.reverse();
+  }
+
+  /**
+   * Send the headers of the client's best chain that follow the first
+   * locator block on that chain.
+   *
+   * @param {Object} o - Request from a peer
+   * @param {string} o.from - Address of the peer
+   * @param {Array} o.locator - Ids from the peer's locator
+   * @param {int} o.limit - Most headers to send
+   */
+  provideHeaders({from, locator, limit}) {
+    let chain = this.bestChain();
+    let positions = new Map(chain.map((block, i) => [block.id, i]));
+    let fork = Array.isArray(locator) ? locator.find((id) => positions.has(id)) : undefined;
+
+    let headers = [];
+    if (fork !== undefined) {
+      let start = positions.get(fork) + 1;
+      let count = Math.min(Number(limit) || MAX_HEADERS, MAX_HEADERS);
+      headers = chain.slice(start, start + count).map((block) => BlockHeader.fromBlock(block));
+    }
+
+    this.client.net.sendMessage(from, HEADERS, { from: this.client.address, headers });
+  }
+
+  /**
+   * Check that the headers form a chain from a known block and that their
+   * proofs are valid, then fetch the blocks that are missing. No headers
+   * means the peer's chain has been downloaded, and must have the work
+   * the peer claimed.
+   *
+   * @param {Object} o - Reply from provideHeaders
+   */
+  receiveHeaders({from, headers}) {
+    if (!this.isExpected(HEADERS, from)) return;
+
+    if (!Array.isArray(headers) || headers.length === 0) {
+      if (this.tip.totalWork < this.claimedWork) {
+        this.abort(`peer claimed ${this.claimedWork} work, but its chain has ${this.tip.totalWork}`);
+      }else {
+        this.finish();
+      }
+      return;
+    }
+
+    try {
+      headers = headers.map((o) => new BlockHeader(o));
+    } catch (e) {
+      this.abort(`malformed header`);
+      return;
+    }
+
+    let prevBlock = this.client.blocks.get(headers[0].prevBlockHash);
+    if (prevBlock === undefined) {
+      this.abort(`headers do not start from a known block`);
+      return;
+    }
+    for (let header of headers) {
+      if (header.prevBlockHash !== prevBlock.id || header.chainLength !== prevBlock.chainLength + 1) {
+        this.abort(`headers do not form a chain`);
+        return;
+      }
+      // Never trust the hash the peer sent, since the proof is checked against it
+      header.headerHash = BlockHeader.hash(header);
+      prevBlock = header;
+    }
+
+    let wanted = headers.filter((header) => !this.client.blocks.has(header.id));
+    if (wanted.length === 0) {
+      this.abort(`headers hold no new blocks`);
+      return;
+    }
+
+    this.validator.validate(wanted).then((results) => {
+      if (!this.syncing || this.peer !== from) return;
+
+      if (results.includes(false)) {
+        this.abort(`header ${wanted[results.indexOf(false)].id} has an invalid proof`);
+        return;
+      }
+      this.wanted = wanted;
+      this.lastHeader = headers[headers.length - 1];
+      this.requestBlocks();
+    }, (err) => this.abort(err.message));
+  }
+
+  /**
+   * Ask for the next batch of wanted blocks, or for more headers once
+   * all wanted blocks have arrived.
+   */
+  requestBlocks() {
+    if (this.wanted.length === 0) {
+      this.tip = this.client.blocks.get(this.lastHeader.id);
+      this.requestHeaders();
+      return;
+    }
+    this.requested = this.wanted.splice(0, this.maxBlocks);
+    this.request(GET_BLOCKS, { ids: this.requested.map((header) => header.id) }, BLOCKS);
+  }
+
+  /**
+   * @param {Object} o - Request from a peer
+   * @param {string} o.from - Address of the peer
+   * @param {Array} o.ids - Ids of the blocks wanted
+   */
+  provideBlocks({from, ids}) {
+    let blocks = [];
+    if (Array.isArray(ids)) {
+      ids.slice(0, MAX_BLOCKS).forEach((id) => {
+        if (this.client.blocks.has(id)) blocks.push(this.client.blocks.get(id));
+      });
+    }
+    this.client.net.sendMessage(from, BLOCKS, { from: this.client.address, blocks });
+  }
+
+  /**
+   * Send a Merkle proof that a transaction is in a block on the client's
+   * best chain, along with the transaction and the id of the block. The
+   * block id is null if the transaction is not on the best chain.
+   *
+   * @param {Object} o - Request from a peer
+   * @param {string} o.from - Address of the peer
+   * @param {string} o.txId - Id of the transaction
+   */
+  provideTransactionProof({from, txId}) {
+    let block = this.client.lastBlock;
+    while (block !== undefined && !(block.transactions && block.transactions.has(txId))) {
+      block = this.client.blocks.get(block.prevBlockHash);
+    }
+
+    let reply = { from: this.client.address, txId, blockId: null };
+    if (block !== undefined) {
+      reply.blockId = block.id;
+      reply.transaction = block.transactions.get(txId);
+      reply.proof = block.proveTransaction(txId);
+    }
+    this.client.net.sendMessage(from, TX_PROOF, reply);
+  }
+
+  /**
+   * Check that a block is the one a header was sent for, down to its proof,
+   * so that the proof checked for the header holds for the block.
+   *
+   * @param {PrimeBlock} block - Block received
+   * @param {BlockHeader} header - Checked header the block was requested for
+   *
+   * @returns {boolean} - True if the block matches the header
+   */
+  matchesHeader(block, header) {
+    return block.id === header.id &&
+      block.hashHeader() === header.headerHash &&
+      block.primeMultiplier.toString() === header.primeMultiplier &&
+      block.primeChainLength === header.primeChainLength &&
+      block.primeChainType === header.primeChainType;
+  }
+
+  /**
+   * Check that the blocks are the ones requested, then add them to the
+   * client in order.
+   *
+   * @param {Object} o - Reply from provideBlocks
+   */
+  receiveBlocks({from, blocks}) {
+    if (!this.isExpected(BLOCKS, from)) return;
+
+    if (!Array.isArray(blocks) || blocks.length !== this.requested.length) {
+      this.abort(`wrong number of blocks`);
+      return;
+    }
+
+    try {
+      blocks = blocks.map((o) => PrimeBlockchain.deserializeBlock(o));
+    } catch (e) {
+      this.abort(`malformed block`);
+      return;
+    }
+    if (blocks.some((block, i) => !this.matchesHeader(block, this.requested[i]))) {
+      this.abort(`blocks do not match their headers`);
+      return;
+    }
+
+    for (let block of blocks) {
+      this.client.receiveBlock(block, true);
+      if (!this.client.blocks.has(block.id)) {
+        this.abort(`block ${block.id} was rejected`);
+        return;
+      }
+    }
+    this.requestBlocks();
+  }
+
+}
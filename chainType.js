@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * A kind of prime chain that can be used as proof of work. Each type
+ * knows how to search an origin for a chain, check a claimed length,
+ * list the numbers in a chain, and how it is labelled for display.
+ * Types are registered with ChainTypes, and the ones a network accepts
+ * are listed in its chainTypes setting.
+ */
+module.exports = class ChainType {
+
+  /**
+   * @param {Object} obj - The properties of the chain type.
+   * @param {string} obj.name - Name stored in blocks, such as CUNNINGHAM_CHAIN_1.
+   * @param {string} obj.label - Short name for display, such as 1CC.
+   */
+  constructor({name, label}) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Search for a chain of this type from an origin. The length is
+   * fractional: the number of primes in the chain plus the fractional
+   * length of the composite that ends it, see Prime.fractionalLength.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length at which the search may stop
+   * @param {Map} [found] - Lengths already found from this origin by other types, by name
+   *
+   * @returns {number} - Fractional length of the chain, 0 if there is none
+   */
+  search(origin, target, found) {
+    throw new Error(`Chain type ${this.name} cannot be searched.`);
+  }
+
+  /**
+   * Check that a chain of this type from an origin has the claimed length.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} chainLength - Fractional length claimed
+   * @param {number} [target] - Chain length at which the search may stop
+   *
+   * @returns {boolean} - Whether the search finds exactly the claimed length
+   */
+  verify(origin, chainLength, target) {
+    return this.search(origin, target) === chainLength;
+  }
+
+  /**
+   * Longest chain a search that stops at target can report. Claims of
+   * longer chains can be turned down without building them.
+   *
+   * @param {number} target - Chain length at which the search may stop
+   *
+   * @returns {int} - Largest fractional length the search returns
+   */
+  maxLength(target) {
+    // The search goes on past a fractional target to the next whole prime
+    return Math.floor(target) + 1;
+  }
+
+  /**
+   * Reconstruct the numbers of a chain of this type.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} chainLength - Fractional length of the chain
+   *
+   * @returns {Array} - Numbers in the chain
+   */
+  build(origin, chainLength) {
+    // Only the whole part of a fractional length counts primes
+    let count = Math.floor(chainLength);
+
+    // Error for chain length of 0
+    if (!(count >= 1)) {
+      throw new Error("Invalid chain, chain length less than 1");
+    }
+    return this.members(origin, count);
+  }
+
+  /**
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {int} count - Number of primes in the chain, at least 1
+   *
+   * @returns {Array} - The first count numbers of a chain from origin
+   */
+  members(origin, count) {
+    throw new Error(`Chain type ${this.name} cannot be built.`);
+  }
+
+  /**
+   * Find the origins, modulo a small prime q, for which each of the first
+   * count members of a chain is divisible by q, so that PrimeSieve can
+   * remove them. A type that does not say is never sieved.
+   *
+   * @param {int} q - Small prime that does not divide the base primorial
+   * @param {int} count - Number of members
+   *
+   * @returns {Array} - Origin mod q for each member, or null for a member q never divides
+   */
+  divisibleOrigins(q, count) {
+    return new Array(count).fill(null);
+  }
+
+}
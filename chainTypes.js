@@ -0,0 +1,150 @@
+"use strict";
+
+const PrimeBlockchain = require('./primeBlockchain.js');
+const CunninghamChain = require('./cunninghamChain.js');
+const BitwinChain = require('./bitwinChain.js');
+const PrimeTuplet = require('./primeTuplet.js');
+
+// Chain types registered besides those of PrimeBlockchain
+const GENERALIZED_CUNNINGHAM_CHAIN_1_4 = "GENERALIZED_CUNNINGHAM_CHAIN_1_4";
+const GENERALIZED_CUNNINGHAM_CHAIN_2_4 = "GENERALIZED_CUNNINGHAM_CHAIN_2_4";
+const PRIME_TRIPLET = "PRIME_TRIPLET";
+const PRIME_QUADRUPLET = "PRIME_QUADRUPLET";
+
+// Every chain type that can be enabled, by name
+const registry = new Map();
+
+/**
+ * Registry of the chain types that can be used as proof of work. The
+ * types a network accepts are listed by name in its chainTypes setting
+ * (PrimeBlockchain.CHAIN_TYPES), which defaults to the Cunningham chains
+ * of the first and second kind and bitwin chains used by Primecoin.
+ * Generalized Cunningham chains with a = 4 and prime triplets and
+ * quadruplets are registered too, and further types can be added with
+ * register before the genesis block is made.
+ */
+module.exports = class ChainTypes {
+
+  static get GENERALIZED_CUNNINGHAM_CHAIN_1_4() { return GENERALIZED_CUNNINGHAM_CHAIN_1_4; }
+  static get GENERALIZED_CUNNINGHAM_CHAIN_2_4() { return GENERALIZED_CUNNINGHAM_CHAIN_2_4; }
+  static get PRIME_TRIPLET() { return PRIME_TRIPLET; }
+  static get PRIME_QUADRUPLET() { return PRIME_QUADRUPLET; }
+
+  /**
+   * Add a chain type, so networks can enable it by name.
+   *
+   * @param {ChainType} chainType - Chain type to add
+   *
+   * @returns {ChainType} - The chain type
+   */
+  static register(chainType) {
+    if (registry.has(chainType.name)) {
+      throw new Error(`Chain type ${chainType.name} is already registered.`);
+    }
+    if (ChainTypes.byLabel(chainType.label) !== undefined) {
+      throw new Error(`Chain type label ${chainType.label} is already in use.`);
+    }
+    registry.set(chainType.name, chainType);
+    return chainType;
+  }
+
+  /**
+   * @param {string} name - Name of a chain type
+   *
+   * @returns {boolean} - Whether a chain type has that name
+   */
+  static has(name) {
+    return registry.has(name);
+  }
+
+  /**
+   * @param {string} name - Name of a chain type
+   *
+   * @returns {ChainType} - The chain type with that name
+   */
+  static get(name) {
+    if (!registry.has(name)) {
+      throw new Error("Invalid chain type found");
+    }
+    return registry.get(name);
+  }
+
+  /**
+   * @param {string} label - Label of a chain type, such as 1CC
+   *
+   * @returns {ChainType | undefined} - The chain type with that label
+   */
+  static byLabel(label) {
+    return Array.from(registry.values()).find((chainType) => chainType.label === label);
+  }
+
+  /**
+   * @returns {Array} - Names of every registered chain type
+   */
+  static names() {
+    return Array.from(registry.keys());
+  }
+
+  /**
+   * @param {Array} [names] - Names of chain types, the enabled ones by default
+   *
+   * @returns {Array} - The chain types with those names, in the same order
+   */
+  static enabled(names=PrimeBlockchain.CHAIN_TYPES) {
+    return names.map((name) => ChainTypes.get(name));
+  }
+
+  /**
+   * Search an origin for a chain of each enabled type, and return the
+   * longest. Ties go to the type listed first, so the order of the
+   * names matters. Lengths found are shared between types, so a bitwin
+   * chain reuses the Cunningham chains searched before it.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length to reach
+   * @param {Array} [names] - Names of chain types, the enabled ones by default
+   *
+   * @returns {number} chainLength - Fractional length of best chain
+   * @returns {string} chainType - Type of best chain
+   */
+  static findPrimeChain(origin, target, names=PrimeBlockchain.CHAIN_TYPES) {
+    let found = new Map();
+    let best = { chainLength: 0, chainType: names[0] };
+    ChainTypes.enabled(names).forEach((chainType, i) => {
+      let chainLength = chainType.search(origin, target, found);
+      found.set(chainType.name, chainLength);
+      if (i === 0 || chainLength > best.chainLength) {
+        best = { chainLength, chainType: chainType.name };
+      }
+    });
+    return best;
+  }
+
+}
+
+let first = module.exports.register(new CunninghamChain({
+  name: PrimeBlockchain.CUNNINGHAM_CHAIN_1,
+  label: "1CC",
+  kind: PrimeBlockchain.CUNNINGHAM_CHAIN_1,
+}));
+let second = module.exports.register(new CunninghamChain({
+  name: PrimeBlockchain.CUNNINGHAM_CHAIN_2,
+  label: "2CC",
+  kind: PrimeBlockchain.CUNNINGHAM_CHAIN_2,
+}));
+module.exports.register(new BitwinChain({ name: PrimeBlockchain.BITWIN_CHAIN, label: "TWN", first, second }));
+
+module.exports.register(new CunninghamChain({
+  name: GENERALIZED_CUNNINGHAM_CHAIN_1_4,
+  label: "1GC4",
+  kind: PrimeBlockchain.CUNNINGHAM_CHAIN_1,
+  multiplier: 4,
+}));
+module.exports.register(new CunninghamChain({
+  name: GENERALIZED_CUNNINGHAM_CHAIN_2_4,
+  label: "2GC4",
+  kind: PrimeBlockchain.CUNNINGHAM_CHAIN_2,
+  multiplier: 4,
+}));
+module.exports.register(new PrimeTuplet({ name: PRIME_TRIPLET, label: "TRI", offsets: [11, 13, 17] }));
+module.exports.register(new PrimeTuplet({ name: PRIME_QUADRUPLET, label: "QUAD", offsets: [11, 13, 17, 19] }));
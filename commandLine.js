@@ -0,0 +1,162 @@
+"use strict";
+
+const Logger = require('./logger.js');
+
+// Exit codes of tcpPrimeMiner.js
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: node tcpPrimeMiner.js [options] [config.json]
+
+Runs a prime chain miner that talks to other miners over TCP. With a
+terminal attached an interactive menu is shown, otherwise the miner runs
+headless and writes one JSON object per log line.
+
+Options:
+  --headless               Never show the menu, even on a terminal
+  --port <port>            Port to listen on for other miners
+  --peers <host:port,...>  Miners to connect to, added to knownMiners
+  --threads <n>            Worker threads to mine with
+  --export-primes <file>   Save the prime chains found to file on exit
+  --chain-log <file>       Log every chain found at or above the threshold
+  --chain-log-threshold <length>
+                           Shortest chain logged (default 2)
+  --log-level <level>      One of error, warn, info, debug (default info)
+  -h, --help               Show this help
+
+Settings given as options replace those in the config file.
+`;
+
+// Options that are followed by a value
+const VALUE_OPTIONS = {
+  "--port": "port",
+  "--peers": "peers",
+  "--threads": "threads",
+  "--export-primes": "exportPrimes",
+  "--chain-log": "chainLog",
+  "--chain-log-threshold": "chainLogThreshold",
+  "--log-level": "logLevel",
+};
+
+/**
+ * Reads the command line of tcpPrimeMiner.js. Mistakes in the command line
+ * are thrown as errors with a usage property set, so the caller can show
+ * the usage and exit with EXIT_USAGE, and let any other error through.
+ */
+module.exports = class CommandLine {
+
+  static get EXIT_OK() { return EXIT_OK; }
+  static get EXIT_FAILURE() { return EXIT_FAILURE; }
+  static get EXIT_USAGE() { return EXIT_USAGE; }
+  static get USAGE() { return USAGE; }
+
+  /**
+   * @param {string} message - What is wrong with the command line
+   *
+   * @returns {Error} - Error marked as a usage mistake
+   */
+  static usageError(message) {
+    let err = new Error(message);
+    err.usage = true;
+    return err;
+  }
+
+  /**
+   * @param {Array} args - Command line arguments after the script name
+   *
+   * @returns {Object} - Options given, with configFile set to the config
+   *      file path if one was given
+   */
+  static parse(args) {
+    let options = { headless: false, help: false };
+    let positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+      let arg = args[i];
+      let value;
+      let eq = arg.indexOf('=');
+      if (arg.startsWith('--') && eq !== -1) {
+        value = arg.substring(eq + 1);
+        arg = arg.substring(0, eq);
+      }
+
+      if (arg === '-h' || arg === '--help') {
+        options.help = true;
+      }else if (arg === '--headless') {
+        options.headless = true;
+      }else if (VALUE_OPTIONS[arg] !== undefined) {
+        if (value === undefined) {
+          if (i + 1 >= args.length) {
+            throw CommandLine.usageError(`Missing value for ${arg}.`);
+          }
+          value = args[++i];
+        }
+        options[VALUE_OPTIONS[arg]] = value;
+      }else if (arg.startsWith('-')) {
+        throw CommandLine.usageError(`Unknown option ${arg}.`);
+      }else {
+        positional.push(arg);
+      }
+    }
+
+    if (positional.length > 1) {
+      throw CommandLine.usageError(`Expected at most one config file, got ${positional.length}.`);
+    }
+    options.configFile = positional[0];
+
+    if (options.port !== undefined) {
+      options.port = CommandLine.parsePort(options.port, '--port');
+    }
+    if (options.threads !== undefined) {
+      let threads = Number(options.threads);
+      if (!Number.isInteger(threads) || threads < 0) {
+        throw CommandLine.usageError(`--threads must be a whole number, got ${options.threads}.`);
+      }
+      options.threads = threads;
+    }
+    if (options.chainLogThreshold !== undefined) {
+      let threshold = Number(options.chainLogThreshold);
+      if (options.chainLogThreshold === '' || !(threshold >= 1)) {
+        throw CommandLine.usageError(`--chain-log-threshold must be a chain length of at least 1, got ${options.chainLogThreshold}.`);
+      }
+      options.chainLogThreshold = threshold;
+    }
+    if (options.logLevel !== undefined && !Logger.LEVELS.includes(options.logLevel)) {
+      throw CommandLine.usageError(`--log-level must be one of ${Logger.LEVELS.join(', ')}, got ${options.logLevel}.`);
+    }
+    if (options.peers !== undefined) {
+      options.peers = options.peers.split(',').filter((p) => p !== '').map((p) => CommandLine.parsePeer(p));
+    }
+
+    return options;
+  }
+
+  /**
+   * @param {string} s - Port number
+   * @param {string} name - Where the port came from, for error messages
+   *
+   * @returns {int} - The port
+   */
+  static parsePort(s, name) {
+    let port = Number(s);
+    if (s === '' || !Number.isInteger(port) || port < 0 || port > 65535) {
+      throw CommandLine.usageError(`${name} must be a port number, got ${s}.`);
+    }
+    return port;
+  }
+
+  /**
+   * @param {string} s - Peer as host:port or port
+   *
+   * @returns {Object} - Connection with the port, and the host if one was given
+   */
+  static parsePeer(s) {
+    let separator = s.lastIndexOf(':');
+    if (separator === -1) {
+      return { port: CommandLine.parsePort(s, '--peers') };
+    }
+    return { host: s.substring(0, separator), port: CommandLine.parsePort(s.substring(separator + 1), '--peers') };
+  }
+
+}
@@ -0,0 +1,155 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+const ChainType = require('./chainType.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const Prime = require('./prime.js');
+const PrimeSieve = require('./primeSieve.js');
+
+/**
+ * Generalized Cunningham chain, where each prime p is followed by
+ * a * p + 1 for the first kind or a * p - 1 for the second kind. With
+ * a = 2 these are the Cunningham chains Primecoin uses, which start from
+ * origin - 1 and origin + 1 and are tested with Lifchitz's theorem. For
+ * other multipliers each number is tested on its own, and a must be even
+ * for the numbers after an odd prime to be odd.
+ */
+module.exports = class CunninghamChain extends ChainType {
+
+  /**
+   * @param {Object} obj - The properties of the chain type, see ChainType.
+   * @param {string} obj.kind - PrimeBlockchain.CUNNINGHAM_CHAIN_1 or CUNNINGHAM_CHAIN_2.
+   * @param {int} [obj.multiplier] - Multiplier a of each prime, 2 by default.
+   */
+  constructor({name, label, kind, multiplier=2}) {
+    super({name, label});
+    if (kind !== PrimeBlockchain.CUNNINGHAM_CHAIN_1 && kind !== PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
+      throw new Error(`Invalid kind of Cunningham chain ${kind}.`);
+    }
+    if (!(multiplier >= 2 && multiplier % 2 === 0)) {
+      throw new Error(`Cunningham chain multiplier must be even and at least 2, got ${multiplier}.`);
+    }
+    this.kind = kind;
+    this.multiplier = multiplier;
+    this.bigMultiplier = BigNum.from(multiplier);
+  }
+
+  /**
+   * @returns {boolean} - True for chains of the first kind
+   */
+  get firstKind() {
+    return this.kind === PrimeBlockchain.CUNNINGHAM_CHAIN_1;
+  }
+
+  /**
+   * @param {BigInteger} origin - Prime chain origin
+   *
+   * @returns {BigInteger} - First number of the chain, origin - 1 or origin + 1
+   */
+  start(origin) {
+    return this.firstKind ? origin.subtract(Prime.BI_ONE) : origin.add(Prime.BI_ONE);
+  }
+
+  /**
+   * @param {BigInteger} n - Current number in chain
+   *
+   * @returns {BigInteger} - Next number in chain, a * n + 1 or a * n - 1
+   */
+  next(n) {
+    if (this.multiplier === 2) {
+      return Prime.nextInChain(n, this.kind);
+    }
+    let product = n.multiply(this.bigMultiplier);
+    return this.firstKind ? product.add(Prime.BI_ONE) : product.subtract(Prime.BI_ONE);
+  }
+
+  /**
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length at which the search may stop
+   *
+   * @returns {number} - Fractional length of the chain from origin
+   */
+  search(origin, target) {
+    return this.searchFrom(this.start(origin), target);
+  }
+
+  /**
+   * Starting from a given number, test for primality and probable
+   * prime chain length. Uses basic Fermat's little theorem for first
+   * number and, with a = 2, Lifchitz's generalized theorem for rest of
+   * chain, double checked with the BigInteger primality test.
+   *
+   * If the first number is not prime, the length is 0. The search stops
+   * early once the number of primes found meets target.
+   *
+   * @param {BigInteger} n - First number in potential prime chain
+   * @param {number} [target] - Chain length to reach
+   *
+   * @returns {number} - Fractional length of the chain found
+   */
+  searchFrom(n, target=Infinity) {
+    let chainLength = 1;
+
+    // Test first number for primality with Fermat's little theorem
+    if (!Prime.fermatPrimalityTest(n) || !n.isProbablePrime()) {
+      return 0;
+    }
+
+    while (chainLength < target) {
+      let next = this.next(n);
+
+      if ((this.multiplier === 2 && !Prime.eulerLagrangePrimalityTest(n, this.kind)) ||
+          !Prime.fermatPrimalityTest(next) || !next.isProbablePrime()) {
+        return chainLength + Prime.fractionalLength(next);
+      }
+
+      chainLength += 1;
+      n = next;
+    }
+
+    // Target met, return early
+    return chainLength;
+  }
+
+  /**
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {int} count - Number of primes in the chain
+   *
+   * @returns {Array} - The first count numbers of the chain
+   */
+  members(origin, count) {
+    let n = this.start(origin);
+    let members = [n];
+    for (let i = 1; i < count; i++) {
+      n = this.next(n);
+      members.push(n);
+    }
+    return members;
+  }
+
+  /**
+   * Member k of the chain is c * origin + d mod q, where c starts at 1 and
+   * d at -1 or +1, and each step takes c to a * c and d to a * d + 1 or
+   * a * d - 1. With a = 2 this is 2^k * origin - 1 or 2^k * origin + 1.
+   *
+   * @param {int} q - Small prime that does not divide the base primorial
+   * @param {int} count - Number of members
+   *
+   * @returns {Array} - Origin mod q for each member, or null for a member q never divides
+   */
+  divisibleOrigins(q, count) {
+    let a = this.multiplier % q;
+    let step = this.firstKind ? 1 : q - 1;
+    let c = 1;
+    let d = this.firstKind ? q - 1 : 1;
+
+    let origins = [];
+    for (let k = 0; k < count; k++) {
+      origins.push(c === 0 ? null : ((q - d) * PrimeSieve.modInverse(c, q)) % q);
+      c = (c * a) % q;
+      d = (d * a + step) % q;
+    }
+    return origins;
+  }
+
+}
@@ -0,0 +1,133 @@
+"use strict";
+
+const EventEmitter = require('events');
+
+// Bytes in the length prefix of each frame
+const HEADER_SIZE = 4;
+
+// Largest frame accepted, anything bigger is treated as a corrupt stream
+const MAX_FRAME_SIZE = 64 * 1024 * 1024;
+
+// Events emitted by the decoder
+const MESSAGE = "MESSAGE";
+const MALFORMED = "MALFORMED";
+
+/**
+ * Splits a stream of bytes back into the JSON messages sent with
+ * FrameDecoder.encode. Each frame is a 4 byte big-endian length followed
+ * by that many bytes of JSON, so a message may arrive split across any
+ * number of chunks, and one chunk may hold many messages.
+ *
+ * A frame that is not valid JSON is reported with a MALFORMED event and
+ * skipped, since the length prefix still says where the next frame starts.
+ * A length over the maximum frame size means the stream can no longer be
+ * trusted, and is reported with an 'error' event.
+ */
+module.exports = class FrameDecoder extends EventEmitter {
+
+  static get MAX_FRAME_SIZE() { return MAX_FRAME_SIZE; }
+  static get MESSAGE() { return MESSAGE; }
+  static get MALFORMED() { return MALFORMED; }
+
+  /**
+   * Pack a message into a frame.
+   *
+   * @param {Object} o - Message to send, must convert to JSON
+   *
+   * @returns {Buffer} - Length prefix followed by the message as JSON
+   */
+  static encode(o) {
+    let body = Buffer.from(JSON.stringify(o));
+    let header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32BE(body.length, 0);
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * @param {int} [maxFrameSize] - Largest frame body accepted, in bytes.
+   */
+  constructor(maxFrameSize=MAX_FRAME_SIZE) {
+    super();
+    this.maxFrameSize = maxFrameSize;
+    this.chunks = [];
+    this.length = 0;
+
+    // Size of the frame being read, or null while waiting for a header
+    this.frameSize = null;
+  }
+
+  /**
+   * Add bytes received from the stream, emitting a MESSAGE event for
+   * every frame they complete.
+   *
+   * @param {Buffer} chunk - Bytes in the order they were received
+   */
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+
+    while (true) {
+      if (this.frameSize === null) {
+        if (this.length < HEADER_SIZE) return;
+
+        this.frameSize = this.take(HEADER_SIZE).readUInt32BE(0);
+        if (this.frameSize > this.maxFrameSize) {
+          let frameSize = this.frameSize;
+          this.reset();
+          this.emit('error', new Error(`Frame of ${frameSize} bytes is larger than the maximum of ${this.maxFrameSize}.`));
+          return;
+        }
+      }
+
+      if (this.length < this.frameSize) return;
+
+      let body = this.take(this.frameSize);
+      this.frameSize = null;
+
+      let o;
+      try {
+        o = JSON.parse(body.toString('utf8'));
+      } catch (e) {
+        this.emit(MALFORMED, e);
+        continue;
+      }
+      this.emit(MESSAGE, o);
+    }
+  }
+
+  /**
+   * Remove bytes from the front of the buffered chunks.
+   *
+   * @param {int} n - Number of bytes to remove, no more than are buffered
+   *
+   * @returns {Buffer} - The bytes removed
+   */
+  take(n) {
+    let parts = [];
+    let needed = n;
+    while (needed > 0) {
+      let chunk = this.chunks[0];
+      if (chunk.length <= needed) {
+        parts.push(chunk);
+        this.chunks.shift();
+        needed -= chunk.length;
+      }else {
+        parts.push(chunk.subarray(0, needed));
+        this.chunks[0] = chunk.subarray(needed);
+        needed = 0;
+      }
+    }
+    this.length -= n;
+    return parts.length === 1 ? parts[0] : Buffer.concat(parts, n);
+  }
+
+  /**
+   * Drop any buffered bytes and wait for a new header.
+   */
+  reset() {
+    this.chunks = [];
+    this.length = 0;
+    this.frameSize = null;
+  }
+
+}
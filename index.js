@@ -1,10 +1,39 @@
 "use strict";
 
+const BigNum = require('./bigNum.js');
+const BlockStore = require('./blockStore.js');
+const BlockValidator = require('./blockValidator.js');
+const ChainLog = require('./chainLog.js');
+const ChainExporter = require('./chainExporter.js');
+const ChainType = require('./chainType.js');
+const ChainTypes = require('./chainTypes.js');
+const CunninghamChain = require('./cunninghamChain.js');
+const BitwinChain = require('./bitwinChain.js');
+const PrimeTuplet = require('./primeTuplet.js');
+const FrameDecoder = require('./frameDecoder.js');
+const TcpNet = require('./tcpNet.js');
+const AddressBook = require('./addressBook.js');
+const TcpPrimeMiner = require('./tcpPrimeMiner.js');
+const ChainSync = require('./chainSync.js');
+const ProofValidator = require('./proofValidator.js');
+const BlockHeader = require('./blockHeader.js');
+const MerkleTree = require('./merkleTree.js');
+const NetworkProfiles = require('./networkProfiles.js');
+const RpcServer = require('./rpcServer.js');
+const CommandLine = require('./commandLine.js');
+const Logger = require('./logger.js');
+const PrimeLightClient = require('./primeLightClient.js');
+const PrimePool = require('./primePool.js');
+const PoolMiner = require('./poolMiner.js');
 const PrimeBlockchain = require('./primeBlockchain.js');
 const PrimeBlock = require('./primeBlock.js');
 const PrimeClient = require('./primeClient.js');
 const PrimeMiner = require('./primeMiner.js');
 const Prime = require('./prime.js');
+const Primality = require('./primality.js');
+const PrimeDifficulty = require('./primeDifficulty.js');
+const PrimeSieve = require('./primeSieve.js');
+const PrimeWorkerPool = require('./primeWorkerPool.js');
 
 module.exports = {
   PrimeBlockchain: PrimeBlockchain,
@@ -12,4 +41,33 @@ module.exports = {
   PrimeClient: PrimeClient,
   PrimeMiner: PrimeMiner,
   Prime: Prime,
+  Primality: Primality,
+  PrimeDifficulty: PrimeDifficulty,
+  PrimeSieve: PrimeSieve,
+  PrimeWorkerPool: PrimeWorkerPool,
+  BigNum: BigNum,
+  BlockStore: BlockStore,
+  BlockValidator: BlockValidator,
+  ChainLog: ChainLog,
+  ChainExporter: ChainExporter,
+  ChainType: ChainType,
+  ChainTypes: ChainTypes,
+  CunninghamChain: CunninghamChain,
+  BitwinChain: BitwinChain,
+  PrimeTuplet: PrimeTuplet,
+  FrameDecoder: FrameDecoder,
+  TcpNet: TcpNet,
+  AddressBook: AddressBook,
+  TcpPrimeMiner: TcpPrimeMiner,
+  ChainSync: ChainSync,
+  ProofValidator: ProofValidator,
+  BlockHeader: BlockHeader,
+  MerkleTree: MerkleTree,
+  NetworkProfiles: NetworkProfiles,
+  RpcServer: RpcServer,
+  CommandLine: CommandLine,
+  Logger: Logger,
+  PrimeLightClient: PrimeLightClient,
+  PrimePool: PrimePool,
+  PoolMiner: PoolMiner,
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+"use strict";
+
+// Levels from most to least severe
+const LEVELS = ["error", "warn", "info", "debug"];
+
+const DEFAULT_LEVEL = "info";
+
+/**
+ * Writes log lines as JSON objects, for miners running without a
+ * terminal. Each line holds the time, level, name of the miner and the
+ * message. Lines less severe than the chosen level are dropped.
+ */
+module.exports = class Logger {
+
+  static get LEVELS() { return LEVELS; }
+  static get DEFAULT_LEVEL() { return DEFAULT_LEVEL; }
+
+  /**
+   * @param {Object} obj - Logger settings.
+   * @param {string} [obj.name] - Name of the miner, included in every line.
+   * @param {string} [obj.level] - Least severe level written.
+   * @param {Object} [obj.stream] - Where lines are written, stdout by default.
+   */
+  constructor({name, level=DEFAULT_LEVEL, stream=process.stdout} = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Unknown log level ${level}, expected one of ${LEVELS.join(', ')}.`);
+    }
+    this.name = name;
+    this.level = level;
+    this.stream = stream;
+  }
+
+  /**
+   * @param {string} level - Level of a line
+   *
+   * @returns {boolean} - True if lines of that level are written
+   */
+  isEnabled(level) {
+    return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Write a line if its level is enabled.
+   *
+   * @param {string} level - Level of the line
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Extra fields to include
+   */
+  write(level, msg, fields) {
+    if (!this.isEnabled(level)) return;
+    let line = Object.assign({ time: new Date().toISOString(), level, name: this.name, msg }, fields);
+    this.stream.write(JSON.stringify(line) + '\n');
+  }
+
+  error(msg, fields) { this.write("error", msg, fields); }
+  warn(msg, fields) { this.write("warn", msg, fields); }
+  info(msg, fields) { this.write("info", msg, fields); }
+  debug(msg, fields) { this.write("debug", msg, fields); }
+
+}
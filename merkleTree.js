@@ -0,0 +1,124 @@
+"use strict";
+
+const { utils } = require('spartan-gold');
+
+// Prefixes keeping leaf hashes apart from the hashes of inner nodes, so
+// that an inner node can never be passed off as a leaf
+const LEAF_PREFIX = "0";
+const NODE_PREFIX = "1";
+
+// Root of a tree without leaves
+const EMPTY_ROOT = utils.hash("");
+
+/**
+ * Merkle tree over a list of strings, such as the ids of the transactions
+ * in a block. Each level hashes pairs of nodes from the level below, and a
+ * node left without a partner moves up unchanged. A proof that a leaf is
+ * in the tree lists the sibling hashes on the path from the leaf to the
+ * root, so it grows with the log of the number of leaves.
+ */
+module.exports = class MerkleTree {
+
+  static get EMPTY_ROOT() { return EMPTY_ROOT; }
+
+  /**
+   * @param {string} leaf - Value of a leaf
+   *
+   * @returns {string} - Hash of the leaf
+   */
+  static hashLeaf(leaf) {
+    return utils.hash(LEAF_PREFIX + leaf);
+  }
+
+  /**
+   * @param {string} left - Hash of the left child
+   * @param {string} right - Hash of the right child
+   *
+   * @returns {string} - Hash of the inner node
+   */
+  static hashNode(left, right) {
+    return utils.hash(NODE_PREFIX + left + right);
+  }
+
+  /**
+   * @param {Array} leaves - Values of the leaves, in order
+   *
+   * @returns {string} - Root hash of the tree
+   */
+  static root(leaves) {
+    if (leaves.length === 0) {
+      return EMPTY_ROOT;
+    }
+
+    let level = leaves.map((leaf) => MerkleTree.hashLeaf(leaf));
+    while (level.length > 1) {
+      level = MerkleTree.nextLevel(level);
+    }
+    return level[0];
+  }
+
+  /**
+   * @param {Array} level - Hashes of one level of the tree
+   *
+   * @returns {Array} - Hashes of the level above
+   */
+  static nextLevel(level) {
+    let next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? MerkleTree.hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    return next;
+  }
+
+  /**
+   * Build a proof that the leaf at an index is in the tree.
+   *
+   * @param {Array} leaves - Values of the leaves, in order
+   * @param {int} index - Position of the leaf
+   *
+   * @returns {Array} - Sibling hashes from the leaf up, each marked with
+   *      whether the sibling is on the left
+   */
+  static proof(leaves, index) {
+    if (index < 0 || index >= leaves.length) {
+      throw new Error(`No leaf at index ${index}.`);
+    }
+
+    let proof = [];
+    let level = leaves.map((leaf) => MerkleTree.hashLeaf(leaf));
+    while (level.length > 1) {
+      let sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < level.length) {
+        proof.push({ hash: level[sibling], left: sibling < index });
+      }
+      level = MerkleTree.nextLevel(level);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  /**
+   * Check a proof from MerkleTree.proof against a root.
+   *
+   * @param {string} leaf - Value of the leaf
+   * @param {Array} proof - Sibling hashes from the leaf up
+   * @param {string} root - Root hash of the tree
+   *
+   * @returns {boolean} - True if the leaf is in the tree with that root
+   */
+  static verify(leaf, proof, root) {
+    if (!Array.isArray(proof)) {
+      return false;
+    }
+
+    let hash = MerkleTree.hashLeaf(leaf);
+    for (let step of proof) {
+      if (step === null || typeof step.hash !== 'string') {
+        return false;
+      }
+      hash = step.left ? MerkleTree.hashNode(step.hash, hash) : MerkleTree.hashNode(hash, step.hash);
+    }
+    return hash === root;
+  }
+
+}
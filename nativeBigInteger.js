@@ -0,0 +1,188 @@
+"use strict";
+
+// Same small primes jsbn uses in isProbablePrime, so both backends
+// agree on which numbers pass.
+const LOW_PRIMES = [2,3,5,7,11,13,17,19,23,29,31,37,41,43,47,53,59,61,67,71,73,79,83,89,97,101,103,107,109,113,127,131,137,139,149,151,157,163,167,173,179,181,191,193,197,199,211,223,227,229,233,239,241,251,257,263,269,271,277,281,283,293,307,311,313,317,331,337,347,349,353,359,367,373,379,383,389,397,401,409,419,421,431,433,439,443,449,457,461,463,467,479,487,491,499,503,509,521,523,541,547,557,563,569,571,577,587,593,599,601,607,613,617,619,631,641,643,647,653,659,661,673,677,683,691,701,709,719,727,733,739,743,751,757,761,769,773,787,797,809,811,821,823,827,829,839,853,857,859,863,877,881,883,887,907,911,919,929,937,941,947,953,967,971,977,983,991,997];
+const LOW_PRIME_MAX = BigInt(LOW_PRIMES[LOW_PRIMES.length - 1]);
+
+/**
+ * Implements the part of the jsbn BigInteger interface used by
+ * SpartanGoldPrime on top of the native JS BigInt type.
+ */
+module.exports = class NativeBigInteger {
+
+  /**
+   * @param {string | number | bigint} value - Number to wrap, strings are parsed in radix
+   * @param {int} [radix] - Radix of value when it is a string
+   */
+  constructor(value, radix=10) {
+    if (typeof value === 'bigint') {
+      this.value = value;
+    }else if (typeof value === 'number') {
+      this.value = BigInt(value);
+    }else {
+      this.value = NativeBigInteger.parse(value, radix);
+    }
+  }
+
+  /**
+   * Parse a string in any radix from 2 to 36, with an optional minus sign.
+   *
+   * @param {string} s - Digits to parse
+   * @param {int} radix - Radix of digits
+   *
+   * @returns {bigint} - Parsed value
+   */
+  static parse(s, radix) {
+    s = s.trim();
+    let negative = s.startsWith("-");
+    if (negative) s = s.substring(1);
+
+    let value;
+    if (radix === 10) {
+      value = BigInt(s);
+    }else if (radix === 16) {
+      value = BigInt("0x" + s);
+    }else {
+      let bigRadix = BigInt(radix);
+      value = 0n;
+      for (let c of s.toLowerCase()) {
+        let digit = parseInt(c, radix);
+        if (Number.isNaN(digit)) {
+          throw new Error(`Invalid digit ${c} for radix ${radix}.`);
+        }
+        value = value * bigRadix + BigInt(digit);
+      }
+    }
+
+    return negative ? -value : value;
+  }
+
+  add(n) { return new NativeBigInteger(this.value + n.value); }
+
+  subtract(n) { return new NativeBigInteger(this.value - n.value); }
+
+  multiply(n) { return new NativeBigInteger(this.value * n.value); }
+
+  // Rounds towards zero, like jsbn
+  divide(n) { return new NativeBigInteger(this.value / n.value); }
+
+  negate() { return new NativeBigInteger(-this.value); }
+
+  abs() { return this.value < 0n ? this.negate() : this; }
+
+  signum() { return this.value > 0n ? 1 : (this.value < 0n ? -1 : 0); }
+
+  /**
+   * Remainder that is never negative, like jsbn.
+   */
+  mod(n) {
+    let r = this.value % n.value;
+    return new NativeBigInteger(r < 0n ? r + n.value : r);
+  }
+
+  /**
+   * this ^ e mod m, by square and multiply.
+   */
+  modPow(e, m) {
+    let modulus = m.value;
+    let base = this.mod(m).value;
+    let exponent = e.value;
+    let result = 1n % modulus;
+    while (exponent > 0n) {
+      if (exponent & 1n) {
+        result = (result * base) % modulus;
+      }
+      base = (base * base) % modulus;
+      exponent >>= 1n;
+    }
+    return new NativeBigInteger(result);
+  }
+
+  pow(e) { return new NativeBigInteger(this.value ** BigInt(e)); }
+
+  shiftLeft(n) { return new NativeBigInteger(this.value << BigInt(n)); }
+
+  shiftRight(n) { return new NativeBigInteger(this.value >> BigInt(n)); }
+
+  setBit(n) { return new NativeBigInteger(this.value | (1n << BigInt(n))); }
+
+  testBit(n) { return ((this.value >> BigInt(n)) & 1n) === 1n; }
+
+  bitLength() {
+    let v = this.value < 0n ? -this.value - 1n : this.value;
+    return v === 0n ? 0 : v.toString(2).length;
+  }
+
+  compareTo(n) {
+    return this.value < n.value ? -1 : (this.value > n.value ? 1 : 0);
+  }
+
+  equals(n) { return this.value === n.value; }
+
+  // Lowest 32 bits as a signed int, like jsbn
+  intValue() { return Number(BigInt.asIntN(32, this.value)); }
+
+  toString(radix=10) { return this.value.toString(radix); }
+
+  /**
+   * Same test as jsbn: trial division by small primes followed by
+   * (t + 1) / 2 rounds of Miller-Rabin with random small prime bases.
+   * Without t, only trial division is done.
+   *
+   * @param {int} [t] - Number of Miller-Rabin rounds times two
+   *
+   * @returns {boolean} - Whether this is probably prime
+   */
+  isProbablePrime(t) {
+    let x = this.value < 0n ? -this.value : this.value;
+    if (x <= LOW_PRIME_MAX) {
+      return LOW_PRIMES.includes(Number(x));
+    }
+    if ((x & 1n) === 0n) {
+      return false;
+    }
+    for (let i = 1; i < LOW_PRIMES.length; i++) {
+      if (x % BigInt(LOW_PRIMES[i]) === 0n) {
+        return false;
+      }
+    }
+    return NativeBigInteger.millerRabin(x, (t + 1) >> 1);
+  }
+
+  /**
+   * Miller-Rabin test with random bases picked from the small primes.
+   *
+   * @param {bigint} n - Odd number to test
+   * @param {int} rounds - Number of bases to try
+   *
+   * @returns {boolean} - Whether n is probably prime
+   */
+  static millerRabin(n, rounds) {
+    let n1 = n - 1n;
+    let k = 0;
+    let r = n1;
+    while ((r & 1n) === 0n) {
+      r >>= 1n;
+      k++;
+    }
+
+    let modulus = new NativeBigInteger(n);
+    let exponent = new NativeBigInteger(r);
+    rounds = Math.min(rounds, LOW_PRIMES.length);
+    for (let i = 0; i < rounds; i++) {
+      let a = LOW_PRIMES[Math.floor(Math.random() * LOW_PRIMES.length)];
+      let y = new NativeBigInteger(a).modPow(exponent, modulus).value;
+      if (y !== 1n && y !== n1) {
+        let j = 1;
+        while (j++ < k && y !== n1) {
+          y = (y * y) % n;
+          if (y === 1n) return false;
+        }
+        if (y !== n1) return false;
+      }
+    }
+    return true;
+  }
+
+}
@@ -0,0 +1,86 @@
+"use strict";
+
+// Names of the networks
+const MAINNET = "mainnet";
+const TESTNET = "testnet";
+const REGTEST = "regtest";
+
+// Consensus settings of the main network. Other networks only list what
+// they change.
+const MAINNET_PROFILE = {
+  network: MAINNET,
+  // Sent with every TcpNet message and hashed into the genesis block, so
+  // nodes of different networks ignore each other
+  magic: "f1c2a7e5",
+  // Fixed so that every node of a network makes the same genesis block
+  genesisTimestamp: 1577836800000,
+  // Block header hashes must be at least 2^255
+  blockHeaderHashMinBits: 255,
+  // 7# = 210, primorial of 7, used as base multiplier for proofs
+  basePrimorial: 210,
+  primeChainBaseTarget: 2,
+  minPrimeChainTarget: 1,
+  maxPrimeChainTarget: 20,
+  targetBlockTime: 10000,
+  retargetInterval: 10,
+  // A block's timestamp must be later than the median of this many blocks
+  // before it, and at most maxFutureDrift milliseconds ahead of local time
+  medianTimeSpan: 11,
+  maxFutureDrift: 120000,
+  coinbaseAmount: 25,
+  defaultTxFee: 1,
+  confirmedDepth: 6,
+};
+
+// Every network, by name
+const PROFILES = new Map([
+  [MAINNET, MAINNET_PROFILE],
+  [TESTNET, Object.assign({}, MAINNET_PROFILE, {
+    network: TESTNET,
+    magic: "0d1e2f30",
+    genesisTimestamp: 1580515200000,
+  })],
+  // The target is always 1, so blocks can be made on demand for testing
+  [REGTEST, Object.assign({}, MAINNET_PROFILE, {
+    network: REGTEST,
+    magic: "fabfb5da",
+    genesisTimestamp: 1583020800000,
+    primeChainBaseTarget: 1,
+    minPrimeChainTarget: 1,
+    maxPrimeChainTarget: 1,
+  })],
+]);
+
+/**
+ * Named sets of consensus settings, so that several networks can run side
+ * by side on one host without talking to each other. A profile holds the
+ * settings taken by PrimeBlockchain.makeGenesis, which uses the profile
+ * named by its network setting, mainnet by default. Settings given to
+ * makeGenesis replace those of the profile.
+ */
+module.exports = class NetworkProfiles {
+
+  static get MAINNET() { return MAINNET; }
+  static get TESTNET() { return TESTNET; }
+  static get REGTEST() { return REGTEST; }
+
+  /**
+   * @returns {Array} - Names of every network
+   */
+  static names() {
+    return Array.from(PROFILES.keys());
+  }
+
+  /**
+   * @param {string} name - Name of a network
+   *
+   * @returns {Object} - Copy of the network's consensus settings
+   */
+  static get(name) {
+    if (!PROFILES.has(name)) {
+      throw new Error(`Unknown network ${name}, expected one of ${NetworkProfiles.names().join(", ")}.`);
+    }
+    return Object.assign({}, PROFILES.get(name));
+  }
+
+}
@@ -0,0 +1,168 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeMiner = require('./primeMiner.js');
+const PrimePool = require('./primePool.js');
+const ChainSync = require('./chainSync.js');
+const Prime = require('./prime.js');
+
+/**
+ * Miner that searches for a PrimePool instead of building its own blocks.
+ * It asks the pool for a job, searches the range of multipliers it was
+ * given, and submits every chain meeting the share target. When the range
+ * is used up it asks for another one. The miner still keeps the chain, so
+ * it can follow its own balance as payouts arrive.
+ */
+module.exports = class PoolMiner extends PrimeMiner {
+
+  /**
+   * In addition to the settings of PrimeMiner, a pool miner takes the
+   * address of its pool. Mining runs on the main thread in slices of
+   * miningRounds.
+   *
+   * @param {Object} obj - The properties of the miner, see PrimeMiner.
+   * @param {string} obj.pool - Address of the pool to mine for.
+   */
+  constructor(args={}) {
+    super(Object.assign({}, args, { threads: 0 }));
+    this.pool = args.pool;
+
+    // Range of the job being searched, and whether a search is scheduled
+    this.job = undefined;
+    this.searching = false;
+
+    this.shareStats = { submitted: 0, accepted: 0, rejected: 0 };
+
+    this.on(PrimePool.JOB, (o) => this.receiveJob(o));
+    this.on(PrimePool.SHARE_RESULT, (o) => this.receiveShareResult(o));
+  }
+
+  /**
+   * Catches up with peers and asks the pool for a job. Unlike other miners,
+   * a pool miner does not build blocks, so it does not collect transactions.
+   */
+  initialize() {
+    this.startSync();
+    this.on(PrimeBlockchain.START_MINING, this.findProof);
+    this.on(ChainSync.SYNC_DONE, () => this.resumeSearch());
+    this.requestJob();
+  }
+
+  /**
+   * Ask the pool for a range to search.
+   */
+  requestJob() {
+    this.net.sendMessage(this.pool, PrimePool.GET_JOB, { from: this.address });
+  }
+
+  /**
+   * Search the range of a new job. A job with a new id replaces the old
+   * one, since the pool no longer accepts shares for it.
+   *
+   * @param {Object} job - Job sent by the pool
+   */
+  receiveJob(job) {
+    this.job = job;
+    this.resumeSearch();
+  }
+
+  /**
+   * @param {Object} result - Whether the pool accepted a share, and why not
+   */
+  receiveShareResult({accepted, reason}) {
+    if (accepted) {
+      this.shareStats.accepted++;
+    }else {
+      this.shareStats.rejected++;
+      this.log(`Pool rejected share: ${reason}.`);
+    }
+  }
+
+  /**
+   * Schedule the search, unless it is already scheduled.
+   */
+  resumeSearch() {
+    if (this.searching) return;
+    this.searching = true;
+    setTimeout(() => this.emit(PrimeBlockchain.START_MINING), 0);
+  }
+
+  /**
+   * Search the multipliers of the current job like PrimeMiner.findProof,
+   * submitting each chain that meets the share target. The search stops
+   * until the pool sends a job when the range is used up, and while syncing.
+   *
+   * @param {boolean} oneAndDone - Give up after the first slice (testing only).
+   */
+  findProof(oneAndDone=false) {
+    this.searching = false;
+    let job = this.job;
+    if (this.syncing || job === undefined) return;
+
+    let blockHeaderHash = BigNum.from(job.headerHash, 16);
+    let base = blockHeaderHash.multiply(Prime.BI_BASE_PRIMORIAL);
+
+    let roundsDone = 0;
+    while (roundsDone < this.miningRounds) {
+      roundsDone++;
+
+      // Sieve the start of a new range, or the next window of this one
+      let window = this.sieveWindow;
+      if (window === undefined || window.job !== job) {
+        this.sieveWindow = this.sieveRange(job, base, job.start);
+        continue;
+      }else if (window.index >= window.offsets.length) {
+        let nextStart = window.start + this.sieve.sieveSize;
+        if (nextStart >= job.end) {
+          this.job = undefined;
+          this.requestJob();
+          return;
+        }
+        this.sieveWindow = this.sieveRange(job, base, nextStart);
+        continue;
+      }
+
+      let index = window.start + window.offsets[window.index++];
+      if (index >= job.end) continue;
+
+      let multiplier = Prime.BI_BASE_PRIMORIAL.multiply(BigNum.from(index));
+      let { chainLength, chainType } = Prime.findPrimeChain(blockHeaderHash.multiply(multiplier), job.target);
+      this.sieve.recordResult(chainLength, job.shareTarget);
+      if (this.chainLog) {
+        this.chainLog.record({ headerHash: job.headerHash, multiplier: multiplier.toString(), chainLength, chainType });
+      }
+
+      if (chainLength >= job.shareTarget) {
+        this.shareStats.submitted++;
+        this.net.sendMessage(this.pool, PrimePool.SUBMIT_SHARE, {
+          from: this.address,
+          jobId: job.jobId,
+          multiplier: multiplier.toString(),
+          chainType,
+          chainLength,
+        });
+      }
+    }
+
+    // If we are testing, don't continue the search.
+    if (!oneAndDone) {
+      this.resumeSearch();
+    }
+  }
+
+  /**
+   * Sieve a window of multipliers from a job's range.
+   *
+   * @param {Object} job - Job the window belongs to
+   * @param {BigInteger} base - Block header hash times the base primorial
+   * @param {int} start - First multiplier in the window
+   *
+   * @returns {Object} - Window with the multipliers to test as offsets from start
+   */
+  sieveRange(job, base, start) {
+    let offsets = this.sieve.sieve(base, BigNum.from(start), job.shareTarget);
+    return { job, start, offsets, index: 0 };
+  }
+
+}
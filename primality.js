@@ -0,0 +1,186 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+
+// Bases for Miller-Rabin, the primes below 100. The first 13 alone make
+// the test exact for numbers below 3.3 * 10^24.
+const MILLER_RABIN_BASES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47,
+  53, 59, 61, 67, 71, 73, 79, 83, 89, 97];
+
+/**
+ * Strong primality tests for checking prime chains after the fact,
+ * independent of the quicker tests the miner uses while searching. A
+ * number passes if it survives Miller-Rabin with every base in
+ * MILLER_RABIN_BASES and the Baillie-PSW test, for which no composite is
+ * known to pass.
+ */
+module.exports = class Primality {
+
+  static get MILLER_RABIN_BASES() { return MILLER_RABIN_BASES; }
+
+  /**
+   * @param {BigInteger} n - Number to test
+   *
+   * @returns {boolean} - True if n passes every test
+   */
+  static isPrime(n) {
+    let two = BigNum.constant("2");
+    if (n.compareTo(two) < 0) return false;
+
+    // Small numbers are settled by the bases themselves
+    for (let base of MILLER_RABIN_BASES) {
+      let b = BigNum.from(base);
+      if (n.equals(b)) return true;
+      if (n.mod(b).signum() === 0) return false;
+    }
+
+    return MILLER_RABIN_BASES.every((base) => Primality.millerRabinTest(n, base)) &&
+      Primality.bpswTest(n);
+  }
+
+  /**
+   * Baillie-PSW test: Miller-Rabin with base 2 followed by a strong Lucas
+   * test with parameters chosen by Selfridge's method.
+   *
+   * @param {BigInteger} n - Odd number greater than 2
+   *
+   * @returns {boolean} - True if n is a probable prime
+   */
+  static bpswTest(n) {
+    return Primality.millerRabinTest(n, 2) && Primality.strongLucasTest(n);
+  }
+
+  /**
+   * Miller-Rabin test with a single base. With n - 1 = d * 2^s and d odd,
+   * n passes if base^d = 1 or base^(d * 2^r) = n - 1 for some r < s.
+   *
+   * @param {BigInteger} n - Odd number greater than 2
+   * @param {int} base - Base of the test
+   *
+   * @returns {boolean} - True if n is a strong probable prime to the base
+   */
+  static millerRabinTest(n, base) {
+    let one = BigNum.constant("1");
+    let nMinusOne = n.subtract(one);
+    let b = BigNum.from(base).mod(n);
+    if (b.signum() === 0) return true;
+
+    let s = 0;
+    let d = nMinusOne;
+    while (!d.testBit(0)) {
+      d = d.shiftRight(1);
+      s++;
+    }
+
+    let x = b.modPow(d, n);
+    if (x.equals(one) || x.equals(nMinusOne)) return true;
+    for (let r = 1; r < s; r++) {
+      x = x.multiply(x).mod(n);
+      if (x.equals(nMinusOne)) return true;
+      if (x.equals(one)) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Strong Lucas probable prime test. D is the first of 5, -7, 9, -11, ...
+   * with Jacobi symbol (D/n) = -1, P = 1 and Q = (1 - D) / 4. With
+   * n + 1 = d * 2^s and d odd, n passes if U_d = 0 or V_(d * 2^r) = 0
+   * mod n for some r < s.
+   *
+   * @param {BigInteger} n - Odd number greater than 2
+   *
+   * @returns {boolean} - True if n is a strong Lucas probable prime
+   */
+  static strongLucasTest(n) {
+    // No D can be found for a perfect square
+    if (Primality.isSquare(n)) return false;
+
+    let D = 5;
+    for (;;) {
+      let jacobi = Primality.jacobi(BigNum.from(D).mod(n), n);
+      if (jacobi === -1) break;
+      if (jacobi === 0 && !BigNum.from(Math.abs(D)).equals(n)) return false;
+      D = D > 0 ? -(D + 2) : -D + 2;
+    }
+    let P = BigNum.constant("1");
+    let Q = BigNum.from((1 - D) / 4).mod(n);
+    let bigD = BigNum.from(D).mod(n);
+
+    let d = n.add(BigNum.constant("1"));
+    let s = 0;
+    while (!d.testBit(0)) {
+      d = d.shiftRight(1);
+      s++;
+    }
+
+    // Halve a number mod n, n being odd
+    let half = (x) => (x.testBit(0) ? x.add(n) : x).shiftRight(1).mod(n);
+
+    let two = BigNum.constant("2");
+    let U = BigNum.constant("1");
+    let V = P;
+    let Qk = Q;
+    for (let i = d.bitLength() - 2; i >= 0; i--) {
+      U = U.multiply(V).mod(n);
+      V = V.multiply(V).subtract(two.multiply(Qk)).mod(n);
+      Qk = Qk.multiply(Qk).mod(n);
+      if (d.testBit(i)) {
+        [U, V] = [half(P.multiply(U).add(V)), half(bigD.multiply(U).add(P.multiply(V)))];
+        Qk = Qk.multiply(Q).mod(n);
+      }
+    }
+
+    if (U.signum() === 0 || V.signum() === 0) return true;
+    for (let r = 1; r < s; r++) {
+      V = V.multiply(V).subtract(two.multiply(Qk)).mod(n);
+      if (V.signum() === 0) return true;
+      Qk = Qk.multiply(Qk).mod(n);
+    }
+    return false;
+  }
+
+  /**
+   * Jacobi symbol (a/n).
+   *
+   * @param {BigInteger} a - Number from 0 to n - 1
+   * @param {BigInteger} n - Odd positive number
+   *
+   * @returns {int} - 1, -1, or 0 if a and n share a factor
+   */
+  static jacobi(a, n) {
+    let one = BigNum.constant("1");
+    let result = 1;
+    while (a.signum() !== 0) {
+      while (!a.testBit(0)) {
+        a = a.shiftRight(1);
+        let r = n.mod(BigNum.constant("8")).intValue();
+        if (r === 3 || r === 5) result = -result;
+      }
+      [a, n] = [n, a];
+      let four = BigNum.constant("4");
+      if (a.mod(four).intValue() === 3 && n.mod(four).intValue() === 3) result = -result;
+      a = a.mod(n);
+    }
+    return n.equals(one) ? result : 0;
+  }
+
+  /**
+   * @param {BigInteger} n - Non-negative number
+   *
+   * @returns {boolean} - True if n is the square of a whole number
+   */
+  static isSquare(n) {
+    if (n.signum() === 0) return true;
+
+    // Newton's method, starting above the square root
+    let x = BigNum.constant("1").shiftLeft(Math.ceil(n.bitLength() / 2));
+    for (;;) {
+      let y = x.add(n.divide(x)).shiftRight(1);
+      if (y.compareTo(x) >= 0) break;
+      x = y;
+    }
+    return x.multiply(x).equals(n);
+  }
+
+}
@@ -1,26 +1,34 @@
 "use strict";
 
 const PrimeBlockchain = require('./primeBlockchain.js');
-const BigInteger = require('jsbn').BigInteger;
-
-// Frequently used BigInteger constants
-const BI_ZERO = new BigInteger("0");
-const BI_ONE = new BigInteger("1");
-const BI_TWO = new BigInteger("2");
-const BI_THREE = new BigInteger("3");
-const BI_FOUR = new BigInteger("4");
-
-// 7# = 210, primorial of 7, used as base multiplier for proofs
-const BI_BASE_PRIMORIAL = new BigInteger("210");
+const BigNum = require('./bigNum.js');
+
+/**
+ * The chain types are built on the tests in this module, so the registry
+ * is only loaded once it is first needed.
+ *
+ * @returns {ChainTypes} - Registry of chain types
+ */
+function chainTypes() {
+  return require('./chainTypes.js');
+}
+
+// Precision of fractional prime chain lengths
+const FRACTIONAL_BITS = 24;
+const FRACTIONAL_ONE = 1 << FRACTIONAL_BITS;
 
 module.exports = class Prime {
 
-  static get BI_ZERO() { return BI_ZERO; }
-  static get BI_ONE() { return BI_ONE; }
-  static get BI_TWO() { return BI_TWO; }
-  static get BI_THREE() { return BI_THREE; }
-  static get BI_FOUR() { return BI_FOUR; }
-  static get BI_BASE_PRIMORIAL() { return BI_BASE_PRIMORIAL; }
+  // Frequently used BigInteger constants, from the BigNum backend in use
+  static get BI_ZERO() { return BigNum.constant("0"); }
+  static get BI_ONE() { return BigNum.constant("1"); }
+  static get BI_TWO() { return BigNum.constant("2"); }
+  static get BI_THREE() { return BigNum.constant("3"); }
+  static get BI_FOUR() { return BigNum.constant("4"); }
+
+  // Base multiplier for proofs, 7# = 210 unless the network uses another
+  static get BI_BASE_PRIMORIAL() { return BigNum.constant(String(PrimeBlockchain.BASE_PRIMORIAL)); }
+  static get FRACTIONAL_BITS() { return FRACTIONAL_BITS; }
 
   /**
    * Fermat's little theorem used as probable primality test
@@ -33,12 +41,12 @@ module.exports = class Prime {
    */
   static fermatPrimalityTest(n) {
     // 2 is prime
-    if (n.compareTo(BI_TWO) === 0) {
+    if (n.compareTo(Prime.BI_TWO) === 0) {
       return true;
     }
 
     // 2 ^ (n-1) mod n = 1
-    if (BI_TWO.modPow(n.subtract(BI_ONE), n).compareTo(BI_ONE) === 0) {
+    if (Prime.BI_TWO.modPow(n.subtract(Prime.BI_ONE), n).compareTo(Prime.BI_ONE) === 0) {
       return true;
     }
 
@@ -52,21 +60,24 @@ module.exports = class Prime {
    * 
    * http://www.primenumbers.net/Henri/us/NouvTh1us.htm
    *
+   * Each condition is checked with modular exponentiation, since 2^p
+   * itself has as many bits as p is large.
+   *
    * @param {BigInteger} p - Base prime number to start chain
    * @param {string} chainType - First or second Cunningham chain
    *
    * @returns {boolean} - Next number in chain is prime or not
    */
   static eulerLagrangePrimalityTest(p, chainType) {
-    let pMod4 = p.mod(BI_FOUR);
+    let pMod4 = p.mod(Prime.BI_FOUR);
 
     // Edge cases for p < 4
-    if (p.compareTo(BI_ZERO) > 0 && p.compareTo(BI_FOUR) < 0) {
+    if (p.compareTo(Prime.BI_ZERO) > 0 && p.compareTo(Prime.BI_FOUR) < 0) {
       return true;
     }
 
     // Edge case for p = 4
-    if (p.compareTo(BI_FOUR) === 0) {
+    if (p.compareTo(Prime.BI_FOUR) === 0) {
       if (chainType ===  PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
         return true;
       }else {
@@ -75,36 +86,24 @@ module.exports = class Prime {
     }
 
     if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
-      if (pMod4.compareTo(BI_ONE) === 0) {
+      let m = p.multiply(Prime.BI_TWO).add(Prime.BI_ONE);
+      let r = Prime.BI_TWO.modPow(p, m);
+      if (pMod4.compareTo(Prime.BI_ONE) === 0) {
         // (2^p + 1) mod (2p + 1) = 0
-        let a = BI_TWO.pow(p).add(BI_ONE);
-        let m = p.multiply(BI_TWO).add(BI_ONE);
-        if (a.mod(m).compareTo(BI_ZERO) === 0) {
-          return true; 
-        }
-      }else if (pMod4.compareTo(BI_THREE) === 0) {
+        return r.compareTo(m.subtract(Prime.BI_ONE)) === 0;
+      }else if (pMod4.compareTo(Prime.BI_THREE) === 0) {
         // (2^p - 1) mod (2p + 1) = 0
-        let a = BI_TWO.pow(p).subtract(BI_ONE);
-        let m = p.multiply(BI_TWO).add(BI_ONE);
-        if (a.mod(m).compareTo(BI_ZERO) === 0) {
-          return true;
-        }
+        return r.compareTo(Prime.BI_ONE) === 0;
       }
     }else if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
-      if (pMod4.compareTo(BI_ONE) === 0) {
+      let m = p.multiply(Prime.BI_TWO).subtract(Prime.BI_ONE);
+      let r = Prime.BI_TWO.modPow(p.subtract(Prime.BI_ONE), m);
+      if (pMod4.compareTo(Prime.BI_ONE) === 0) {
         // (2^(p-1) - 1) mod (2p - 1) = 0
-        let a = BI_TWO.pow(p.subtract(BI_ONE)).subtract(BI_ONE);
-        let m = p.multiply(BI_TWO).subtract(BI_ONE);
-        if (a.mod(m).compareTo(BI_ZERO) === 0) {
-          return true;
-        }
-      }else if (pMod4.compareTo(BI_THREE) === 0) {
+        return r.compareTo(Prime.BI_ONE) === 0;
+      }else if (pMod4.compareTo(Prime.BI_THREE) === 0) {
         // (2^(p-1) + 1) mod (2p - 1) = 0
-        let a = BI_TWO.pow(p.subtract(BI_ONE)).add(BI_ONE);
-        let m = p.multiply(BI_TWO).subtract(BI_ONE);
-        if (a.mod(m).compareTo(BI_ZERO) === 0) {
-          return true;
-        }
+        return r.compareTo(m.subtract(Prime.BI_ONE)) === 0;
       }
     }
 
@@ -112,92 +111,97 @@ module.exports = class Prime {
   }
 
   /**
-   * Starting from a given number, test for primality and probable
-   * prime chain length of a certain type of Cunningham chain. Uses
-   * basic Fermat's little theorem for first number and Lifchitz's
-   * generalized theorem for rest of chain.
+   * Fractional part of a prime chain length, as used by Primecoin. The
+   * first composite number that breaks a chain is scored by how close
+   * its Fermat test came to passing, so a chain of 3 primes ending in a
+   * "nearly prime" composite scores closer to 4 than one ending in an
+   * obviously composite number. The fraction is truncated to
+   * FRACTIONAL_BITS bits so every node computes the same value.
    *
-   * @param {BigInteger} n - First number in potential prime chain
-   * @param {string} chainType - First or second Cunningham chain
+   * fraction = (n - (2 ^ (n-1) mod n)) / n
+   *
+   * @param {BigInteger} n - Composite number that broke the chain
    *
-   * @returns {int} - Length of Cunningham chain found
+   * @returns {number} - Fraction between 0 (inclusive) and 1 (exclusive)
    */
-  static findCunninghamChain(n, chainType, target) {
-    let chainLength = 1;
-
-    // Test first number for primality with Fermat's little theorem
-    if (!Prime.fermatPrimalityTest(n) || !n.isProbablePrime()) {
-      return 0;
-    }
+  static fractionalLength(n) {
+    let residue = Prime.BI_TWO.modPow(n.subtract(Prime.BI_ONE), n);
+    let fraction = n.subtract(residue).shiftLeft(FRACTIONAL_BITS).divide(n);
+    return fraction.intValue() / FRACTIONAL_ONE;
+  }
 
-    // Target met, return early
-    if (chainLength >= target) {
-      return chainLength;
+  /**
+   * Next number in a Cunningham chain, 2n + 1 for the first kind
+   * and 2n - 1 for the second kind.
+   *
+   * @param {BigInteger} n - Current number in chain
+   * @param {string} chainType - First or second Cunningham chain
+   *
+   * @returns {BigInteger} - Next number in chain
+   */
+  static nextInChain(n, chainType) {
+    if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
+      return n.multiply(Prime.BI_TWO).add(Prime.BI_ONE);
+    }else if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
+      return n.multiply(Prime.BI_TWO).subtract(Prime.BI_ONE);
+    }else {
+      throw new Error("Tried to test for Cunningham chain with invalid chain type.");
     }
+  }
 
-    // Test next number in chain using Lifchitz's theorem
-    while (Prime.eulerLagrangePrimalityTest(n, chainType)) {
-      chainLength += 1;
-
-      // Check next number
-      if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
-        n = n.multiply(BI_TWO).add(BI_ONE);
-      }else if (chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
-        n = n.multiply(BI_TWO).subtract(BI_ONE);
-      }else {
-        throw new Error("Tried to test for Cunningham chain with invalid chain type.");
-      }
-
-      // Double check with jsbn.BigInteger primality test
-      if (!Prime.fermatPrimalityTest(n) || !n.isProbablePrime()) {
-       chainLength -= 1;
-       break;
-      }
-
-      // Target met, return early
-      if (chainLength >= target) {
-        return chainLength;
-      }
+  /**
+   * Starting from a given number, test for primality and probable
+   * prime chain length of a certain type of Cunningham chain, see
+   * CunninghamChain.searchFrom.
+   *
+   * @param {BigInteger} n - First number in potential prime chain
+   * @param {string} chainType - First or second Cunningham chain
+   * @param {number} [target] - Chain length to reach
+   *
+   * @returns {number} - Fractional length of Cunningham chain found
+   */
+  static findCunninghamChain(n, chainType, target=Infinity) {
+    if (chainType !== PrimeBlockchain.CUNNINGHAM_CHAIN_1 && chainType !== PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
+      throw new Error("Tried to test for Cunningham chain with invalid chain type.");
     }
-
-    return chainLength;
+    return chainTypes().get(chainType).searchFrom(n, target);
   }
 
   /**
-   * Starting from a given chain origin (not prime), find prime
-   * chain from (origin + 1) for first Cunningham type chain and
-   * (origin - 1) for second Cunningham type chain. Bitwin chains
-   * are both types of Cunningham chains. Return best chain type
-   * based on longest length.
+   * Combine the lengths of the two Cunningham chains sharing an origin
+   * into a bitwin chain length, the same way Primecoin does. If the first
+   * type of chain is longer, allow for 1 extra prime so bitwin chains can
+   * have odd length. The fraction comes from whichever chain ends first.
    *
-   * @param {BigInteger} n - Origin number, check n-1, n+1
-   * @param {int} target - chain length to reach
+   * @param {number} firstChainLength - Length of first Cunningham chain from (origin - 1)
+   * @param {number} secondChainLength - Length of second Cunningham chain from (origin + 1)
    *
-   * @returns {int} chainLength - Length of best chain
-   * @returns {string} chainType - Type of best chain
+   * @returns {number} - Fractional length of bitwin chain
    */
-  static findPrimeChain(origin, target) {
-    let first = origin.subtract(BI_ONE);
-    let second = origin.add(BI_ONE);
-    let firstChainLength = Prime.findCunninghamChain(first, PrimeBlockchain.CUNNINGHAM_CHAIN_1, target);
-    let secondChainLength = Prime.findCunninghamChain(second, PrimeBlockchain.CUNNINGHAM_CHAIN_2, target);
-    let bitwinChainLength = 0;
-
-    // If first type of chain is longer, allow for 1 extra prime
-    // so bitwin chains can have odd length
-    if (firstChainLength > secondChainLength) {
-      bitwinChainLength = secondChainLength * 2 + 1;
+  static bitwinChainLength(firstChainLength, secondChainLength) {
+    if (Math.floor(firstChainLength) > Math.floor(secondChainLength)) {
+      return secondChainLength + Math.floor(secondChainLength) + 1;
     }else {
-      bitwinChainLength = firstChainLength * 2;
+      return firstChainLength + Math.floor(firstChainLength);
     }
+  }
 
-    if (firstChainLength >= secondChainLength && firstChainLength >= bitwinChainLength) {
-      return { chainLength: firstChainLength, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 }; 
-    }else if (secondChainLength >= firstChainLength && secondChainLength >= bitwinChainLength) {
-      return { chainLength: secondChainLength, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_2 };
-    }else {
-      return { chainLength: bitwinChainLength, chainType: PrimeBlockchain.BITWIN_CHAIN };
-    }
+  /**
+   * Starting from a given chain origin (not prime), search for a chain
+   * of every enabled type and return the longest, see
+   * ChainTypes.findPrimeChain. With the default types these are the
+   * Cunningham chains from (origin - 1) and (origin + 1), and bitwin
+   * chains made of both.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length to reach
+   * @param {Array} [names] - Names of chain types, the enabled ones by default
+   *
+   * @returns {number} chainLength - Fractional length of best chain
+   * @returns {string} chainType - Type of best chain
+   */
+  static findPrimeChain(origin, target, names) {
+    return chainTypes().findPrimeChain(origin, target, names);
   }
 
 }
\ No newline at end of file
@@ -1,75 +1,41 @@
 "use strict";
 
 const { Block, utils } = require('spartan-gold');
-const BigInteger = require('jsbn').BigInteger;
 
+const BlockHeader = require('./blockHeader.js');
+const BlockValidator = require('./blockValidator.js');
 const PrimeBlockchain = require('./primeBlockchain.js');
 const Prime = require('./prime.js');
+const MerkleTree = require('./merkleTree.js');
 
 module.exports = class PrimeBlock extends Block {
 
   constructor(rewardAddr, prevBlock, target=PrimeBlockchain.PRIME_CHAIN_LENGTH_TARGET, coinbaseReward=PrimeBlockchain.COINBASE_AMT_ALLOWED) {
     super(rewardAddr, prevBlock, target, coinbaseReward);
+
+    // Never stamped before the parent, even when made in the same millisecond
+    if (prevBlock && this.timestamp <= prevBlock.timestamp) {
+      this.timestamp = prevBlock.timestamp + 1;
+    }
+
     this.primeNonce = 0;
     this.primeMultiplier = Prime.BI_TWO;
     this.primeChainLength = 0;
     this.primeChainType = "";
+
+    // Work of this block and all its ancestors, set when a client stores
+    // the block. Not part of the block itself, since it is recomputed.
+    this.totalWork = 0;
   }
 
   /**
    * Check if this completed block has valid proof with more primality
-   * tests put together.
+   * tests put together, see BlockValidator.checkProof for the checks.
    *
    * @returns {boolean} - Whether proof is correct or not
    */
   hasValidProof() {
-    // Check block header hash has at least 200 bits
-    let blockHeaderHash = new BigInteger(this.hashHeader(), 16);
-    if (blockHeaderHash.compareTo(PrimeBlockchain.BLOCK_HEADER_HASH_MIN) < 0) {
-      return false;
-    }
-
-    // Check that prime chain length found meets target
-    if (this.primeChainLength < this.target) {
-      return false;
-    }
-
-    // Check that multiplier is not less than 2
-    if (this.primeMultiplier.compareTo(Prime.BI_TWO) < 0) {
-      return false;
-    }
-
-    // Compute prime origin
-    let origin = blockHeaderHash.multiply(this.primeMultiplier);
-
-    // Manually test each number in chain depending on type, up to length
-    if (this.primeChainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1) {
-      let n = origin.subtract(Prime.BI_ONE);
-      let testLength = Prime.findCunninghamChain(n, PrimeBlockchain.CUNNINGHAM_CHAIN_1, this.target);
-      if (testLength < this.target) {
-        return false;
-      }
-    }else if (this.primeChainType === PrimeBlockchain.CUNNINGHAM_CHAIN_2) {
-      let n = origin.add(Prime.BI_ONE);
-      let testLength = Prime.findCunninghamChain(n, PrimeBlockchain.CUNNINGHAM_CHAIN_2, this.target);
-      if (testLength < this.target) {
-        return false;
-      }
-    }else if (this.primeChainType === PrimeBlockchain.BITWIN_CHAIN) {
-      let first = origin.subtract(Prime.BI_ONE);
-      let second = origin.add(Prime.BI_ONE);
-      let firstLength = Prime.findCunninghamChain(first, PrimeBlockchain.CUNNINGHAM_CHAIN_1, Math.ceil(this.target / 2));
-      let secondLength = Prime.findCunninghamChain(second, PrimeBlockchain.CUNNINGHAM_CHAIN_2, Math.floor(this.target / 2));
-      if (firstLength + secondLength < this.target) {
-        return false;
-      }
-    }else {
-      // Invalid chain type
-      return false;
-    }
-    
-
-    return true;
+    return BlockValidator.checkProof(this) === null;
   }
 
   /**
@@ -83,21 +49,62 @@ module.exports = class PrimeBlock extends Block {
         chainLength: this.chainLength,
         timestamp: this.timestamp,
         balances: Array.from(this.balances.entries()),
+        networkMagic: this.networkMagic,
       };
       return utils.hash(JSON.stringify(o));
     } else {
-      let o = {
-        chainLength: this.chainLength,
-        timestamp: this.timestamp,
-        transactions: Array.from(this.transactions.entries()),
-        prevBlockHash: this.prevBlockHash,
-        primeNonce: this.primeNonce,
-        rewardAddr: this.rewardAddr,
-      };
-      return utils.hash(JSON.stringify(o));
+      return BlockHeader.hash(this);
     }
   }
 
+  /**
+   * Root of a Merkle tree over the ids of the block's transactions, in
+   * the order they were added. The header commits to this root instead
+   * of the transactions themselves, so it stays the same size however
+   * many transactions the block holds.
+   *
+   * @returns {String} - Merkle root of the transaction ids
+   */
+  get transactionsRoot() {
+    return MerkleTree.root(this.transactionIds());
+  }
+
+  /**
+   * @returns {Array} - Ids of the block's transactions, in order
+   */
+  transactionIds() {
+    return Array.from(this.transactions.values()).map((tx) => tx.id);
+  }
+
+  /**
+   * Build a proof that a transaction is in this block, which can be
+   * checked with only the transactions root from the block header.
+   *
+   * @param {String} txId - Id of the transaction
+   *
+   * @returns {Array | null} - Merkle proof, or null if the block does not hold the transaction
+   */
+  proveTransaction(txId) {
+    let ids = this.transactionIds();
+    let index = ids.indexOf(txId);
+    if (index === -1) {
+      return null;
+    }
+    return MerkleTree.proof(ids, index);
+  }
+
+  /**
+   * Check a proof from proveTransaction against this block's transactions root.
+   *
+   * @param {String} txId - Id of the transaction
+   * @param {Array} proof - Merkle proof for the transaction
+   *
+   * @returns {boolean} - True if the transaction is in this block
+   */
+  verifyTransactionProof(txId, proof) {
+    return MerkleTree.verify(txId, proof, this.transactionsRoot);
+  }
+
   /**
    * Hash entire block, probably redundant from parent.
    *
@@ -128,12 +135,16 @@ module.exports = class PrimeBlock extends Block {
     };
     if (this.isGenesisBlock()) {
       // The genesis block does not contain a proof or transactions,
-      // but is the only block than can specify balances.
+      // but is the only block than can specify balances. It also holds
+      // the magic value of its network, so each network has its own.
       o.balances = Array.from(this.balances.entries());
+      o.networkMagic = this.networkMagic;
     } else {
       // Other blocks must specify transactions and proof details.
       o.transactions = Array.from(this.transactions.entries());
+      o.transactionsRoot = this.transactionsRoot;
       o.prevBlockHash = this.prevBlockHash;
+      o.target = this.target;
       o.primeNonce = this.primeNonce;
       o.primeMultiplier = this.primeMultiplier.toString();
       o.primeChainLength = this.primeChainLength;
@@ -1,14 +1,30 @@
 "use strict";
 
 const { Blockchain } = require('spartan-gold');
-const BigInteger = require('jsbn').BigInteger;
+const BigNum = require('./bigNum.js');
+const NetworkProfiles = require('./networkProfiles.js');
 
 const CUNNINGHAM_CHAIN_1 = "CUNNINGHAM_CHAIN_1";
 const CUNNINGHAM_CHAIN_2 = "CUNNINGHAM_CHAIN_2";
 const BITWIN_CHAIN = "BITWIN_CHAIN";
 
-const BLOCK_HEADER_HASH_MIN = new BigInteger("1").shiftLeft(new BigInteger("255"));
-const PRIME_CHAIN_BASE_TARGET = 2;
+// Chain types accepted as proof unless a network enables others, see ChainTypes
+const DEFAULT_CHAIN_TYPES = [CUNNINGHAM_CHAIN_1, CUNNINGHAM_CHAIN_2, BITWIN_CHAIN];
+
+/**
+ * Look up a consensus setting. Before a genesis block is made, and in
+ * worker threads that never make one, the main network's setting is used.
+ *
+ * @param {string} key - Name of the setting, see NetworkProfiles
+ *
+ * @returns {*} - Value of the setting
+ */
+function setting(key) {
+  if (Blockchain.cfg && Blockchain.cfg[key] !== undefined) {
+    return Blockchain.cfg[key];
+  }
+  return NetworkProfiles.get(NetworkProfiles.MAINNET)[key];
+}
 
 module.exports = class PrimeBlockchain extends Blockchain {
 
@@ -16,20 +32,100 @@ module.exports = class PrimeBlockchain extends Blockchain {
   static get CUNNINGHAM_CHAIN_1() { return CUNNINGHAM_CHAIN_1; }
   static get CUNNINGHAM_CHAIN_2() { return CUNNINGHAM_CHAIN_2; }
   static get BITWIN_CHAIN() { return BITWIN_CHAIN; }
-  
-  // BigInteger min value for block header hash
-  static get BLOCK_HEADER_HASH_MIN() { return BLOCK_HEADER_HASH_MIN; }
+  static get DEFAULT_CHAIN_TYPES() { return DEFAULT_CHAIN_TYPES; }
+
+  // Names of the chain types enabled, the defaults before a genesis block is made
+  static get CHAIN_TYPES() { return (Blockchain.cfg && Blockchain.cfg.chainTypes) || DEFAULT_CHAIN_TYPES; }
+
+  // Name and magic value of the network, see NetworkProfiles
+  static get NETWORK() { return setting("network"); }
+  static get NETWORK_MAGIC() { return setting("magic"); }
+
+  // BigInteger min value for block header hash, from the BigNum backend in use
+  static get BLOCK_HEADER_HASH_MIN_BITS() { return setting("blockHeaderHashMinBits"); }
+  static get BLOCK_HEADER_HASH_MIN() { return BigNum.constant("1").shiftLeft(PrimeBlockchain.BLOCK_HEADER_HASH_MIN_BITS); }
+
+  // Multiplier every prime chain origin is a multiple of
+  static get BASE_PRIMORIAL() { return setting("basePrimorial"); }
+
+  // Configurable difficulty retargeting properties
+  static get PRIME_CHAIN_BASE_TARGET() { return Blockchain.cfg.powTarget; }
+  static get MIN_PRIME_CHAIN_TARGET() { return Blockchain.cfg.minPrimeChainTarget; }
+  static get MAX_PRIME_CHAIN_TARGET() { return Blockchain.cfg.maxPrimeChainTarget; }
+  static get TARGET_BLOCK_TIME() { return Blockchain.cfg.targetBlockTime; }
+  static get RETARGET_INTERVAL() { return Blockchain.cfg.retargetInterval; }
+
+  // Rules for block timestamps, see BlockValidator
+  static get MEDIAN_TIME_SPAN() { return setting("medianTimeSpan"); }
+  static get MAX_FUTURE_DRIFT() { return setting("maxFutureDrift"); }
 
   /**
-   * Generate genesis block from parent, but replace cfg.powTarget
+   * Generate genesis block from parent, but replace cfg.powTarget with
+   * a prime chain length target and store the other consensus settings.
+   * Settings not given are taken from the profile of the network, see
+   * NetworkProfiles. The genesis block of a network always has the same
+   * timestamp and holds the network's magic value, so every node of a
+   * network makes the same genesis block and other networks make others.
+   *
+   * @param {Object} cfg - Settings for the blockchain, see Blockchain.makeGenesis.
+   * @param {string} [cfg.network] - Name of the network, mainnet by default.
+   * @param {string} [cfg.magic] - Value identifying the network in messages and the genesis block.
+   * @param {int} [cfg.genesisTimestamp] - Timestamp of the genesis block.
+   * @param {int} [cfg.blockHeaderHashMinBits] - Block header hashes must be at least 2 to this power.
+   * @param {int} [cfg.basePrimorial] - Multiplier every prime chain origin is a multiple of.
+   * @param {number} [cfg.primeChainBaseTarget] - Prime chain length target until the first retarget.
+   * @param {number} [cfg.minPrimeChainTarget] - Lowest prime chain length target allowed.
+   * @param {number} [cfg.maxPrimeChainTarget] - Highest prime chain length target allowed.
+   * @param {number} [cfg.targetBlockTime] - Desired time between blocks in milliseconds.
+   * @param {number} [cfg.retargetInterval] - Number of blocks between target adjustments.
+   * @param {int} [cfg.medianTimeSpan] - Number of blocks whose median timestamp a block must follow.
+   * @param {int} [cfg.maxFutureDrift] - Milliseconds a block's timestamp may be ahead of local time.
+   * @param {Array} [cfg.chainTypes] - Names of the chain types accepted as proof, in order
+   *      of preference when an origin has chains of the same length.
    *
    * @returns {Block} - The genesis block
    */
   static makeGenesis(cfg) {
+    let settings = NetworkProfiles.get(cfg.network || NetworkProfiles.MAINNET);
+    Object.keys(cfg).forEach((key) => {
+      if (cfg[key] !== undefined) settings[key] = cfg[key];
+    });
+
     // Generating the default genesis block from the parent
-    let genesis = super.makeGenesis(cfg);
+    let genesis = super.makeGenesis(settings);
 
-    Blockchain.cfg.powTarget = PRIME_CHAIN_BASE_TARGET;
+    let {
+      network,
+      magic,
+      genesisTimestamp,
+      blockHeaderHashMinBits,
+      basePrimorial,
+      primeChainBaseTarget,
+      minPrimeChainTarget,
+      maxPrimeChainTarget,
+      targetBlockTime,
+      retargetInterval,
+      medianTimeSpan,
+      maxFutureDrift,
+      chainTypes = DEFAULT_CHAIN_TYPES,
+    } = settings;
+
+    Blockchain.cfg.network = network;
+    Blockchain.cfg.magic = magic;
+    Blockchain.cfg.blockHeaderHashMinBits = blockHeaderHashMinBits;
+    Blockchain.cfg.basePrimorial = basePrimorial;
+    Blockchain.cfg.powTarget = primeChainBaseTarget;
+    Blockchain.cfg.minPrimeChainTarget = minPrimeChainTarget;
+    Blockchain.cfg.maxPrimeChainTarget = maxPrimeChainTarget;
+    Blockchain.cfg.targetBlockTime = targetBlockTime;
+    Blockchain.cfg.retargetInterval = retargetInterval;
+    Blockchain.cfg.medianTimeSpan = medianTimeSpan;
+    Blockchain.cfg.maxFutureDrift = maxFutureDrift;
+    Blockchain.cfg.chainTypes = chainTypes;
+
+    genesis.target = primeChainBaseTarget;
+    genesis.timestamp = genesisTimestamp;
+    genesis.networkMagic = magic;
 
     return genesis;
   }
@@ -52,21 +148,30 @@ module.exports = class PrimeBlockchain extends Blockchain {
     b.timestamp = o.timestamp;
 
     if (b.isGenesisBlock()) {
+      b.networkMagic = o.networkMagic;
+
       // Balances need to be recreated and restored in a map.
       o.balances.forEach(([clientID,amount]) => {
         b.balances.set(clientID, amount);
       });
     } else {
       // Likewise, transactions need to be recreated and restored in a map.
+      // The transactions root is not restored, since it is always computed
+      // from the transactions.
       b.transactions = new Map();
       if (o.transactions) o.transactions.forEach(([txID,txJson]) => {
         let tx = new Blockchain.cfg.transactionClass(txJson);
         b.transactions.set(txID, tx);
       });
       b.prevBlockHash = o.prevBlockHash;
+      b.target = Number(o.target);
       b.primeNonce = o.primeNonce;
-      b.primeMultiplier = new BigInteger(o.primeMultiplier);
-      b.primeChainLength = o.primeChainLength;
+      // Decimal digits only, so that every backend reads the same multiplier
+      if (!BigNum.isDigits(o.primeMultiplier)) {
+        throw new Error(`Invalid prime multiplier ${o.primeMultiplier}.`);
+      }
+      b.primeMultiplier = BigNum.from(o.primeMultiplier);
+      b.primeChainLength = Number(o.primeChainLength);
       b.primeChainType = o.primeChainType;
       b.rewardAddr = o.rewardAddr;
     }
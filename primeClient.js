@@ -1,103 +1,68 @@
 "use strict";
 
 const { Client } = require('spartan-gold');
-const PrimeBlockchain = require('./primeBlockchain.js');
-const PrimeBlock = require('./primeBlock.js');
+const BlockValidator = require('./blockValidator.js');
+const ChainSync = require('./chainSync.js');
 
 module.exports = class PrimeClient extends Client {
 
-  constructor(args) {
-    super(args);
-    this.primeChains = [];
-  }
-
   /**
-   * Copied from parent class, but uses PrimeBlockchain's deserializeBlock().
-   * Also saves proof-of-work prime chain info to array. Prime chain info can be
-   * saved to a file from the CLI by running tcpPrimeMiner.js
+   * Takes the usual properties for a client, and optionally a store to
+   * keep blocks in between runs.
    *
-   * Validates and adds a block to the list of blocks, possibly updating the head
-   * of the blockchain.  Any transactions in the block are rerun in order to
-   * update the gold balances for all clients.  If any transactions are found to be
-   * invalid due to lack of funds, the block is rejected and 'null' is returned to
-   * indicate failure.
-   * 
-   * If any blocks cannot be connected to an existing block but seem otherwise valid,
-   * they are added to a list of pending blocks and a request is sent out to get the
-   * missing blocks from other clients.
-   * 
-   * @param {Block | Object} block - The block to add to the clients list of available blocks.
-   * 
-   * @returns {Block | null} The block with rerun transactions, or null for an invalid block.
+   * @param {Object} obj - The properties of the client, see Client.
+   * @param {BlockStore} [obj.blockStore] - Store to reload blocks from and save
+   *      every accepted block to.
+   * @param {Object} [obj.sync] - Settings for catching up with peers, see ChainSync.
+   * @param {Function} [obj.clock] - Returns the current time in milliseconds, Date.now by default.
+   *      Blocks stamped too far ahead of it are rejected.
    */
-  receiveBlock(block) {
-    // If the block is a string, then deserialize it.
-    block = PrimeBlockchain.deserializeBlock(block);
-
-    // Ignore the block if it has been received previously.
-    if (this.blocks.has(block.id)) return null;
-
-    // First, make sure that the block has a valid proof. 
-    if (!block.hasValidProof() && !block.isGenesisBlock()) {
-      this.log(`Block ${block.id} does not have a valid proof.`);
-      return null;
-    }
-
-    // Make sure that we have the previous blocks, unless it is the genesis block.
-    // If we don't have the previous blocks, request the missing blocks and exit.
-    let prevBlock = this.blocks.get(block.prevBlockHash);
-    if (!prevBlock && !block.isGenesisBlock()) {
-      let stuckBlocks = this.pendingBlocks.get(block.prevBlockHash);
+  constructor(args) {
+    super(args);
+    this.primeChains = [];
+    this.clock = args.clock || Date.now;
 
-      // If this is the first time that we have identified this block as missing,
-      // send out a request for the block.
-      if (stuckBlocks === undefined) { 
-        this.requestMissingBlock(block);
-        stuckBlocks = new Set();
-      }
-      stuckBlocks.add(block);
+    // Header hashes of stored blocks, mapped to the id of the block
+    this.headerHashes = new Map();
 
-      this.pendingBlocks.set(block.prevBlockHash, stuckBlocks);
-      return null;
-    }
+    this.blockValidator = new BlockValidator(this);
+    this.chainSync = new ChainSync(this, args.sync);
 
-    if (!block.isGenesisBlock()) {
-      // Verify the block, and store it if everything looks good.
-      // This code will trigger an exception if there are any invalid transactions.
-      let success = block.rerun(prevBlock);
-      if (!success) return null;
+    // Reload blocks saved by an earlier run before saving new ones
+    if (args.blockStore) {
+      args.blockStore.replay(this);
+      this.blockStore = args.blockStore;
     }
+  }
 
-    // Storing the block.
-    this.blocks.set(block.id, block);
-
-    // Storing the prime chain info
-    this.primeChains.push({
-      blockNumber: block.chainLength,
-      blockHash: block.hashVal(),
-      blockHeaderHash: block.hashHeader(),
-      primeMultiplier: block.primeMultiplier.toString(),
-      primeChainLength: block.primeChainLength,
-      primeChainType: block.primeChainType,
-    });
-
-    // If it is a better block than the client currently has, set that
-    // as the new currentBlock, and update the lastConfirmedBlock.
-    if (this.lastBlock.chainLength < block.chainLength) {
-      this.lastBlock = block;
-      this.setLastConfirmed();
-    }
+  /**
+   * True while catching up with the chain of a peer with more work.
+   */
+  get syncing() {
+    return this.chainSync.syncing;
+  }
 
-    // Go through any blocks that were waiting for this block
-    // and recursively call receiveBlock.
-    let unstuckBlocks = this.pendingBlocks.get(block.id) || [];
-    // Remove these blocks from the pending set.
-    this.pendingBlocks.delete(block.id);
-    unstuckBlocks.forEach((b) => {
-      this.log(`Processing unstuck block ${b.id}`);
-      this.receiveBlock(b);
-    });
+  /**
+   * Ask peers for their heads and download the chain of the peer with
+   * the most work, if it has more than this client.
+   *
+   * @returns {Promise} - Resolves once the sync has finished
+   */
+  startSync() {
+    return this.chainSync.start();
+  }
 
-    return block;
+  /**
+   * Validates and adds a block to the list of blocks, possibly updating the
+   * head of the blockchain, see BlockValidator.receiveBlock.
+   *
+   * @param {Block | Object} block - The block to add to the clients list of available blocks.
+   * @param {boolean} [proofChecked] - True if the block's proof was already checked,
+   *      as ChainSync does for downloaded blocks.
+   *
+   * @returns {Block | null} The block with rerun transactions, or null for a block not stored.
+   */
+  receiveBlock(block, proofChecked=false) {
+    return this.blockValidator.receiveBlock(block, proofChecked);
   }
 }
\ No newline at end of file
@@ -0,0 +1,145 @@
+"use strict";
+
+const PrimeBlockchain = require('./primeBlockchain.js');
+const Prime = require('./prime.js');
+
+// Roughly how many times harder it is to find a chain one prime longer.
+const LENGTH_DIFFICULTY_FACTOR = 10;
+
+// Largest change to the prime chain length target in a single retarget.
+const MAX_RETARGET_STEP = 1;
+
+module.exports = class PrimeDifficulty {
+
+  static get LENGTH_DIFFICULTY_FACTOR() { return LENGTH_DIFFICULTY_FACTOR; }
+  static get MAX_RETARGET_STEP() { return MAX_RETARGET_STEP; }
+
+  /**
+   * Determine the prime chain length target a block following prevBlock
+   * must meet. The target only changes every PrimeBlockchain.RETARGET_INTERVAL
+   * blocks, based on how long the previous interval of blocks took to mine
+   * compared to PrimeBlockchain.TARGET_BLOCK_TIME. The genesis block is not
+   * counted in the interval since its timestamp is not set by a miner.
+   *
+   * @param {PrimeBlock} prevBlock - Block the new block builds on
+   * @param {Map} blocks - Map of block hashes to blocks containing all ancestors of prevBlock
+   *
+   * @returns {number} - Prime chain length target for the next block
+   */
+  static nextTarget(prevBlock, blocks) {
+    if (prevBlock.isGenesisBlock()) {
+      return PrimeBlockchain.PRIME_CHAIN_BASE_TARGET;
+    }
+
+    // Keep the previous target between retargets
+    let interval = PrimeBlockchain.RETARGET_INTERVAL;
+    if ((prevBlock.chainLength + 1) % interval !== 0) {
+      return prevBlock.target;
+    }
+
+    // Walk back through the interval, stopping before the genesis block
+    let first = prevBlock;
+    while (first.chainLength > 1 && prevBlock.chainLength - first.chainLength < interval) {
+      first = blocks.get(first.prevBlockHash);
+      if (first === undefined) {
+        throw new Error(`Missing ancestor of block ${prevBlock.id} for retargeting.`);
+      }
+    }
+
+    let blockCount = prevBlock.chainLength - first.chainLength;
+    if (blockCount < 1) {
+      return prevBlock.target;
+    }
+
+    let actualTimespan = prevBlock.timestamp - first.timestamp;
+    let expectedTimespan = blockCount * PrimeBlockchain.TARGET_BLOCK_TIME;
+
+    return PrimeDifficulty.adjustTarget(prevBlock.target, actualTimespan, expectedTimespan);
+  }
+
+  /**
+   * Scale the target by how far the interval was from the expected time.
+   * Since each extra prime makes a chain about LENGTH_DIFFICULTY_FACTOR
+   * times harder to find, blocks arriving that many times too fast raise
+   * the target by a whole length, while smaller differences move it by a
+   * fraction. The change is limited to MAX_RETARGET_STEP and rounded to
+   * Prime.FRACTIONAL_BITS bits so all nodes agree on the result.
+   *
+   * @param {number} target - Current prime chain length target
+   * @param {number} actualTimespan - Milliseconds taken to mine the interval
+   * @param {number} expectedTimespan - Milliseconds the interval should have taken
+   *
+   * @returns {number} - Adjusted prime chain length target
+   */
+  static adjustTarget(target, actualTimespan, expectedTimespan) {
+    // Blocks with out of order timestamps count as mined instantly
+    actualTimespan = Math.max(actualTimespan, 1);
+
+    let step = Math.log(expectedTimespan / actualTimespan) / Math.log(LENGTH_DIFFICULTY_FACTOR);
+    step = Math.min(Math.max(step, -MAX_RETARGET_STEP), MAX_RETARGET_STEP);
+
+    let scale = Math.pow(2, Prime.FRACTIONAL_BITS);
+    target = Math.round((target + step) * scale) / scale;
+
+    return PrimeDifficulty.clampTarget(target);
+  }
+
+  /**
+   * Estimate the work that went into a block's proof. Each extra prime
+   * makes a chain about LENGTH_DIFFICULTY_FACTOR times harder to find, so
+   * work grows exponentially with the fractional target. The work counted
+   * is what the target demands, not the length of the chain found: a
+   * chain longer than the target is luck rather than extra expected work,
+   * and counting it would let a miner outweigh other forks with it.
+   *
+   * @param {PrimeBlock | BlockHeader} block - Block with a valid proof
+   *
+   * @returns {number} - Work of the block alone, 0 for the genesis block
+   */
+  static blockWork(block) {
+    if (block.isGenesisBlock()) {
+      return 0;
+    }
+    return Math.pow(LENGTH_DIFFICULTY_FACTOR, block.target);
+  }
+
+  /**
+   * Determine whether a block should replace the current head of the
+   * blockchain. The block with the most total work wins, and ties go to
+   * the block with the lowest id so that every node picks the same head.
+   *
+   * @param {PrimeBlock} block - Newly stored block, with totalWork set
+   * @param {PrimeBlock} head - Current head of the blockchain
+   *
+   * @returns {boolean} - True if block should become the new head
+   */
+  static isBetterHead(block, head) {
+    if (block.totalWork !== head.totalWork) {
+      return block.totalWork > head.totalWork;
+    }
+    return block.id < head.id;
+  }
+
+  /**
+   * Keep a target within the configured minimum and maximum.
+   *
+   * @param {number} target - Prime chain length target
+   *
+   * @returns {number} - Target within allowed range
+   */
+  static clampTarget(target) {
+    return Math.min(Math.max(target, PrimeBlockchain.MIN_PRIME_CHAIN_TARGET), PrimeBlockchain.MAX_PRIME_CHAIN_TARGET);
+  }
+
+  /**
+   * Check that a target is a number inside the configured range.
+   *
+   * @param {number} target - Prime chain length target
+   *
+   * @returns {boolean} - Whether target is allowed
+   */
+  static isAllowedTarget(target) {
+    return typeof target === 'number' && PrimeDifficulty.clampTarget(target) === target;
+  }
+
+}
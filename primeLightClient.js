@@ -0,0 +1,226 @@
+"use strict";
+
+const EventEmitter = require('events');
+const { Blockchain, utils } = require('spartan-gold');
+
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeDifficulty = require('./primeDifficulty.js');
+const BlockHeader = require('./blockHeader.js');
+const ChainSync = require('./chainSync.js');
+
+// Milliseconds to wait for a peer to prove a transaction was included
+const PROOF_TIMEOUT = 5000;
+
+/**
+ * Follows the blockchain while keeping only block headers. Every block is
+ * checked the way a full client checks it, except that its transactions
+ * are not rerun: the prime chain proof must be valid, the block must link
+ * to a known header and use the target dictated by the chain's history.
+ * The block is then reduced to a BlockHeader, and the head is the header
+ * with the most total work.
+ *
+ * Since no balances are kept, the light client asks full clients to prove
+ * that a transaction it cares about was included in the best chain. The
+ * proof is a Merkle proof checked against the transactions root kept in
+ * the header, so the block itself is never needed.
+ */
+module.exports = class PrimeLightClient extends EventEmitter {
+
+  static get PROOF_TIMEOUT() { return PROOF_TIMEOUT; }
+
+  /**
+   * @param {Object} obj - The properties of the light client.
+   * @param {String} [obj.name] - The client's name, used for debugging messages.
+   * @param {Object} obj.net - The network used to talk to full clients and miners.
+   * @param {Block} obj.startingBlock - The genesis block of the blockchain.
+   * @param {Object} [obj.keyPair] - Keypair whose address names the client on the network.
+   * @param {Object} [obj.connection] - Where the client listens, when using TcpNet.
+   * @param {Object} [obj.sync] - Settings for catching up with peers, see ChainSync.
+   * @param {int} [obj.proofTimeout] - Milliseconds to wait for a transaction proof.
+   */
+  constructor({name, net, startingBlock, keyPair=utils.generateKeypair(), connection, sync, proofTimeout=PROOF_TIMEOUT}) {
+    super();
+    this.name = name;
+    this.net = net;
+    this.keyPair = keyPair;
+    this.address = utils.calcAddress(keyPair.public);
+    this.connection = connection;
+    this.proofTimeout = proofTimeout;
+
+    // Headers of all accepted blocks, keyed by block id
+    this.blocks = new Map();
+
+    // Header hashes of accepted blocks, mapped to the id of the block
+    this.headerHashes = new Map();
+
+    // Transaction proofs waiting for a reply, keyed by transaction id
+    this.pendingProofs = new Map();
+
+    let genesis = BlockHeader.fromBlock(startingBlock);
+    this.blocks.set(genesis.id, genesis);
+    this.headerHashes.set(genesis.headerHash, genesis.id);
+    this.lastBlock = genesis;
+
+    // Only heads, headers and blocks are received, nothing is served
+    this.chainSync = new ChainSync(this, Object.assign({}, sync, { serve: false }));
+
+    this.on(Blockchain.PROOF_FOUND, this.receiveBlock);
+    this.on(ChainSync.TX_PROOF, this.receiveTransactionProof);
+  }
+
+  /**
+   * True while catching up with the chain of a peer with more work.
+   */
+  get syncing() {
+    return this.chainSync.syncing;
+  }
+
+  /**
+   * Ask peers for their heads and download the headers of the chain of
+   * the peer with the most work, if it has more than this client.
+   *
+   * @returns {Promise} - Resolves once the sync has finished
+   */
+  startSync() {
+    return this.chainSync.start();
+  }
+
+  /**
+   * Check a block and keep its header. Like PrimeClient.receiveBlock, but
+   * transactions are not rerun, and a block that does not link to a known
+   * header starts a sync instead of a request for the missing block.
+   *
+   * @param {Block | Object} block - The block to check.
+   * @param {boolean} [proofChecked] - True if the block's proof was already checked,
+   *      as ChainSync does for downloaded blocks.
+   *
+   * @returns {BlockHeader | null} - Header of the block, or null for a block not accepted.
+   */
+  receiveBlock(block, proofChecked=false) {
+    block = PrimeBlockchain.deserializeBlock(block);
+
+    // Ignore the block if it has been received previously, and any other
+    // genesis block.
+    if (this.blocks.has(block.id) || block.isGenesisBlock()) return null;
+
+    let headerHash = block.hashHeader();
+    if (this.headerHashes.has(headerHash)) {
+      this.log(`Block ${block.id} has the same header as block ${this.headerHashes.get(headerHash)}.`);
+      return null;
+    }
+
+    if (!proofChecked && !block.hasValidProof()) {
+      this.log(`Block ${block.id} does not have a valid proof.`);
+      return null;
+    }
+
+    let prevBlock = this.blocks.get(block.prevBlockHash);
+    if (prevBlock === undefined) {
+      if (!this.syncing) this.startSync();
+      return null;
+    }
+
+    if (block.target !== PrimeDifficulty.nextTarget(prevBlock, this.blocks)) {
+      this.log(`Block ${block.id} does not have the expected target.`);
+      return null;
+    }
+
+    block.totalWork = prevBlock.totalWork + PrimeDifficulty.blockWork(block);
+    let header = BlockHeader.fromBlock(block, headerHash);
+    this.blocks.set(header.id, header);
+    this.headerHashes.set(headerHash, header.id);
+
+    if (PrimeDifficulty.isBetterHead(header, this.lastBlock)) {
+      this.lastBlock = header;
+    }
+
+    return header;
+  }
+
+  /**
+   * Ask peers to prove that a transaction is included in the best chain.
+   *
+   * @param {string} txId - Id of the transaction
+   *
+   * @returns {Promise} - Resolves with the transaction, the header of the block
+   *      including it and its number of confirmations, or null if no peer
+   *      proved it in time.
+   */
+  requestTransactionProof(txId) {
+    let pending = this.pendingProofs.get(txId);
+    if (pending !== undefined) return pending.promise;
+
+    pending = {};
+    pending.promise = new Promise((resolve) => {
+      pending.resolve = resolve;
+      pending.timer = setTimeout(() => {
+        this.pendingProofs.delete(txId);
+        resolve(null);
+      }, this.proofTimeout);
+    });
+    this.pendingProofs.set(txId, pending);
+
+    this.net.broadcast(ChainSync.GET_TX_PROOF, { from: this.address, txId });
+    return pending.promise;
+  }
+
+  /**
+   * Check a peer's proof that a transaction was included. The block must
+   * be on the best chain, the transaction must have the id asked for, and
+   * the Merkle proof must lead from that id to the transactions root of the
+   * block's header. Proofs that do not check out are ignored, since another
+   * peer may still send a good one.
+   *
+   * @param {Object} o - Reply from ChainSync.provideTransactionProof
+   */
+  receiveTransactionProof({txId, blockId, transaction, proof}) {
+    let pending = this.pendingProofs.get(txId);
+    if (pending === undefined || !blockId) return;
+
+    let header = this.blocks.get(blockId);
+    try {
+      transaction = Blockchain.makeTransaction(transaction);
+    } catch (e) {
+      this.log(`Ignoring malformed proof for transaction ${txId}.`);
+      return;
+    }
+
+    if (header === undefined || !this.isOnBestChain(header) ||
+        transaction.id !== txId || !header.verifyTransactionProof(txId, proof)) {
+      this.log(`Ignoring invalid proof for transaction ${txId}.`);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingProofs.delete(txId);
+    pending.resolve({
+      transaction,
+      header,
+      confirmations: this.lastBlock.chainLength - header.chainLength,
+    });
+  }
+
+  /**
+   * @param {BlockHeader} header - Stored header
+   *
+   * @returns {boolean} - True if the header is an ancestor of the head, or the head itself
+   */
+  isOnBestChain(header) {
+    let block = this.lastBlock;
+    while (block !== undefined && block.chainLength > header.chainLength) {
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    return block === header;
+  }
+
+  /**
+   * Prints out a message prefixed with the client's name, as Client does.
+   *
+   * @param {String} msg - The message to display to the console.
+   */
+  log(msg) {
+    let name = this.name || this.address.substring(0,10);
+    console.log(`${name}: ${msg}`);
+  }
+
+}
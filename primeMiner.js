@@ -1,27 +1,181 @@
 "use strict";
 
 const { Miner } = require('spartan-gold');
-const BigInteger = require('jsbn').BigInteger;
+const BigNum = require('./bigNum.js');
+const BlockValidator = require('./blockValidator.js');
+const NetworkProfiles = require('./networkProfiles.js');
 const PrimeBlockchain = require('./primeBlockchain.js');
 const PrimeBlock = require('./primeBlock.js');
+const PrimeDifficulty = require('./primeDifficulty.js');
+const ChainSync = require('./chainSync.js');
 const Prime = require('./prime.js');
+const PrimeSieve = require('./primeSieve.js');
+const PrimeWorkerPool = require('./primeWorkerPool.js');
 
+// Most candidates mineBlock tests before giving up on a block
+const MAX_GENERATE_ROUNDS = 100000;
+
+// Most blocks a single generate call mines, since nothing else runs
+// until they are all mined
+const MAX_GENERATE = 100;
 
 module.exports = class PrimeMiner extends Miner {
 
-  constructor(args) {
+  static get MAX_GENERATE_ROUNDS() { return MAX_GENERATE_ROUNDS; }
+  static get MAX_GENERATE() { return MAX_GENERATE; }
+
+  /**
+   * In addition to the usual properties for a miner, the constructor
+   * takes settings for the sieve used to filter prime chain origins,
+   * and optionally a number of worker threads to mine with and a store
+   * to keep blocks in between runs.
+   *
+   * @param {Object} obj - The properties of the miner, see Miner.
+   * @param {int} [obj.sieveSize] - Number of multipliers sieved at once.
+   * @param {int} [obj.sievePrimeLimit] - Largest small prime to sieve with.
+   * @param {int} [obj.threads] - Number of worker threads to mine with. With 0,
+   *      mining runs on the main thread in slices of miningRounds.
+   * @param {BlockStore} [obj.blockStore] - Store to reload blocks from and save
+   *      every accepted block to.
+   * @param {Object} [obj.sync] - Settings for catching up with peers, see ChainSync.
+   * @param {ChainLog} [obj.chainLog] - Log for every chain found at or above its
+   *      threshold length, not just the proofs of blocks.
+   * @param {Function} [obj.clock] - Returns the current time in milliseconds, Date.now by
+   *      default. New blocks are stamped with it, and received blocks stamped too far
+   *      ahead of it are rejected.
+   */
+  constructor(args={}) {
     super(args);
     this.primeChains = [];
+    this.clock = args.clock || Date.now;
+    this.chainLog = args.chainLog;
+
+    // Header hashes of stored blocks, mapped to the id of the block
+    this.headerHashes = new Map();
+
+    this.sieve = new PrimeSieve({sieveSize: args.sieveSize, sievePrimeLimit: args.sievePrimeLimit});
+
+    this.threads = args.threads || 0;
+    if (this.threads > 0) {
+      this.workerPool = new PrimeWorkerPool({
+        threads: this.threads,
+        sieveSize: args.sieveSize,
+        sievePrimeLimit: args.sievePrimeLimit,
+        logThreshold: this.chainLog ? this.chainLog.threshold : undefined,
+      });
+      this.workerPool.on(PrimeWorkerPool.PROOF_FOUND, (proof) => this.receiveWorkerProof(proof));
+      this.workerPool.on(PrimeWorkerPool.STATS, (stats) => this.addWorkerStats(stats));
+      this.workerPool.on(PrimeWorkerPool.CHAIN_FOUND, (chain) => this.chainLog.record(chain));
+      this.workerPool.on('error', (err) => this.log(`Mining worker failed: ${err.message}`));
+    }
+
+    this.blockValidator = new BlockValidator(this);
+    this.chainSync = new ChainSync(this, args.sync);
+
+    // Mining pauses while syncing, since the head is about to change
+    this.on(ChainSync.SYNC_DONE, () => {
+      if (this.currentBlock) {
+        setTimeout(() => this.emit(PrimeBlockchain.START_MINING), 0);
+      }
+    });
+
+    // Reload blocks saved by an earlier run before saving new ones
+    if (args.blockStore) {
+      args.blockStore.replay(this);
+      this.blockStore = args.blockStore;
+    }
+  }
+
+  /**
+   * Catches up with peers before mining, then starts listeners and
+   * begins mining once the sync is done.
+   */
+  initialize() {
+    this.startSync();
+    super.initialize();
   }
 
   /**
-   * Remove proof property from default block.
+   * Remove proof property from default block and set the prime chain
+   * length target dictated by the chain's history. When mining with
+   * worker threads, the workers are moved over to the new block.
    */
   startNewSearch(txSet=new Set()) {
     super.startNewSearch(txSet);
 
     // Remove original proof property
     delete this.currentBlock.proof;
+
+    this.currentBlock.timestamp = this.nextTimestamp();
+    this.currentBlock.target = PrimeDifficulty.nextTarget(this.lastBlock, this.blocks);
+
+    if (this.workerPool) {
+      this.workerPool.cancel();
+      this.restartWorkers();
+    }
+  }
+
+  /**
+   * The time to stamp a block following the head with: the miner's clock,
+   * or just after the median time of the blocks before it if the clock is
+   * behind, see BlockValidator.medianTimePast.
+   *
+   * @returns {number} - Timestamp in milliseconds
+   */
+  nextTimestamp() {
+    return Math.max(this.clock(), BlockValidator.medianTimePast(this.lastBlock, this.blocks) + 1);
+  }
+
+  /**
+   * Adds a transaction to the current block. Since this changes the block
+   * header, any search running on worker threads is restarted.
+   *
+   * @param {Transaction | String} tx - The transaction to add.
+   *
+   * @returns {boolean} - True if the transaction was added.
+   */
+  addTransaction(tx) {
+    let added = super.addTransaction(tx);
+    if (added && this.workerPool) {
+      this.restartWorkers();
+    }
+    return added;
+  }
+
+  /**
+   * Schedule the workers to pick up the current block once the current
+   * message has been handled, so several changes in a row only restart
+   * the search once.
+   */
+  restartWorkers() {
+    setTimeout(() => this.emit(PrimeBlockchain.START_MINING), 0);
+  }
+
+  /**
+   * Stops any worker threads used for mining.
+   *
+   * @returns {Promise} - Resolves once all workers have exited
+   */
+  stopWorkers() {
+    return this.workerPool ? this.workerPool.terminate() : Promise.resolve();
+  }
+
+  /**
+   * Increment block nonce until block header hash meets minimum size.
+   *
+   * @param {PrimeBlock} [block] - Block to find a nonce for, the current block by default
+   *
+   * @returns {Object} - Block header hash as hex and as a BigInteger
+   */
+  findHeaderHash(block=this.currentBlock) {
+    let headerHash = block.hashHeader();
+    let blockHeaderHash = BigNum.from(headerHash, 16);
+    while (blockHeaderHash.compareTo(PrimeBlockchain.BLOCK_HEADER_HASH_MIN) < 0) {
+      block.primeNonce++;
+      headerHash = block.hashHeader();
+      blockHeaderHash = BigNum.from(headerHash, 16);
+    }
+    return { headerHash, blockHeaderHash };
   }
 
   /**
@@ -35,39 +189,40 @@ module.exports = class PrimeMiner extends Miner {
    * 1. Increment block nonce until block header hash meets minimum size.
    * 2. Multiply block header hash by a primorial and multiplier to obtain a chain origin number.
    *  a. The primorial 7# is used and serves to hopefully aid in finding prime chains.
-   * 3. Test if the chain origin has a prime chain of any of three possible types that meets target length.
-   * 4. If no suitable chain, increment the multiplier.
-   * 5. If chain is found, set prime multiplier, chain length, and chain type as proof.
+   * 3. Sieve a window of multipliers, removing those whose chains have a member with a small factor.
+   * 4. Test if the chain origin has a prime chain of any of three possible types that meets target length.
+   * 5. If no suitable chain, move to the next multiplier that survived the sieve.
+   * 6. If chain is found, set prime multiplier, chain length, and chain type as proof.
+   *
+   * When mining with worker threads, steps 2 through 5 are handed to the
+   * workers and this method returns right away. Nothing is mined while
+   * syncing with peers.
    * 
    * @param {boolean} oneAndDone - Give up after the first PoW search (testing only).
    */
   findProof(oneAndDone=false) {
-    // Find nonce that makes block header hash larger than min size
-    let blockHeaderHash = new BigInteger(this.currentBlock.hashHeader(), 16);
-    while (blockHeaderHash.compareTo(PrimeBlockchain.BLOCK_HEADER_HASH_MIN) < 0) {
-      this.currentBlock.primeNonce++;
-      blockHeaderHash = new BigInteger(this.currentBlock.hashHeader(), 16);
+    // Mining resumes when the sync is done
+    if (this.syncing) {
+      if (this.workerPool) this.workerPool.cancel();
+      return;
     }
 
-    // Try incrementing primeMultiplier until a suitable prime chain is found
-    let roundsDone = 0;
-    while (roundsDone < this.miningRounds) {
-      let multiplier = Prime.BI_BASE_PRIMORIAL.multiply(this.currentBlock.primeMultiplier);
-      //let multiplier = this.currentBlock.primeMultiplier;
-      let { chainLength, chainType } = Prime.findPrimeChain(blockHeaderHash.multiply(multiplier), this.currentBlock.target);
-
-      if (chainLength >= this.currentBlock.target) {
-        this.currentBlock.primeMultiplier = multiplier;
-        this.currentBlock.primeChainLength = chainLength;
-        this.currentBlock.primeChainType = chainType;
-        this.log(`found proof prime chain with length ${this.currentBlock.primeChainLength} for block ${this.currentBlock.chainLength}`);
-        this.announceProof();
-        this.receiveBlock(this.currentBlock);
-        this.startNewSearch();
-        break;
+    // Find nonce that makes block header hash larger than min size
+    let { headerHash, blockHeaderHash } = this.findHeaderHash();
+
+    // Worker threads search in the background and report back when done
+    if (this.workerPool) {
+      if (!this.workerPool.isSearching(headerHash)) {
+        this.workerPool.search(headerHash, this.currentBlock.target, this.currentBlock.primeMultiplier);
       }
-      this.currentBlock.primeMultiplier = this.currentBlock.primeMultiplier.add(Prime.BI_ONE);
-      roundsDone++;
+      return;
+    }
+
+    if (this.searchProof(this.currentBlock, headerHash, blockHeaderHash, this.miningRounds)) {
+      this.log(`found proof prime chain with length ${this.currentBlock.primeChainLength} for block ${this.currentBlock.chainLength}`);
+      this.announceProof();
+      this.receiveBlock(this.currentBlock);
+      this.startNewSearch();
     }
 
     // If we are testing, don't continue the search.
@@ -78,100 +233,247 @@ module.exports = class PrimeMiner extends Miner {
   }
 
   /**
-   * Copied from Client and Miner classes, but uses PrimeBlockchain's deserializeBlock().
-   * Also saves proof-of-work prime chain info to array. Prime chain info can be
-   * saved to a file from the CLI by running tcpPrimeMiner.js
+   * Test multipliers that survive the sieve, in order, until one gives an
+   * origin with a prime chain meeting the block's target, and attach that
+   * chain to the block as its proof. The sieve window is kept between
+   * calls, so a search for the same block header picks up where it left off.
    *
-   * Validates and adds a block to the list of blocks, possibly updating the head
-   * of the blockchain.  Any transactions in the block are rerun in order to
-   * update the gold balances for all clients.  If any transactions are found to be
-   * invalid due to lack of funds, the block is rejected and 'null' is returned to
-   * indicate failure.
-   * 
-   * If any blocks cannot be connected to an existing block but seem otherwise valid,
-   * they are added to a list of pending blocks and a request is sent out to get the
-   * missing blocks from other clients.
-   * 
-   * @param {Block | Object} block - The block to add to the clients list of available blocks.
-   * 
-   * @returns {Block | null} The block with rerun transactions, or null for an invalid block.
+   * @param {PrimeBlock} block - Block to find a proof for
+   * @param {string} headerHash - Block header hash as hex, see findHeaderHash
+   * @param {BigInteger} blockHeaderHash - Block header hash as a BigInteger
+   * @param {int} rounds - Most candidates to go through before giving up
+   *
+   * @returns {boolean} - True if a proof was found
    */
-  receiveBlock(block) {
-    // If the block is a string, then deserialize it.
-    block = PrimeBlockchain.deserializeBlock(block);
+  searchProof(block, headerHash, blockHeaderHash, rounds) {
+    let base = blockHeaderHash.multiply(Prime.BI_BASE_PRIMORIAL);
+
+    // Try multipliers that survive the sieve until a suitable prime chain is found
+    let roundsDone = 0;
+    while (roundsDone < rounds) {
+      roundsDone++;
+
+      // Sieve a new window for a new block header, or when the last window is used up
+      let window = this.sieveWindow;
+      if (window === undefined || window.headerHash !== headerHash) {
+        this.sieveWindow = this.sieveMultipliers(headerHash, base, block.primeMultiplier, block.target);
+        continue;
+      }else if (window.index >= window.offsets.length) {
+        let nextStart = window.start.add(BigNum.from(this.sieve.sieveSize));
+        this.sieveWindow = this.sieveMultipliers(headerHash, base, nextStart, block.target);
+        continue;
+      }
 
-    // Ignore the block if it has been received previously.
-    if (this.blocks.has(block.id)) return null;
+      let offset = window.offsets[window.index++];
+      block.primeMultiplier = window.start.add(BigNum.from(offset));
+
+      let multiplier = Prime.BI_BASE_PRIMORIAL.multiply(block.primeMultiplier);
+      let { chainLength, chainType } = Prime.findPrimeChain(blockHeaderHash.multiply(multiplier), block.target);
+      this.sieve.recordResult(chainLength, block.target);
+      if (this.chainLog) {
+        this.chainLog.record({ headerHash, multiplier: multiplier.toString(), chainLength, chainType });
+      }
 
-    // First, make sure that the block has a valid proof. 
-    if (!block.hasValidProof() && !block.isGenesisBlock()) {
-      this.log(`Block ${block.id} does not have a valid proof.`);
-      return null;
+      if (chainLength >= block.target) {
+        block.primeMultiplier = multiplier;
+        block.primeChainLength = chainLength;
+        block.primeChainType = chainType;
+        return true;
+      }
     }
+    return false;
+  }
 
-    // Make sure that we have the previous blocks, unless it is the genesis block.
-    // If we don't have the previous blocks, request the missing blocks and exit.
-    let prevBlock = this.blocks.get(block.prevBlockHash);
-    if (!prevBlock && !block.isGenesisBlock()) {
-      let stuckBlocks = this.pendingBlocks.get(block.prevBlockHash);
+  /**
+   * Mine a block on top of the head right away, without pausing for
+   * messages, then announce and accept it. The block holds the given
+   * transactions, or the transactions of the block being mined if none
+   * are given. Transactions left out stay pending for the next block.
+   * Only allowed on regtest, where the target is always 1, so a block
+   * takes a moment to mine. Since nothing else runs meanwhile, the search
+   * gives up after maxRounds candidates rather than blocking for good.
+   *
+   * @param {Object} [obj] - Contents of the block.
+   * @param {string} [obj.rewardAddr] - Address to pay the reward to, this miner's by default.
+   * @param {Array} [obj.transactions] - Transactions to put in the block, in order.
+   * @param {int} [obj.maxRounds] - Most candidates to test, MAX_GENERATE_ROUNDS by default.
+   *
+   * @returns {PrimeBlock} - The block mined
+   */
+  mineBlock({rewardAddr=this.address, transactions, maxRounds=MAX_GENERATE_ROUNDS} = {}) {
+    if (PrimeBlockchain.NETWORK !== NetworkProfiles.REGTEST) {
+      throw new Error(`Blocks can only be generated on ${NetworkProfiles.REGTEST}, not on ${PrimeBlockchain.NETWORK}.`);
+    }
+
+    let block = PrimeBlockchain.makeBlock(rewardAddr, this.lastBlock);
+    delete block.proof;
+    block.timestamp = this.nextTimestamp();
+    block.target = PrimeDifficulty.nextTarget(this.lastBlock, this.blocks);
 
-      // If this is the first time that we have identified this block as missing,
-      // send out a request for the block.
-      if (stuckBlocks === undefined) { 
-        this.requestMissingBlock(block);
-        stuckBlocks = new Set();
+    if (transactions === undefined) {
+      transactions = this.currentBlock ? Array.from(this.currentBlock.transactions.values()) : [];
+    }
+    transactions.forEach((tx) => {
+      tx = PrimeBlockchain.makeTransaction(tx);
+      if (!block.addTransaction(tx, this)) {
+        throw new Error(`Transaction ${tx.id} cannot be added to the block.`);
       }
-      stuckBlocks.add(block);
+    });
 
-      this.pendingBlocks.set(block.prevBlockHash, stuckBlocks);
-      return null;
+    let { headerHash, blockHeaderHash } = this.findHeaderHash(block);
+    if (!this.searchProof(block, headerHash, blockHeaderHash, maxRounds)) {
+      throw new Error(`No proof found for block ${block.chainLength} in ${maxRounds} rounds.`);
     }
 
-    if (!block.isGenesisBlock()) {
-      // Verify the block, and store it if everything looks good.
-      // This code will trigger an exception if there are any invalid transactions.
-      let success = block.rerun(prevBlock);
-      if (!success) return null;
+    this.log(`generated block ${block.chainLength} with prime chain length ${block.primeChainLength}`);
+    this.net.broadcast(PrimeBlockchain.PROOF_FOUND, block);
+    this.receiveBlock(block);
+    return block;
+  }
+
+  /**
+   * Mine blocks one after another on top of the head, see mineBlock.
+   * The first block takes the transactions of the block being mined.
+   *
+   * @param {int} n - Number of blocks to mine, at most MAX_GENERATE
+   * @param {string} [rewardAddr] - Address to pay the rewards to, this miner's by default.
+   *
+   * @returns {Array} - The blocks mined, in order
+   */
+  generate(n, rewardAddr=this.address) {
+    if (!(Number.isInteger(n) && n >= 0 && n <= MAX_GENERATE)) {
+      throw new Error(`Can only generate 0 to ${MAX_GENERATE} blocks at a time, not ${n}.`);
+    }
+    let blocks = [];
+    for (let i = 0; i < n; i++) {
+      blocks.push(this.mineBlock({ rewardAddr }));
     }
+    return blocks;
+  }
 
-    // Storing the block.
-    this.blocks.set(block.id, block);
+  /**
+   * Attach a proof found by a worker thread to the current block and
+   * announce it. Proofs for a block header that is no longer being mined
+   * are ignored, since the workers have already been restarted.
+   *
+   * @param {Object} proof - Proof posted by primeWorker.js
+   */
+  receiveWorkerProof({headerHash, multiplier, chainLength, chainType}) {
+    if (this.currentBlock.hashHeader() !== headerHash) return;
 
-    // Storing the prime chain info
-    this.primeChains.push({
-      blockNumber: block.chainLength,
-      blockHash: block.hashVal(),
-      blockHeaderHash: block.hashHeader(),
-      primeMultiplier: block.primeMultiplier.toString(),
-      primeChainLength: block.primeChainLength,
-      primeChainType: block.primeChainType,
-    });
+    this.currentBlock.primeMultiplier = BigNum.from(multiplier);
+    this.currentBlock.primeChainLength = chainLength;
+    this.currentBlock.primeChainType = chainType;
+    this.log(`found proof prime chain with length ${this.currentBlock.primeChainLength} for block ${this.currentBlock.chainLength}`);
+    this.announceProof();
+    this.receiveBlock(this.currentBlock);
+    this.startNewSearch();
+  }
 
-    // If it is a better block than the client currently has, set that
-    // as the new currentBlock, and update the lastConfirmedBlock.
-    if (this.lastBlock.chainLength < block.chainLength) {
-      this.lastBlock = block;
-      this.setLastConfirmed();
-    }
-
-    // Go through any blocks that were waiting for this block
-    // and recursively call receiveBlock.
-    let unstuckBlocks = this.pendingBlocks.get(block.id) || [];
-    // Remove these blocks from the pending set.
-    this.pendingBlocks.delete(block.id);
-    unstuckBlocks.forEach((b) => {
-      this.log(`Processing unstuck block ${b.id}`);
-      this.receiveBlock(b);
+  /**
+   * Add counts reported by a worker thread's sieve to the miner's own.
+   *
+   * @param {Object} stats - Counts from PrimeSieve.stats
+   */
+  addWorkerStats(stats) {
+    Object.keys(stats).forEach((key) => {
+      this.sieve.stats[key] += stats[key];
     });
+  }
 
-    if (block === null) return null;
+  /**
+   * Sieve a window of multipliers for the block being mined.
+   *
+   * @param {string} headerHash - Block header hash the window belongs to
+   * @param {BigInteger} base - Block header hash times the base primorial
+   * @param {BigInteger} start - First multiplier in the window
+   * @param {number} [target] - Target of the block, that of the current block by default
+   *
+   * @returns {Object} - Window with the multipliers to test as offsets from start
+   */
+  sieveMultipliers(headerHash, base, start, target=this.currentBlock.target) {
+    let offsets = this.sieve.sieve(base, start, target);
+    return { headerHash, start, offsets, index: 0 };
+  }
+
+  /**
+   * Copied from Miner, but also rolls back the block being mined when the
+   * new head is shorter, since the head is chosen by work rather than length.
+   *
+   * @param {Block} nb - The new block.
+   *
+   * @returns {Set} - The set of transactions that have not yet been accepted by the new block.
+   */
+  syncTransactions(nb) {
+    let cb = this.currentBlock;
+    let cbTxs = new Set();
+    let nbTxs = new Set();
+
+    // Roll back whichever chain is ahead to the matching height, collecting
+    // any transactions.
+    while (nb.chainLength > cb.chainLength) {
+      nb.transactions.forEach((tx) => nbTxs.add(tx));
+      nb = this.blocks.get(nb.prevBlockHash);
+    }
+    while (cb && cb.chainLength > nb.chainLength) {
+      cb.transactions.forEach((tx) => cbTxs.add(tx));
+      cb = this.blocks.get(cb.prevBlockHash);
+    }
+
+    // Step back in sync until we hit the common ancestor.
+    while (cb && cb.id !== nb.id) {
+      cb.transactions.forEach((tx) => cbTxs.add(tx));
+      nb.transactions.forEach((tx) => nbTxs.add(tx));
+
+      cb = this.blocks.get(cb.prevBlockHash);
+      nb = this.blocks.get(nb.prevBlockHash);
+    }
+
+    // Remove all transactions that the new chain already has.
+    nbTxs.forEach((tx) => cbTxs.delete(tx));
+
+    return cbTxs;
+  }
 
-    // We switch over to the new chain only if it is better.
-    if (this.currentBlock && block.chainLength >= this.currentBlock.chainLength) {
+  /**
+   * True while catching up with the chain of a peer with more work.
+   */
+  get syncing() {
+    return this.chainSync.syncing;
+  }
+
+  /**
+   * Ask peers for their heads and download the chain of the peer with
+   * the most work, if it has more than this client.
+   *
+   * @returns {Promise} - Resolves once the sync has finished
+   */
+  startSync() {
+    return this.chainSync.start();
+  }
+
+  /**
+   * Validates and adds a block to the list of blocks like PrimeClient, see
+   * BlockValidator.receiveBlock. If the block becomes the new head, the
+   * miner switches over to mining on top of it.
+   *
+   * @param {Block | Object} block - The block to add to the clients list of available blocks.
+   * @param {boolean} [proofChecked] - True if the block's proof was already checked,
+   *      as ChainSync does for downloaded blocks.
+   *
+   * @returns {Block | null} The block with rerun transactions, or null for a block not stored.
+   */
+  receiveBlock(block, proofChecked=false) {
+    block = this.blockValidator.receiveBlock(block, proofChecked);
+
+    // We switch over to the new chain only if it became the head.
+    // Blocks that were waiting for this one switch over on their own.
+    if (block !== null && this.currentBlock && this.lastBlock === block) {
       this.log(`cutting over to new chain.`);
       let txSet = this.syncTransactions(block);
       this.startNewSearch(txSet);
     }
+    return block;
   }
-  
-}
\ No newline at end of file
+
+}
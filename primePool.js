@@ -0,0 +1,371 @@
+"use strict";
+
+const { Blockchain } = require('spartan-gold');
+const BigNum = require('./bigNum.js');
+const ChainTypes = require('./chainTypes.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeMiner = require('./primeMiner.js');
+const PrimeSieve = require('./primeSieve.js');
+const Prime = require('./prime.js');
+
+// Messages of the pool protocol
+const GET_JOB = "GET_JOB";
+const JOB = "JOB";
+const SUBMIT_SHARE = "SUBMIT_SHARE";
+const SHARE_RESULT = "SHARE_RESULT";
+
+// Shares are chains this much shorter than the block target
+const SHARE_OFFSET = 1;
+
+// Multipliers handed to a miner at once, in units of the base primorial
+const RANGE_SIZE = PrimeSieve.SIEVE_SIZE;
+
+/**
+ * Mining pool built on PrimeMiner. The pool builds blocks paying the
+ * coinbase to itself, but leaves the search to pool miners. Each miner
+ * asks for a job, which holds the block header hash and a range of
+ * multipliers that no other miner is given, and submits every chain it
+ * finds that meets the share target, shareOffset less than the block
+ * target. The pool checks each share itself before counting it. A share
+ * that also meets the block target completes the block.
+ *
+ * Shares are counted per miner until the pool finds a block. Once the
+ * reward for that block is confirmed, the pool splits it between the
+ * miners in proportion to their shares, in a single payout transaction.
+ */
+module.exports = class PrimePool extends PrimeMiner {
+
+  static get GET_JOB() { return GET_JOB; }
+  static get JOB() { return JOB; }
+  static get SUBMIT_SHARE() { return SUBMIT_SHARE; }
+  static get SHARE_RESULT() { return SHARE_RESULT; }
+  static get SHARE_OFFSET() { return SHARE_OFFSET; }
+  static get RANGE_SIZE() { return RANGE_SIZE; }
+
+  /**
+   * Split a reward between miners in proportion to their shares. Amounts
+   * are rounded down, and whatever is left over stays with the pool.
+   *
+   * @param {number} reward - Gold to split
+   * @param {Map} shares - Number of shares of each miner's address
+   *
+   * @returns {Array} - Outputs paying each miner its part
+   */
+  static splitReward(reward, shares) {
+    let total = 0;
+    shares.forEach((count) => total += count);
+    if (total === 0 || reward <= 0) return [];
+
+    let outputs = [];
+    shares.forEach((count, address) => {
+      let amount = Math.floor(reward * count / total);
+      if (amount > 0) outputs.push({ amount, address });
+    });
+    return outputs;
+  }
+
+  /**
+   * Length of a chain of the given type from an origin, searched the same
+   * way Prime.findPrimeChain searches it.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {string} chainType - Type of chain claimed by the miner
+   * @param {number} target - Chain length at which the search may stop
+   *
+   * @returns {number} - Fractional length of the chain, 0 for a type not enabled
+   */
+  static chainLength(origin, chainType, target) {
+    if (!PrimeBlockchain.CHAIN_TYPES.includes(chainType)) {
+      return 0;
+    }
+    return ChainTypes.get(chainType).search(origin, target);
+  }
+
+  /**
+   * In addition to the settings of PrimeMiner, the pool takes how much
+   * easier shares are than blocks, and how many multipliers each miner
+   * is given at once. Worker threads are not used, since the pool does
+   * not search for proofs itself.
+   *
+   * @param {Object} obj - The properties of the pool, see PrimeMiner.
+   * @param {number} [obj.shareOffset] - How much shorter a share may be than the block target.
+   * @param {int} [obj.rangeSize] - Multipliers in each range handed out.
+   */
+  constructor(args={}) {
+    super(Object.assign({}, args, { threads: 0 }));
+    this.shareOffset = args.shareOffset === undefined ? SHARE_OFFSET : args.shareOffset;
+    this.rangeSize = args.rangeSize || RANGE_SIZE;
+
+    // Addresses of miners that have asked for jobs
+    this.poolMiners = new Set();
+
+    // Job being handed out, and the number of jobs so far
+    this.job = null;
+    this.jobCount = 0;
+    this.jobScheduled = false;
+
+    // Shares of each miner since the pool's last block, and blocks
+    // whose rewards have not been paid out yet
+    this.roundShares = new Map();
+    this.rounds = [];
+    this.payouts = [];
+
+    this.on(GET_JOB, (o) => this.provideJob(o));
+    this.on(SUBMIT_SHARE, (o) => this.receiveShare(o));
+  }
+
+  /**
+   * Hand out a new job once the new block has its target.
+   */
+  startNewSearch(txSet=new Set()) {
+    super.startNewSearch(txSet);
+    this.scheduleJob();
+  }
+
+  /**
+   * Adds a transaction to the current block. Since this changes the block
+   * header, miners are given a new job.
+   *
+   * @param {Transaction | String} tx - The transaction to add.
+   *
+   * @returns {boolean} - True if the transaction was added.
+   */
+  addTransaction(tx) {
+    let added = super.addTransaction(tx);
+    if (added) {
+      this.scheduleJob();
+    }
+    return added;
+  }
+
+  /**
+   * The pool leaves the search to its miners.
+   */
+  findProof() {}
+
+  /**
+   * Make a new job once the current message has been handled, so several
+   * changes to the block in a row only send miners one job.
+   */
+  scheduleJob() {
+    if (this.jobScheduled) return;
+    this.jobScheduled = true;
+    setTimeout(() => {
+      this.jobScheduled = false;
+      this.newJob();
+    }, 0);
+  }
+
+  /**
+   * Make a job for the block being mined and send every miner a range of it.
+   * Shares for earlier jobs are no longer accepted.
+   */
+  newJob() {
+    let { headerHash } = this.findHeaderHash();
+    let target = this.currentBlock.target;
+    this.jobCount++;
+    this.job = {
+      jobId: this.jobCount,
+      headerHash,
+      target,
+      shareTarget: Math.max(target - this.shareOffset, PrimeBlockchain.MIN_PRIME_CHAIN_TARGET),
+      nextStart: 1,
+      ranges: new Map(),
+      submitted: new Set(),
+    };
+    this.poolMiners.forEach((address) => this.sendJob(address));
+  }
+
+  /**
+   * Give a miner the next unused range of multipliers of the current job.
+   *
+   * @param {string} address - Address of the miner
+   */
+  sendJob(address) {
+    let job = this.job;
+    let range = { start: job.nextStart, end: job.nextStart + this.rangeSize };
+    job.nextStart = range.end;
+
+    let ranges = job.ranges.get(address) || [];
+    ranges.push(range);
+    job.ranges.set(address, ranges);
+
+    this.net.sendMessage(address, JOB, {
+      jobId: job.jobId,
+      headerHash: job.headerHash,
+      target: job.target,
+      shareTarget: job.shareTarget,
+      start: range.start,
+      end: range.end,
+    });
+  }
+
+  /**
+   * Add a miner to the pool, or give it more multipliers to search.
+   *
+   * @param {Object} o - Request from the miner
+   * @param {string} o.from - Address of the miner
+   */
+  provideJob({from}) {
+    this.poolMiners.add(from);
+    if (this.job) {
+      this.sendJob(from);
+    }
+  }
+
+  /**
+   * Check a share without counting it.
+   *
+   * @param {Object} share - Share submitted by a miner
+   * @param {string} share.from - Address of the miner
+   * @param {int} share.jobId - Job the share belongs to
+   * @param {string} share.multiplier - Multiplier of the origin, including the base primorial
+   * @param {string} share.chainType - Type of chain found
+   *
+   * @returns {Object} - Whether the share is accepted, the reason if not,
+   *      and the length of the chain
+   */
+  checkShare({from, jobId, multiplier, chainType}) {
+    let job = this.job;
+    if (!job || job.jobId !== jobId) {
+      return { accepted: false, reason: "stale job" };
+    }
+
+    if (typeof multiplier !== 'string' || !/^[0-9]+$/.test(multiplier)) {
+      return { accepted: false, reason: "malformed multiplier" };
+    }
+    let primeMultiplier = BigNum.from(multiplier);
+    if (primeMultiplier.signum() <= 0 || primeMultiplier.mod(Prime.BI_BASE_PRIMORIAL).signum() !== 0) {
+      return { accepted: false, reason: "malformed multiplier" };
+    }
+
+    let index = Number(primeMultiplier.divide(Prime.BI_BASE_PRIMORIAL).toString());
+    let ranges = job.ranges.get(from) || [];
+    if (!ranges.some(({start, end}) => index >= start && index < end)) {
+      return { accepted: false, reason: "multiplier outside assigned range" };
+    }
+
+    if (job.submitted.has(primeMultiplier.toString())) {
+      return { accepted: false, reason: "duplicate share" };
+    }
+
+    let origin = BigNum.from(job.headerHash, 16).multiply(primeMultiplier);
+    let chainLength = PrimePool.chainLength(origin, chainType, job.target);
+    if (chainLength < job.shareTarget) {
+      return { accepted: false, reason: "chain too short", chainLength };
+    }
+
+    return { accepted: true, chainLength };
+  }
+
+  /**
+   * Count a share if it is valid, and tell the miner whether it was. A
+   * share meeting the block target completes the block.
+   *
+   * @param {Object} share - Share submitted by a miner, see checkShare
+   *
+   * @returns {boolean} - True if the share was accepted
+   */
+  receiveShare(share) {
+    let { accepted, reason, chainLength } = this.checkShare(share);
+    let { from, jobId, multiplier } = share;
+    this.net.sendMessage(from, SHARE_RESULT, { jobId, multiplier, accepted, reason });
+    if (!accepted) {
+      this.log(`Rejected share from ${from}: ${reason}.`);
+      return false;
+    }
+
+    this.job.submitted.add(BigNum.from(multiplier).toString());
+    this.roundShares.set(from, (this.roundShares.get(from) || 0) + 1);
+
+    if (chainLength >= this.job.target) {
+      this.completeBlock(BigNum.from(multiplier));
+    }
+    return true;
+  }
+
+  /**
+   * Attach the proof from a share to the current block and announce it.
+   * The proof is searched again the way PrimeBlock.hasValidProof does, so
+   * the block carries the chain type and length the network expects. The
+   * shares counted so far are paid out from this block.
+   *
+   * @param {BigInteger} multiplier - Multiplier of the share
+   */
+  completeBlock(multiplier) {
+    if (this.currentBlock.hashHeader() !== this.job.headerHash) {
+      this.log(`Share meets the target, but block ${this.currentBlock.chainLength} has changed since the job was made.`);
+      return;
+    }
+
+    let origin = BigNum.from(this.job.headerHash, 16).multiply(multiplier);
+    let { chainLength, chainType } = Prime.findPrimeChain(origin, this.currentBlock.target);
+    if (chainLength < this.currentBlock.target) return;
+
+    this.currentBlock.primeMultiplier = multiplier;
+    this.currentBlock.primeChainLength = chainLength;
+    this.currentBlock.primeChainType = chainType;
+    this.log(`found proof prime chain with length ${chainLength} for block ${this.currentBlock.chainLength}`);
+
+    this.rounds.push({ blockId: this.currentBlock.id, shares: this.roundShares });
+    this.roundShares = new Map();
+
+    this.announceProof();
+    this.receiveBlock(this.currentBlock);
+    this.startNewSearch();
+  }
+
+  /**
+   * Pay out the rounds of the pool's blocks that are now confirmed.
+   */
+  receiveBlock(block, proofChecked=false) {
+    let result = super.receiveBlock(block, proofChecked);
+    // Blocks replayed from a block store arrive before there are any rounds
+    if (this.rounds) this.payOutRounds();
+    return result;
+  }
+
+  /**
+   * Pay out each round whose block reward is confirmed, and give up on
+   * rounds whose block is no longer on the confirmed chain.
+   */
+  payOutRounds() {
+    this.rounds = this.rounds.filter((round) => !this.settleRound(round));
+  }
+
+  /**
+   * @param {Object} round - Block found by the pool and the shares that led to it
+   *
+   * @returns {boolean} - True if the round is finished with
+   */
+  settleRound({blockId, shares}) {
+    let block = this.blocks.get(blockId);
+    if (block === undefined) return true;
+
+    // A block's reward is added to the balances of the block after it
+    let confirmed = this.lastConfirmedBlock;
+    if (block.chainLength >= confirmed.chainLength) return false;
+
+    let ancestor = confirmed;
+    while (ancestor.chainLength > block.chainLength) {
+      ancestor = this.blocks.get(ancestor.prevBlockHash);
+    }
+    if (ancestor.id !== block.id) {
+      this.log(`Block ${blockId} is not on the confirmed chain, so its round is not paid out.`);
+      return true;
+    }
+
+    let fee = Blockchain.DEFAULT_TX_FEE;
+    let outputs = PrimePool.splitReward(block.totalRewards() - fee, shares);
+    if (outputs.length === 0) return true;
+
+    let total = outputs.reduce((acc, {amount}) => acc + amount, 0);
+    if (total + fee > this.availableGold) return false;
+
+    let tx = this.postTransaction(outputs, fee);
+    this.payouts.push({ blockId, txId: tx.id, shares: Object.fromEntries(shares), outputs });
+    this.log(`Paid out ${total} gold from block ${blockId} to ${outputs.length} miners.`);
+    return true;
+  }
+
+}
@@ -0,0 +1,201 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+
+// Required when first used, since chain types use the sieve's modInverse
+function chainTypes() {
+  return require('./chainTypes.js');
+}
+
+// Number of multipliers sieved at once
+const SIEVE_SIZE = 4096;
+
+// Small primes up to this limit are used to sieve out candidates
+const SIEVE_PRIME_LIMIT = 2000;
+
+// Primes dividing the base primorial 7# never divide a chain member
+const PRIMORIAL_PRIME_LIMIT = 7;
+
+module.exports = class PrimeSieve {
+
+  static get SIEVE_SIZE() { return SIEVE_SIZE; }
+  static get SIEVE_PRIME_LIMIT() { return SIEVE_PRIME_LIMIT; }
+
+  /**
+   * Generate all primes up to a limit with the sieve of Eratosthenes.
+   *
+   * @param {int} limit - Largest number to check
+   *
+   * @returns {Array} - Primes up to and including limit
+   */
+  static generateSmallPrimes(limit) {
+    let composite = new Uint8Array(limit + 1);
+    let primes = [];
+    for (let i = 2; i <= limit; i++) {
+      if (composite[i]) continue;
+      primes.push(i);
+      for (let j = i * i; j <= limit; j += i) {
+        composite[j] = 1;
+      }
+    }
+    return primes;
+  }
+
+  /**
+   * Modular inverse of a small number with the extended Euclidean algorithm.
+   *
+   * @param {int} a - Number to invert, not divisible by q
+   * @param {int} q - Prime modulus
+   *
+   * @returns {int} - x where a * x mod q = 1
+   */
+  static modInverse(a, q) {
+    let [oldR, r] = [a % q, q];
+    let [oldS, s] = [1, 0];
+    while (r !== 0) {
+      let quotient = Math.floor(oldR / r);
+      [oldR, r] = [r, oldR - quotient * r];
+      [oldS, s] = [s, oldS - quotient * s];
+    }
+    return ((oldS % q) + q) % q;
+  }
+
+  /**
+   * @param {Object} obj - Sieve settings.
+   * @param {int} [obj.sieveSize] - Number of multipliers sieved at once.
+   * @param {int} [obj.sievePrimeLimit] - Largest small prime to sieve with.
+   */
+  constructor({sieveSize=SIEVE_SIZE, sievePrimeLimit=SIEVE_PRIME_LIMIT} = {}) {
+    this.sieveSize = sieveSize;
+    this.smallPrimes = PrimeSieve.generateSmallPrimes(sievePrimeLimit)
+      .filter((q) => q > PRIMORIAL_PRIME_LIMIT);
+    this.resetStats();
+  }
+
+  /**
+   * Clear counts of candidates removed by each stage of the search.
+   */
+  resetStats() {
+    this.stats = {
+      // Multipliers looked at by the sieve
+      candidates: 0,
+      // Removed because a needed chain member has a small factor
+      sieveRemoved: 0,
+      // Removed because no chain type found even a first prime
+      primalityRemoved: 0,
+      // Removed because the longest chain found was too short
+      lengthRemoved: 0,
+      // Chains found that meet the target
+      chainsFound: 0,
+    };
+  }
+
+  /**
+   * Sieve a window of multipliers for a block. The origin for a multiplier m
+   * is base * m. Each enabled chain type gives the origins mod a small
+   * prime q for which a member of its chains is divisible by q (see
+   * ChainType.divisibleOrigins), such as 2^-j mod q for member j of a
+   * first Cunningham chain, 2^j * origin - 1. The multipliers to remove for
+   * each q and member form an arithmetic progression with step q, just
+   * like Eratosthenes.
+   *
+   * A multiplier is kept if any enabled chain type could still reach the
+   * whole part of target, that is if none of the first floor(target)
+   * members of its chain has a small factor.
+   *
+   * @param {BigInteger} base - Block header hash times the base primorial
+   * @param {BigInteger} start - First multiplier in the window
+   * @param {number} target - Prime chain length target
+   * @param {Array} [names] - Names of the chain types searched, the enabled ones by default
+   *
+   * @returns {Array} - Offsets from start of multipliers that survived the sieve
+   */
+  sieve(base, start, target, names) {
+    let depth = Math.max(Math.floor(target), 1);
+    let types = chainTypes().enabled(names);
+
+    // Index of the first chain member with a small factor, for each chain type
+    let composite = types.map(() => new Uint8Array(this.sieveSize).fill(depth));
+
+    for (let q of this.smallPrimes) {
+      let bigQ = BigNum.from(q);
+      let r = base.mod(bigQ).intValue();
+      if (r === 0) continue;
+
+      let s = start.mod(bigQ).intValue();
+      let rInverse = PrimeSieve.modInverse(r, q);
+
+      types.forEach((chainType, t) => {
+        chainType.divisibleOrigins(q, depth).forEach((origin, j) => {
+          if (origin === null) return;
+          // Multipliers (start + i) where base * (start + i) = origin mod q
+          let multiplier = (origin * rInverse) % q;
+          this.markComposite(composite[t], (multiplier - s + q) % q, q, j);
+        });
+      });
+    }
+
+    let offsets = [];
+    for (let i = 0; i < this.sieveSize; i++) {
+      if (composite.some((chainComposite) => chainComposite[i] >= depth)) {
+        offsets.push(i);
+      }
+    }
+
+    this.stats.candidates += this.sieveSize;
+    this.stats.sieveRemoved += this.sieveSize - offsets.length;
+
+    return offsets;
+  }
+
+  /**
+   * Record chain member j as composite for every offset in an arithmetic
+   * progression, keeping the lowest member index for each offset.
+   *
+   * @param {Uint8Array} composite - Lowest composite member index for each offset
+   * @param {int} first - First offset in progression
+   * @param {int} step - Step of progression
+   * @param {int} j - Index of chain member that is composite
+   */
+  markComposite(composite, first, step, j) {
+    for (let i = first; i < composite.length; i += step) {
+      if (composite[i] > j) {
+        composite[i] = j;
+      }
+    }
+  }
+
+  /**
+   * Count the result of fully testing a candidate that survived the sieve.
+   *
+   * @param {number} chainLength - Fractional length of best chain found
+   * @param {number} target - Prime chain length target
+   */
+  recordResult(chainLength, target) {
+    if (chainLength >= target) {
+      this.stats.chainsFound++;
+    }else if (chainLength < 1) {
+      this.stats.primalityRemoved++;
+    }else {
+      this.stats.lengthRemoved++;
+    }
+  }
+
+  /**
+   * Describe how many candidates each stage of the search removed.
+   *
+   * @returns {string} - Human readable statistics
+   */
+  showStats() {
+    let { candidates, sieveRemoved, primalityRemoved, lengthRemoved, chainsFound } = this.stats;
+    let percent = (n) => candidates === 0 ? "0.00" : (100 * n / candidates).toFixed(2);
+    return `
+    Candidates sieved: ${candidates}
+    Removed by sieve: ${sieveRemoved} (${percent(sieveRemoved)}%)
+    Removed by primality test: ${primalityRemoved} (${percent(primalityRemoved)}%)
+    Removed by chain length: ${lengthRemoved} (${percent(lengthRemoved)}%)
+    Chains found: ${chainsFound}
+`;
+  }
+
+}
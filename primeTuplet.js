@@ -0,0 +1,84 @@
+"use strict";
+
+const BigNum = require('./bigNum.js');
+const ChainType = require('./chainType.js');
+const Prime = require('./prime.js');
+
+/**
+ * Prime k-tuplet, a cluster of primes at fixed offsets from the origin,
+ * such as the quadruplet origin + 11, 13, 17 and 19. The chain is the
+ * run of offsets that are prime, in order, so its length is at most k
+ * and a network using tuplets needs targets no higher than that. Since
+ * origins are multiples of the base primorial 210, the offsets must not
+ * share a factor with 210 for the numbers to have a chance of being prime.
+ */
+module.exports = class PrimeTuplet extends ChainType {
+
+  /**
+   * @param {Object} obj - The properties of the chain type, see ChainType.
+   * @param {Array} obj.offsets - Offsets of the primes from the origin, in order.
+   */
+  constructor({name, label, offsets}) {
+    super({name, label});
+    if (!Array.isArray(offsets) || offsets.length < 1) {
+      throw new Error("A prime tuplet needs at least one offset.");
+    }
+    this.offsets = offsets;
+    this.bigOffsets = offsets.map((offset) => BigNum.from(offset));
+  }
+
+  /**
+   * Test the numbers at each offset in order with Fermat's little theorem,
+   * double checked with the BigInteger primality test, until one is
+   * composite. The search stops early once the number of primes found
+   * meets target.
+   *
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {number} [target] - Chain length at which the search may stop
+   *
+   * @returns {number} - Fractional length of the tuplet found
+   */
+  search(origin, target=Infinity) {
+    let chainLength = 0;
+    for (let offset of this.bigOffsets) {
+      if (chainLength >= target) break;
+
+      let n = origin.add(offset);
+      if (!Prime.fermatPrimalityTest(n) || !n.isProbablePrime()) {
+        // Like Cunningham chains, no chain at all if the first number is composite
+        return chainLength === 0 ? 0 : chainLength + Prime.fractionalLength(n);
+      }
+      chainLength += 1;
+    }
+    return chainLength;
+  }
+
+  /**
+   * @param {BigInteger} origin - Prime chain origin
+   * @param {int} count - Number of primes in the tuplet
+   *
+   * @returns {Array} - The numbers at the first count offsets
+   */
+  members(origin, count) {
+    if (count > this.offsets.length) {
+      throw new Error(`Invalid chain, ${this.name} has at most ${this.offsets.length} primes`);
+    }
+    return this.bigOffsets.slice(0, count).map((offset) => origin.add(offset));
+  }
+
+  /**
+   * The number at an offset is divisible by q when origin = -offset mod q.
+   * There is nothing to remove for members past the last offset.
+   *
+   * @param {int} q - Small prime that does not divide the base primorial
+   * @param {int} count - Number of members
+   *
+   * @returns {Array} - Origin mod q for each member, or null for a member q never divides
+   */
+  divisibleOrigins(q, count) {
+    let origins = this.offsets.slice(0, count).map((offset) => ((-offset % q) + q) % q);
+    while (origins.length < count) origins.push(null);
+    return origins;
+  }
+
+}
@@ -0,0 +1,100 @@
+"use strict";
+
+const { parentPort, workerData } = require('worker_threads');
+const BigNum = require('./bigNum.js');
+const Prime = require('./prime.js');
+const PrimeSieve = require('./primeSieve.js');
+
+// Use the same big integer backend as the main thread
+BigNum.use(workerData.bigNumBackend);
+
+// Shared with the pool, holds the id of the job workers should be working on
+const control = new Int32Array(workerData.control);
+
+const sieve = new PrimeSieve({sieveSize: workerData.sieveSize, sievePrimeLimit: workerData.sievePrimeLimit});
+
+/**
+ * Check whether the pool has moved on from a job, either because another
+ * worker found a proof or because the miner started on a new block.
+ *
+ * @param {int} jobId - Job the worker is searching for
+ *
+ * @returns {boolean} - Whether the job should be abandoned
+ */
+function cancelled(jobId) {
+  return Atomics.load(control, 0) !== jobId;
+}
+
+/**
+ * Send the counts from the sieve to the pool and start counting again.
+ */
+function reportStats() {
+  parentPort.postMessage({ type: 'stats', stats: sieve.stats });
+  sieve.resetStats();
+}
+
+/**
+ * Search for a prime chain proof, the same way PrimeMiner.findProof does
+ * on the main thread. Each worker sieves every workerCount-th window of
+ * multipliers starting from its own index, so no two workers test the
+ * same multiplier. The search runs until a proof is found or the job is
+ * cancelled. Chains at least logThreshold long are posted to the pool as
+ * they are found, for the miner's chain log.
+ *
+ * @param {Object} job - Search handed out by the pool
+ * @param {int} job.jobId - Id of the job, matched against the shared control
+ * @param {string} job.headerHash - Block header hash as hex
+ * @param {number} job.target - Prime chain length target
+ * @param {string} job.start - First multiplier of the first window
+ * @param {int} job.workerIndex - Index of this worker in the pool
+ * @param {int} job.workerCount - Number of workers in the pool
+ * @param {number} [job.logThreshold] - Shortest chain to post, none if not given
+ * @param {Array} job.chainTypes - Names of the chain types enabled on the main thread
+ * @param {int} job.basePrimorial - Base multiplier for proofs on the main thread
+ */
+function search({jobId, headerHash, target, start, workerIndex, workerCount, logThreshold, chainTypes, basePrimorial}) {
+  let blockHeaderHash = BigNum.from(headerHash, 16);
+  let primorial = BigNum.from(basePrimorial);
+  let base = blockHeaderHash.multiply(primorial);
+  let windowSize = BigNum.from(sieve.sieveSize);
+  let stride = windowSize.multiply(BigNum.from(workerCount));
+  let windowStart = BigNum.from(start).add(windowSize.multiply(BigNum.from(workerIndex)));
+
+  while (!cancelled(jobId)) {
+    for (let offset of sieve.sieve(base, windowStart, target, chainTypes)) {
+      if (cancelled(jobId)) break;
+
+      let multiplier = primorial.multiply(windowStart.add(BigNum.from(offset)));
+      let { chainLength, chainType } = Prime.findPrimeChain(blockHeaderHash.multiply(multiplier), target, chainTypes);
+      sieve.recordResult(chainLength, target);
+
+      if (logThreshold !== undefined && chainLength >= logThreshold) {
+        parentPort.postMessage({
+          type: 'chain',
+          headerHash,
+          multiplier: multiplier.toString(),
+          chainLength,
+          chainType,
+          time: Date.now(),
+        });
+      }
+
+      if (chainLength >= target) {
+        reportStats();
+        parentPort.postMessage({
+          type: 'found',
+          jobId,
+          headerHash,
+          multiplier: multiplier.toString(),
+          chainLength,
+          chainType,
+        });
+        return;
+      }
+    }
+    reportStats();
+    windowStart = windowStart.add(stride);
+  }
+}
+
+parentPort.on('message', search);
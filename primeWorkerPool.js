@@ -0,0 +1,131 @@
+"use strict";
+
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const BigNum = require('./bigNum.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const Prime = require('./prime.js');
+
+// Events emitted by the pool
+const PROOF_FOUND = "PROOF_FOUND";
+const STATS = "STATS";
+const CHAIN_FOUND = "CHAIN_FOUND";
+
+/**
+ * Runs prime chain searches on a set of worker threads. Only one search
+ * runs at a time; starting a new search or cancelling the current one
+ * makes every worker drop what it is doing.
+ */
+module.exports = class PrimeWorkerPool extends EventEmitter {
+
+  static get PROOF_FOUND() { return PROOF_FOUND; }
+  static get STATS() { return STATS; }
+  static get CHAIN_FOUND() { return CHAIN_FOUND; }
+
+  /**
+   * @param {Object} obj - Pool settings.
+   * @param {int} [obj.threads] - Number of worker threads, defaults to the number of cores.
+   * @param {int} [obj.sieveSize] - Number of multipliers each worker sieves at once.
+   * @param {int} [obj.sievePrimeLimit] - Largest small prime to sieve with.
+   * @param {number} [obj.logThreshold] - Shortest chain reported with CHAIN_FOUND,
+   *      none if not given.
+   */
+  constructor({threads=os.cpus().length, sieveSize, sievePrimeLimit, logThreshold} = {}) {
+    super();
+    this.logThreshold = logThreshold;
+
+    // Workers poll this instead of waiting for a message, since they
+    // do not return to their event loop while searching.
+    this.control = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+    this.jobId = 0;
+    this.headerHash = null;
+
+    this.workers = [];
+    for (let i = 0; i < threads; i++) {
+      let worker = new Worker(path.join(__dirname, 'primeWorker.js'), {
+        workerData: { control: this.control.buffer, sieveSize, sievePrimeLimit, bigNumBackend: BigNum.backend },
+      });
+      worker.on('message', (msg) => this.receiveMessage(msg));
+      worker.on('error', (err) => this.emit('error', err));
+      this.workers.push(worker);
+    }
+  }
+
+  /**
+   * Start searching for a proof for a block header, cancelling any
+   * search already running.
+   *
+   * @param {string} headerHash - Block header hash as hex
+   * @param {number} target - Prime chain length target
+   * @param {BigInteger} [start] - First multiplier to try
+   */
+  search(headerHash, target, start=Prime.BI_TWO) {
+    this.cancel();
+    this.headerHash = headerHash;
+    this.workers.forEach((worker, workerIndex) => {
+      worker.postMessage({
+        jobId: this.jobId,
+        headerHash,
+        target,
+        start: start.toString(),
+        workerIndex,
+        workerCount: this.workers.length,
+        logThreshold: this.logThreshold,
+        chainTypes: PrimeBlockchain.CHAIN_TYPES,
+        basePrimorial: PrimeBlockchain.BASE_PRIMORIAL,
+      });
+    });
+  }
+
+  /**
+   * Determines whether the workers are already searching for a block header.
+   *
+   * @param {string} headerHash - Block header hash as hex
+   *
+   * @returns {boolean} - True if a search for headerHash is running
+   */
+  isSearching(headerHash) {
+    return this.headerHash === headerHash;
+  }
+
+  /**
+   * Stop the current search. Workers notice at their next candidate.
+   */
+  cancel() {
+    this.jobId = (this.jobId + 1) | 0;
+    this.headerHash = null;
+    Atomics.store(this.control, 0, this.jobId);
+  }
+
+  /**
+   * Handle a message from a worker. Only the first proof found for the
+   * current job is reported; the rest of the workers are cancelled. Chains
+   * for the chain log are reported even after their job was cancelled.
+   *
+   * @param {Object} msg - Message posted by primeWorker.js
+   */
+  receiveMessage(msg) {
+    if (msg.type === 'stats') {
+      this.emit(STATS, msg.stats);
+    }else if (msg.type === 'chain') {
+      this.emit(CHAIN_FOUND, msg);
+    }else if (msg.type === 'found' && msg.jobId === this.jobId) {
+      this.cancel();
+      this.emit(PROOF_FOUND, msg);
+    }
+  }
+
+  /**
+   * Cancel the current search and shut down all workers.
+   *
+   * @returns {Promise} - Resolves once all workers have exited
+   */
+  terminate() {
+    this.cancel();
+    return Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+
+}
@@ -0,0 +1,107 @@
+"use strict";
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const BigNum = require('./bigNum.js');
+const BlockHeader = require('./blockHeader.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+
+/**
+ * Checks the proofs of many blocks or block headers at once on a set of
+ * worker threads. Only proofs are checked; targets and transactions
+ * depend on the rest of the chain and are left to receiveBlock.
+ */
+module.exports = class ProofValidator {
+
+  /**
+   * @param {Object} obj - Validator settings.
+   * @param {int} [obj.threads] - Number of worker threads, defaults to the number of
+   *      cores. With 0, proofs are checked on the main thread.
+   */
+  constructor({threads=os.cpus().length} = {}) {
+    this.nextTaskId = 0;
+    this.tasks = new Map();
+
+    this.workers = [];
+    for (let i = 0; i < threads; i++) {
+      let worker = new Worker(path.join(__dirname, 'proofWorker.js'), {
+        workerData: {
+          bigNumBackend: BigNum.backend,
+          cfg: {
+            network: PrimeBlockchain.NETWORK,
+            magic: PrimeBlockchain.NETWORK_MAGIC,
+            blockHeaderHashMinBits: PrimeBlockchain.BLOCK_HEADER_HASH_MIN_BITS,
+            basePrimorial: PrimeBlockchain.BASE_PRIMORIAL,
+            primeChainBaseTarget: PrimeBlockchain.PRIME_CHAIN_BASE_TARGET,
+            minPrimeChainTarget: PrimeBlockchain.MIN_PRIME_CHAIN_TARGET,
+            maxPrimeChainTarget: PrimeBlockchain.MAX_PRIME_CHAIN_TARGET,
+            targetBlockTime: PrimeBlockchain.TARGET_BLOCK_TIME,
+            retargetInterval: PrimeBlockchain.RETARGET_INTERVAL,
+            chainTypes: PrimeBlockchain.CHAIN_TYPES,
+          },
+        },
+      });
+      worker.on('message', ({taskId, valid}) => this.finishTask(taskId, valid));
+      worker.on('error', (err) => this.failTasks(err));
+      this.workers.push(worker);
+    }
+  }
+
+  /**
+   * Check the proofs of a batch of blocks, spreading them over the workers.
+   *
+   * @param {Array} blocks - Blocks or block headers to check
+   *
+   * @returns {Promise} - Resolves with whether each block's proof is valid, in order
+   */
+  validate(blocks) {
+    if (this.workers.length === 0) {
+      return Promise.resolve().then(() => blocks.map((block) => block.hasValidProof()));
+    }
+
+    return Promise.all(blocks.map((block, i) => new Promise((resolve, reject) => {
+      let taskId = this.nextTaskId++;
+      this.tasks.set(taskId, { resolve, reject });
+      this.workers[i % this.workers.length].postMessage({
+        taskId,
+        block: block.toJSON(),
+        header: block instanceof BlockHeader,
+      });
+    })));
+  }
+
+  /**
+   * Report the result of a task back to validate.
+   *
+   * @param {int} taskId - Id of the finished task
+   * @param {boolean} valid - Whether the block's proof is valid
+   */
+  finishTask(taskId, valid) {
+    let task = this.tasks.get(taskId);
+    if (task === undefined) return;
+    this.tasks.delete(taskId);
+    task.resolve(valid);
+  }
+
+  /**
+   * Fail every unfinished task after a worker crashed.
+   *
+   * @param {Error} err - Error thrown by the worker
+   */
+  failTasks(err) {
+    this.tasks.forEach((task) => task.reject(err));
+    this.tasks.clear();
+  }
+
+  /**
+   * Shut down all workers.
+   *
+   * @returns {Promise} - Resolves once all workers have exited
+   */
+  terminate() {
+    return Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+
+}
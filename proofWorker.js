@@ -0,0 +1,33 @@
+"use strict";
+
+const { parentPort, workerData } = require('worker_threads');
+const { Transaction } = require('spartan-gold');
+const BigNum = require('./bigNum.js');
+const BlockHeader = require('./blockHeader.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeBlock = require('./primeBlock.js');
+
+// Use the same big integer backend and blockchain settings as the main thread
+BigNum.use(workerData.bigNumBackend);
+PrimeBlockchain.makeGenesis(Object.assign({ blockClass: PrimeBlock, transactionClass: Transaction }, workerData.cfg));
+
+/**
+ * Check the proof of a block or block header sent by ProofValidator.
+ *
+ * @param {Object} task - Block to check
+ * @param {int} task.taskId - Id of the task, sent back with the result
+ * @param {Object} task.block - Block or block header as sent over the network
+ * @param {boolean} task.header - True if only the header was sent
+ */
+function validate({taskId, block, header}) {
+  let valid;
+  try {
+    block = header ? new BlockHeader(block) : PrimeBlockchain.deserializeBlock(block);
+    valid = block.hasValidProof();
+  } catch (e) {
+    valid = false;
+  }
+  parentPort.postMessage({ taskId, valid });
+}
+
+parentPort.on('message', validate);
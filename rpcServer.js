@@ -0,0 +1,453 @@
+"use strict";
+
+const http = require('http');
+const { Blockchain } = require('spartan-gold');
+
+const NetworkProfiles = require('./networkProfiles.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+const PrimeMiner = require('./primeMiner.js');
+
+// Standard JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Calls answered, each by the method of the same name
+const METHODS = [
+  "getHead",
+  "getBlock",
+  "getBalance",
+  "getPendingTransactions",
+  "sendTransaction",
+  "getPeers",
+  "getMiningStatus",
+  "getPrimeChains",
+  "generate",
+  "generateBlock",
+];
+
+// Only local programs can reach the server unless another host is configured
+const DEFAULT_HOST = "127.0.0.1";
+
+/**
+ * HTTP server answering JSON-RPC 2.0 requests about a running client or
+ * miner. Requests are POSTed as JSON, either one at a time or as a batch.
+ * The calls are listed in RpcServer.METHODS, and each takes its params
+ * as an object.
+ */
+module.exports = class RpcServer {
+
+  static get PARSE_ERROR() { return PARSE_ERROR; }
+  static get INVALID_REQUEST() { return INVALID_REQUEST; }
+  static get METHOD_NOT_FOUND() { return METHOD_NOT_FOUND; }
+  static get INVALID_PARAMS() { return INVALID_PARAMS; }
+  static get INTERNAL_ERROR() { return INTERNAL_ERROR; }
+  static get MAX_BODY_SIZE() { return MAX_BODY_SIZE; }
+  static get METHODS() { return METHODS; }
+  static get MAX_GENERATE() { return PrimeMiner.MAX_GENERATE; }
+
+  /**
+   * Make an error to report to the caller.
+   *
+   * @param {int} code - JSON-RPC error code
+   * @param {string} message - Description of the problem
+   *
+   * @returns {Error} - Error carrying the code
+   */
+  static error(code, message) {
+    let err = new Error(message);
+    err.code = code;
+    return err;
+  }
+
+  /**
+   * @param {PrimeClient | PrimeMiner} node - Client or miner to report on
+   * @param {Object} obj - Server settings.
+   * @param {int} [obj.port] - Port to listen on, 0 for any free port.
+   * @param {string} [obj.host] - Host to listen on.
+   */
+  constructor(node, {port=0, host=DEFAULT_HOST} = {}) {
+    this.node = node;
+    this.port = port;
+    this.host = host;
+
+    // Chain tests counted at the last mining status request
+    this.lastChainTests = { count: this.chainTests(), time: Date.now() };
+  }
+
+  /**
+   * Start accepting requests.
+   *
+   * @returns {Promise} - Resolves with the port once listening
+   */
+  listen() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests.
+   *
+   * @returns {Promise} - Resolves once the server has closed
+   */
+  close() {
+    if (!this.server) return Promise.resolve();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Read a request body and send back the JSON-RPC response.
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  handle(req, res) {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Allow': 'POST' });
+      res.end();
+      return;
+    }
+
+    let chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        res.writeHead(413);
+        res.end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let response = this.respond(Buffer.concat(chunks).toString('utf8'));
+      if (response === undefined) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  }
+
+  /**
+   * Answer a request body, which holds one call or a batch of calls.
+   *
+   * @param {string} body - Request body as JSON
+   *
+   * @returns {Object | Array | undefined} - Response, or undefined if only
+   *      notifications were sent
+   */
+  respond(body) {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (e) {
+      return this.errorResponse(null, RpcServer.error(PARSE_ERROR, "Parse error"));
+    }
+
+    if (!Array.isArray(request)) {
+      return this.call(request);
+    }
+    if (request.length === 0) {
+      return this.errorResponse(null, RpcServer.error(INVALID_REQUEST, "Empty batch"));
+    }
+    let responses = request.map((r) => this.call(r)).filter((r) => r !== undefined);
+    return responses.length > 0 ? responses : undefined;
+  }
+
+  /**
+   * Run a single call.
+   *
+   * @param {Object} request - JSON-RPC request object
+   *
+   * @returns {Object | undefined} - Response, or undefined for a notification
+   */
+  call(request) {
+    if (request === null || typeof request !== 'object' || request.jsonrpc !== "2.0" ||
+        typeof request.method !== 'string') {
+      return this.errorResponse(null, RpcServer.error(INVALID_REQUEST, "Invalid request"));
+    }
+
+    let { id = null, method, params = {} } = request;
+    let result;
+    try {
+      if (!METHODS.includes(method)) {
+        throw RpcServer.error(METHOD_NOT_FOUND, `Method ${method} not found`);
+      }
+      if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw RpcServer.error(INVALID_PARAMS, "Params must be an object");
+      }
+      result = this[method](params);
+    } catch (err) {
+      if (!('id' in request)) return undefined;
+      return this.errorResponse(id, err);
+    }
+
+    if (!('id' in request)) return undefined;
+    return { jsonrpc: "2.0", id, result: result === undefined ? null : result };
+  }
+
+  /**
+   * @param {string | number | null} id - Id of the request
+   * @param {Error} err - Error thrown while handling it
+   *
+   * @returns {Object} - JSON-RPC error response
+   */
+  errorResponse(id, err) {
+    let code = err.code || INTERNAL_ERROR;
+    if (code === INTERNAL_ERROR) {
+      this.node.log(`RPC call failed: ${err.message}`);
+    }
+    return { jsonrpc: "2.0", id, error: { code, message: err.message } };
+  }
+
+  /**
+   * @param {Block} block - Stored block
+   *
+   * @returns {Object} - The block as JSON, with its id and total work
+   */
+  describeBlock(block) {
+    return Object.assign({ id: block.id, totalWork: block.totalWork }, block.toJSON());
+  }
+
+  /**
+   * @returns {Object} - Summary of the head of the best chain
+   */
+  getHead() {
+    let head = this.node.lastBlock;
+    return {
+      id: head.id,
+      chainLength: head.chainLength,
+      totalWork: head.totalWork,
+      timestamp: head.timestamp,
+      target: head.target,
+      syncing: this.node.syncing,
+    };
+  }
+
+  /**
+   * Find a block by id, or by height on the best chain.
+   *
+   * @param {Object} params - Call params
+   * @param {string} [params.hash] - Id of the block
+   * @param {int} [params.height] - Chain length of the block
+   *
+   * @returns {Object | null} - The block, or null if there is no such block
+   */
+  getBlock({hash, height}) {
+    let block;
+    if (typeof hash === 'string') {
+      block = this.node.blocks.get(hash);
+    }else if (Number.isInteger(height) && height >= 0) {
+      block = this.node.lastBlock;
+      while (block !== undefined && block.chainLength > height) {
+        block = this.node.blocks.get(block.prevBlockHash);
+      }
+    }else {
+      throw RpcServer.error(INVALID_PARAMS, "Expected a hash or a height");
+    }
+    return block === undefined ? null : this.describeBlock(block);
+  }
+
+  /**
+   * @param {Object} params - Call params
+   * @param {string} params.address - Address to look up
+   *
+   * @returns {Object} - Balance at the head and at the last confirmed block
+   */
+  getBalance({address}) {
+    if (typeof address !== 'string') {
+      throw RpcServer.error(INVALID_PARAMS, "Expected an address");
+    }
+    return {
+      address,
+      balance: this.node.lastBlock.balanceOf(address),
+      confirmed: this.node.lastConfirmedBlock.balanceOf(address),
+    };
+  }
+
+  /**
+   * @returns {Array} - Transactions in the block being mined, followed by the
+   *      node's own transactions that are not confirmed yet
+   */
+  getPendingTransactions() {
+    let pending = new Map();
+    if (this.node.currentBlock) {
+      this.node.currentBlock.transactions.forEach((tx, id) => pending.set(id, tx));
+    }
+    this.node.pendingOutgoingTransactions.forEach((tx, id) => pending.set(id, tx));
+    return Array.from(pending.values());
+  }
+
+  /**
+   * Check a signed transaction and send it to the network. A miner also
+   * adds it to the block it is mining.
+   *
+   * @param {Object} params - Call params
+   * @param {Object} params.transaction - Signed transaction
+   *
+   * @returns {Object} - Id of the transaction
+   */
+  sendTransaction({transaction}) {
+    let tx;
+    try {
+      tx = Blockchain.makeTransaction(transaction);
+    } catch (e) {
+      throw RpcServer.error(INVALID_PARAMS, "Malformed transaction");
+    }
+
+    if (tx.sig === undefined || !tx.validSignature()) {
+      throw RpcServer.error(INVALID_PARAMS, `Invalid signature for transaction ${tx.id}`);
+    }
+    if (!tx.sufficientFunds(this.node.lastBlock)) {
+      throw RpcServer.error(INVALID_PARAMS, `Insufficient gold for transaction ${tx.id}`);
+    }
+
+    this.node.net.broadcast(Blockchain.POST_TRANSACTION, tx);
+    if (this.node.currentBlock) {
+      this.node.addTransaction(tx);
+    }
+    return { id: tx.id };
+  }
+
+  /**
+   * @returns {Array} - Peers from the address book, or the addresses of
+   *      the other clients on the network for nodes without one
+   */
+  getPeers() {
+    if (this.node.addressBook) {
+      return this.node.addressBook.toJSON();
+    }
+    return Array.from(this.node.net.clients.keys())
+      .filter((address) => address !== this.node.address)
+      .map((address) => ({ address }));
+  }
+
+  /**
+   * @returns {int} - Candidates fully tested for a prime chain so far
+   */
+  chainTests() {
+    if (!this.node.sieve) return 0;
+    let { primalityRemoved, lengthRemoved, chainsFound } = this.node.sieve.stats;
+    return primalityRemoved + lengthRemoved + chainsFound;
+  }
+
+  /**
+   * Report whether the node is mining, and how many candidates it has
+   * tested for a prime chain per second since the last time this was asked.
+   *
+   * @returns {Object} - Mining status
+   */
+  getMiningStatus() {
+    let now = Date.now();
+    let count = this.chainTests();
+    let elapsed = (now - this.lastChainTests.time) / 1000;
+    let chainTestsPerSecond = elapsed > 0 ? (count - this.lastChainTests.count) / elapsed : 0;
+    this.lastChainTests = { count, time: now };
+
+    return {
+      mining: this.node.currentBlock !== undefined && !this.node.syncing,
+      syncing: this.node.syncing,
+      threads: this.node.threads || 0,
+      target: this.node.currentBlock ? this.node.currentBlock.target : null,
+      chainTests: count,
+      chainTestsPerSecond,
+      stats: this.node.sieve ? this.node.sieve.stats : null,
+    };
+  }
+
+  /**
+   * @returns {Array} - Prime chains recorded from accepted blocks
+   */
+  getPrimeChains() {
+    return this.node.primeChains;
+  }
+
+  /**
+   * Make sure blocks can be generated on request, which only miners on
+   * regtest do.
+   *
+   * @param {string} method - Name of the call
+   */
+  checkGenerate(method) {
+    if (typeof this.node.mineBlock !== 'function') {
+      throw RpcServer.error(METHOD_NOT_FOUND, `Method ${method} is only available on miners`);
+    }
+    if (PrimeBlockchain.NETWORK !== NetworkProfiles.REGTEST) {
+      throw RpcServer.error(METHOD_NOT_FOUND, `Method ${method} is only available on ${NetworkProfiles.REGTEST}`);
+    }
+  }
+
+  /**
+   * Mine blocks on top of the head right away, see PrimeMiner.generate.
+   *
+   * @param {Object} params - Call params
+   * @param {int} params.count - Number of blocks to mine
+   * @param {string} [params.address] - Address to pay the rewards to, the node's own by default
+   *
+   * @returns {Array} - Ids of the blocks mined, in order
+   */
+  generate({count, address=this.node.address}) {
+    this.checkGenerate("generate");
+    if (!Number.isInteger(count) || count < 1 || count > PrimeMiner.MAX_GENERATE) {
+      throw RpcServer.error(INVALID_PARAMS, `Expected a count from 1 to ${PrimeMiner.MAX_GENERATE}`);
+    }
+    if (typeof address !== 'string') {
+      throw RpcServer.error(INVALID_PARAMS, "Expected an address");
+    }
+    return this.node.generate(count, address).map((block) => block.id);
+  }
+
+  /**
+   * Mine a block with the given transactions right away, see PrimeMiner.mineBlock.
+   *
+   * @param {Object} params - Call params
+   * @param {Array} [params.transactions] - Signed transactions, in order. The
+   *      transactions of the block being mined are used if left out.
+   * @param {string} [params.address] - Address to pay the reward to, the node's own by default
+   *
+   * @returns {Object} - The block mined
+   */
+  generateBlock({transactions, address=this.node.address}) {
+    this.checkGenerate("generateBlock");
+    if (transactions !== undefined && !Array.isArray(transactions)) {
+      throw RpcServer.error(INVALID_PARAMS, "Expected a list of transactions");
+    }
+    if (typeof address !== 'string') {
+      throw RpcServer.error(INVALID_PARAMS, "Expected an address");
+    }
+
+    if (transactions !== undefined) {
+      transactions = transactions.map((transaction) => {
+        try {
+          return Blockchain.makeTransaction(transaction);
+        } catch (e) {
+          throw RpcServer.error(INVALID_PARAMS, "Malformed transaction");
+        }
+      });
+    }
+
+    let block;
+    try {
+      block = this.node.mineBlock({ rewardAddr: address, transactions });
+    } catch (err) {
+      throw RpcServer.error(INVALID_PARAMS, err.message);
+    }
+    return this.describeBlock(block);
+  }
+
+}
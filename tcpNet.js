@@ -0,0 +1,267 @@
+"use strict";
+
+const net = require('net');
+const { FakeNet } = require('spartan-gold');
+
+const FrameDecoder = require('./frameDecoder.js');
+const PrimeBlockchain = require('./primeBlockchain.js');
+
+// Delays between attempts to reach a peer, doubling after each failure
+const INITIAL_RECONNECT_DELAY = 100;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Messages kept for a peer that cannot be reached, oldest are dropped first
+const MAX_QUEUED_MESSAGES = 1000;
+
+/**
+ * This extends the FakeNet class to actually communicate over the network.
+ * Every peer gets one connection that stays open and is reused for all
+ * messages. Messages are sent as length-prefixed frames, see FrameDecoder.
+ * While a peer cannot be reached, messages for it are queued and the
+ * connection is retried with exponential backoff. Every message carries
+ * the magic value of the network, and messages from other networks are
+ * ignored, so several networks can share a host.
+ */
+module.exports = class TcpNet extends FakeNet {
+
+  static get INITIAL_RECONNECT_DELAY() { return INITIAL_RECONNECT_DELAY; }
+  static get MAX_RECONNECT_DELAY() { return MAX_RECONNECT_DELAY; }
+  static get MAX_QUEUED_MESSAGES() { return MAX_QUEUED_MESSAGES; }
+
+  /**
+   * Name a connection by host and port. Configs may give the host as
+   * either host or hostname, and leave it out for localhost.
+   *
+   * @param {Object} connection - Host and port of a peer
+   *
+   * @returns {string} - host:port
+   */
+  static connectionKey(connection) {
+    let host = connection.host || connection.hostname || 'localhost';
+    return `${host}:${connection.port}`;
+  }
+
+  /**
+   * @param {Object} obj - Network settings.
+   * @param {Function} [obj.log] - Called with a description of connection problems.
+   * @param {int} [obj.initialReconnectDelay] - Milliseconds before the first retry.
+   * @param {int} [obj.maxReconnectDelay] - Longest wait between retries in milliseconds.
+   * @param {string} [obj.magic] - Magic value of the network, that of the blockchain by default.
+   */
+  constructor({log=function(){}, initialReconnectDelay=INITIAL_RECONNECT_DELAY, maxReconnectDelay=MAX_RECONNECT_DELAY,
+      magic=PrimeBlockchain.NETWORK_MAGIC} = {}) {
+    super();
+    this.log = log;
+    this.magic = magic;
+    this.initialReconnectDelay = initialReconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+
+    // Outgoing connections, keyed by host and port of the peer
+    this.peers = new Map();
+
+    // Incoming connections, closed along with the server
+    this.sockets = new Set();
+    this.closed = false;
+  }
+
+  /**
+   * Start accepting connections from peers.
+   *
+   * @param {int} port - Port to listen on, 0 for any free port
+   * @param {Function} receive - Called with the name and payload of each message
+   *
+   * @returns {Promise} - Resolves with the port once listening
+   */
+  listen(port, receive) {
+    this.server = net.createServer((socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+      socket.on('error', (err) => this.log(`Connection from peer failed: ${err.message}`));
+
+      let decoder = new FrameDecoder();
+      decoder.on(FrameDecoder.MESSAGE, (data) => {
+        if (data === null || typeof data.msg !== 'string') {
+          this.log(`Ignoring message without a name.`);
+          return;
+        }
+        if (data.magic !== this.magic) {
+          this.log(`Ignoring ${data.msg} message from network ${data.magic}.`);
+          return;
+        }
+        // A payload that does not hold what the message needs must not
+        // bring down the node, any more than a malformed frame does.
+        try {
+          receive(data.msg, data.o);
+        } catch (err) {
+          this.log(`Ignoring bad ${data.msg} message: ${err.message}`);
+        }
+      });
+      decoder.on(FrameDecoder.MALFORMED, (err) => this.log(`Ignoring malformed message: ${err.message}`));
+      decoder.on('error', (err) => {
+        this.log(`Closing connection from peer: ${err.message}`);
+        socket.destroy();
+      });
+      socket.on('data', (chunk) => decoder.push(chunk));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Sends message msg and payload o to a registered client. Messages for
+   * an address that is not registered are dropped.
+   *
+   * @param {String} address - The public key address of the client or miner to send to
+   * @param {String} msg - The name of the event being sent (e.g. "PROOF_FOUND")
+   * @param {Object | String} o - Payload of the message
+   */
+  sendMessage(address, msg, o) {
+    const client = this.clients.get(address);
+    if (client === undefined || !client.connection) {
+      this.log(`Dropping ${msg} message for unknown address ${address}.`);
+      return;
+    }
+    this.sendToConnection(client.connection, msg, o);
+  }
+
+  /**
+   * Sends message msg and payload o to whoever is listening at a
+   * connection, which does not need to be registered.
+   *
+   * @param {Object} connection - Host and port of the peer, as for net.connect
+   * @param {String} msg - The name of the event being sent
+   * @param {Object | String} o - Payload of the message
+   */
+  sendToConnection(connection, msg, o) {
+    if (typeof o === 'string') o = JSON.parse(o);
+    let peer = this.getPeer(connection);
+
+    peer.queue.push(FrameDecoder.encode({magic: this.magic, msg, o}));
+    if (peer.queue.length > MAX_QUEUED_MESSAGES) {
+      peer.queue.shift();
+    }
+    this.flush(peer);
+  }
+
+  /**
+   * Find the connection to a peer, setting one up on first use.
+   *
+   * @param {Object} connection - Host and port of the peer
+   *
+   * @returns {Object} - Peer with its socket and queued messages
+   */
+  getPeer(connection) {
+    let key = TcpNet.connectionKey(connection);
+    let peer = this.peers.get(key);
+    if (peer === undefined) {
+      peer = {
+        key,
+        connection,
+        socket: null,
+        connected: false,
+        queue: [],
+        reconnectDelay: this.initialReconnectDelay,
+        reconnectTimer: null,
+      };
+      this.peers.set(key, peer);
+    }
+    return peer;
+  }
+
+  /**
+   * Write queued messages if the peer is connected, otherwise connect
+   * unless a connection attempt is already underway or scheduled.
+   *
+   * @param {Object} peer - Peer from getPeer
+   */
+  flush(peer) {
+    if (peer.connected) {
+      peer.queue.forEach((frame) => peer.socket.write(frame));
+      peer.queue = [];
+    }else if (peer.socket === null && peer.reconnectTimer === null) {
+      this.connect(peer);
+    }
+  }
+
+  /**
+   * Open a connection to a peer. If it fails or drops while messages are
+   * waiting, another attempt is scheduled after the current backoff delay.
+   *
+   * @param {Object} peer - Peer from getPeer
+   */
+  connect(peer) {
+    let { host, hostname, port } = peer.connection;
+    let socket = net.connect({ host: host || hostname, port }, () => {
+      peer.connected = true;
+      peer.reconnectDelay = this.initialReconnectDelay;
+      this.flush(peer);
+    });
+    socket.setNoDelay(true);
+    peer.socket = socket;
+
+    socket.on('error', (err) => this.log(`Connection to ${peer.key} failed: ${err.message}`));
+    socket.on('close', () => {
+      peer.socket = null;
+      peer.connected = false;
+      if (peer.queue.length > 0 && !this.closed) {
+        this.scheduleReconnect(peer);
+      }
+    });
+  }
+
+  /**
+   * Try connecting to a peer again after a delay, doubling the delay
+   * for the next attempt.
+   *
+   * @param {Object} peer - Peer from getPeer
+   */
+  scheduleReconnect(peer) {
+    this.log(`Reconnecting to ${peer.key} in ${peer.reconnectDelay}ms.`);
+    peer.reconnectTimer = setTimeout(() => {
+      peer.reconnectTimer = null;
+      this.connect(peer);
+    }, peer.reconnectDelay);
+    peer.reconnectDelay = Math.min(peer.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  /**
+   * Close the connection to a peer and drop any messages queued for it.
+   *
+   * @param {Object} connection - Host and port of the peer
+   */
+  disconnect(connection) {
+    let key = TcpNet.connectionKey(connection);
+    let peer = this.peers.get(key);
+    if (peer === undefined) return;
+
+    this.peers.delete(key);
+    peer.queue = [];
+    clearTimeout(peer.reconnectTimer);
+    if (peer.socket) peer.socket.destroy();
+  }
+
+  /**
+   * Stop listening, close all connections and give up on queued messages.
+   *
+   * @returns {Promise} - Resolves once the server has closed
+   */
+  close() {
+    this.closed = true;
+    this.peers.forEach((peer) => {
+      clearTimeout(peer.reconnectTimer);
+      if (peer.socket) peer.socket.destroy();
+    });
+    this.peers.clear();
+    this.sockets.forEach((socket) => socket.destroy());
+
+    if (!this.server) return Promise.resolve();
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+}
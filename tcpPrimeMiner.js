@@ -1,28 +1,21 @@
 "use strict";
 
-const net = require('net');
 const readline = require('readline');
 const { readFileSync, writeFileSync } = require('fs');
-const { FakeNet, Transaction } = require('spartan-gold');
+const { Transaction } = require('spartan-gold');
 
+const AddressBook = require('./addressBook.js');
+const BigNum = require('./bigNum.js');
+const BlockStore = require('./blockStore.js');
+const ChainLog = require('./chainLog.js');
+const CommandLine = require('./commandLine.js');
+const Logger = require('./logger.js');
+const NetworkProfiles = require('./networkProfiles.js');
 const PrimeBlockchain = require('./primeBlockchain.js');
 const PrimeBlock = require('./primeBlock.js');
 const PrimeMiner = require('./primeMiner.js');
-
-/**
- * This extends the FakeNet class to actually communicate over the network.
- */
-class TcpNet extends FakeNet {
-  sendMessage(address, msg, o) {
-    if (typeof o === 'string') o = JSON.parse(o);
-    let data = {msg, o};
-    const client = this.clients.get(address);
-    let clientConnection = net.connect(client.connection, () => {
-      clientConnection.write(JSON.stringify(data));
-    });
-  }
-
-}
+const RpcServer = require('./rpcServer.js');
+const TcpNet = require('./tcpNet.js');
 
 /**
  * Provides a command line interface for a SpartanGold miner
@@ -30,32 +23,120 @@ class TcpNet extends FakeNet {
  */
 class TcpPrimeMiner extends PrimeMiner {
   static get REGISTER() { return "REGISTER"; }
+  static get GET_PEERS() { return "GET_PEERS"; }
+  static get PEERS() { return "PEERS"; }
+  static get PING() { return "PING"; }
+  static get PONG() { return "PONG"; }
+
+  // Milliseconds between rounds of pinging peers and asking for their peers
+  static get PEER_EXCHANGE_INTERVAL() { return 5000; }
+
+  // Peers asked for their address books each round, and most peers shared in a reply
+  static get PEER_EXCHANGE_FANOUT() { return 3; }
+  static get MAX_PEERS_SHARED() { return 20; }
+
+  // Milliseconds between status lines logged at the debug level when headless
+  static get STATUS_INTERVAL() { return 30000; }
 
   /**
    * In addition to the usual properties for a miner, the constructor
-   * also takes a JSON object for the connection information and sets
-   * up a listener to listen for incoming connections.
+   * also takes a JSON object for the connection information. Incoming
+   * connections are accepted once the miner joins the network.
+   *
+   * @param {Object} obj - The properties of the miner, see PrimeMiner.
+   * @param {Object} obj.connection - Host and port this miner listens on.
+   * @param {Array} [obj.addressBook] - Peers saved by saveJson.
+   * @param {int} [obj.peerExchangeInterval] - Milliseconds between peer exchange rounds.
+   * @param {Object} [obj.rpc] - Port and host for a JSON-RPC server, see RpcServer.
+   *      No server is started without it.
    */
-  constructor({name, startingBlock, miningRounds, keyPair, connection} = {}) {
-    super({name, net: new TcpNet(), startingBlock, keyPair, miningRounds});
+  constructor({name, startingBlock, miningRounds, keyPair, connection, threads, blockStore, addressBook, peerExchangeInterval, rpc, chainLog} = {}) {
+    super({name, net: new TcpNet({ log: (s) => this.log(s) }), startingBlock, keyPair, miningRounds, threads, blockStore, chainLog});
 
-    // Setting up the server to listen for connections
     this.connection = connection;
-    this.srvr = net.createServer();
-    this.srvr.on('connection', (client) => {
-      this.log('Received connection');
-      client.on('data', (data) => {
-        let {msg, o} = JSON.parse(data);
-        if (msg === TcpPrimeMiner.REGISTER) {
-          if (!this.net.recognizes(o)) {
-            this.registerWith(o.connection);
-          }
-          this.log(`Registering ${JSON.stringify(o)}`);
-          this.net.register(o);
-        } else {
-          this.emit(msg, o);
+    this.addressBook = new AddressBook({ entries: addressBook });
+    this.peerExchangeInterval = peerExchangeInterval || TcpPrimeMiner.PEER_EXCHANGE_INTERVAL;
+    this.rpc = rpc;
+  }
+
+  /**
+   * Handles a message from another miner. Messages about peers are
+   * handled here, and everything else is emitted as an event.
+   *
+   * @param {String} msg - The name of the event
+   * @param {Object} o - Payload of the message
+   */
+  receiveMessage(msg, o) {
+    switch (msg) {
+      case TcpPrimeMiner.REGISTER:
+        if (!this.net.recognizes(o)) {
+          this.registerWith(o.connection);
         }
-      });
+        this.log(`Registering ${JSON.stringify(o)}`);
+        this.net.register(o);
+        this.chainSync.checkPeer(o.address);
+        this.addPeer(o.connection, o.address);
+        this.addressBook.markSeen(o.connection);
+        break;
+      case TcpPrimeMiner.GET_PEERS:
+        // Only share peers known to be alive, so dead peers are not spread
+        this.net.sendToConnection(o.connection, TcpPrimeMiner.PEERS, {
+          peers: this.addressBook.sample(TcpPrimeMiner.MAX_PEERS_SHARED, true),
+        });
+        break;
+      case TcpPrimeMiner.PEERS:
+        if (!Array.isArray(o.peers)) return;
+        o.peers.forEach((connection) => {
+          if (this.addPeer(connection)) {
+            this.registerWith(connection);
+          }
+        });
+        break;
+      case TcpPrimeMiner.PING:
+        this.net.sendToConnection(o.connection, TcpPrimeMiner.PONG, { connection: this.connection });
+        break;
+      case TcpPrimeMiner.PONG:
+        this.addressBook.markSeen(o.connection);
+        break;
+      default:
+        this.emit(msg, o);
+    }
+  }
+
+  /**
+   * Adds a peer to the address book, unless it is this miner.
+   *
+   * @param {Object} connection - Host and port of the peer
+   * @param {string} [address] - Address of the peer's miner, if known
+   *
+   * @returns {boolean} - True if the peer was not known before
+   */
+  addPeer(connection, address) {
+    if (!connection || !Number.isInteger(connection.port) ||
+        TcpNet.connectionKey(connection) === TcpNet.connectionKey(this.connection)) {
+      return false;
+    }
+    return this.addressBook.add(connection, address);
+  }
+
+  /**
+   * Pings every peer in the address book and asks a few of them for the
+   * peers they know. Peers that stopped answering are dropped from the
+   * address book and the network.
+   */
+  exchangePeers() {
+    this.addressBook.startPingRound().forEach((peer) => {
+      this.log(`Dropping unresponsive peer ${TcpNet.connectionKey(peer.connection)}`);
+      this.net.disconnect(peer.connection);
+      if (peer.address) this.net.clients.delete(peer.address);
+    });
+
+    this.addressBook.connections().forEach((connection) => {
+      this.net.sendToConnection(connection, TcpPrimeMiner.PING, { connection: this.connection });
+    });
+
+    this.addressBook.sample(TcpPrimeMiner.PEER_EXCHANGE_FANOUT).forEach((connection) => {
+      this.net.sendToConnection(connection, TcpPrimeMiner.GET_PEERS, { connection: this.connection });
     });
   }
 
@@ -66,29 +147,62 @@ class TcpPrimeMiner extends PrimeMiner {
    */
   registerWith(minerConnection) {
     this.log(`Connection: ${JSON.stringify(minerConnection)}`);
-    let conn = net.connect(minerConnection, () => {
-      let data = {
-        msg: TcpPrimeMiner.REGISTER,
-        o: {
-          name: this.name,
-          address: this.address,
-          connection: this.connection,
-        }
-      };
-      conn.write(JSON.stringify(data));
+    this.addPeer(minerConnection);
+    this.net.sendToConnection(minerConnection, TcpPrimeMiner.REGISTER, {
+      name: this.name,
+      address: this.address,
+      connection: this.connection,
     });
   }
 
   /**
-   * Begins mining and registers with any known miners.
+   * Starts listening for other miners, registers with any known miners
+   * and the peers in the address book, and starts exchanging peers.
+   * The JSON-RPC server is started too, if one is configured.
+   *
+   * @param {Array} knownMinerConnections - Connections of miners to start from
+   *
+   * @returns {Promise} - Resolves once listening for other miners and RPC requests
    */
-  initialize(knownMinerConnections) {
+  joinNetwork(knownMinerConnections) {
     this.knownMiners = knownMinerConnections;
-    super.initialize();
-    this.srvr.listen(this.connection.port);
-    for (let m of knownMinerConnections) {
+    let listening = [this.net.listen(this.connection.port, (msg, o) => this.receiveMessage(msg, o))];
+    if (this.rpc) {
+      this.rpcServer = new RpcServer(this, this.rpc);
+      listening.push(this.rpcServer.listen().then((port) => this.log(`JSON-RPC server listening on port ${port}`)));
+    }
+    for (let m of knownMinerConnections.concat(this.addressBook.connections())) {
       this.registerWith(m);
     }
+    this.peerExchangeTimer = setInterval(() => this.exchangePeers(), this.peerExchangeInterval);
+    return Promise.all(listening).then(([port]) => port);
+  }
+
+  /**
+   * Stops exchanging peers and closes all connections, along with the
+   * JSON-RPC server.
+   *
+   * @returns {Promise} - Resolves once no longer listening
+   */
+  leaveNetwork() {
+    clearInterval(this.peerExchangeTimer);
+    let closing = [this.net.close()];
+    if (this.rpcServer) {
+      closing.push(this.rpcServer.close());
+    }
+    return Promise.all(closing);
+  }
+
+  /**
+   * Begins mining and joins the network.
+   *
+   * @param {Array} knownMinerConnections - Connections of miners to start from
+   *
+   * @returns {Promise} - Resolves once listening for other miners, see joinNetwork
+   */
+  initialize(knownMinerConnections) {
+    super.initialize();
+    return this.joinNetwork(knownMinerConnections);
   }
 
   /**
@@ -105,50 +219,207 @@ class TcpPrimeMiner extends PrimeMiner {
   saveJson(fileName) {
     let state = {
       name: this.name,
+      network: PrimeBlockchain.NETWORK,
       connection: this.connection,
       keyPair: this.keyPair,
       knownMiners: this.knownMiners,
+      addressBook: this.addressBook.toJSON(),
     };
+    if (this.blockStore) {
+      state.blockStore = this.blockStore.fileName;
+    }
+    if (this.rpc) {
+      state.rpc = this.rpc;
+    }
+    if (this.chainLog) {
+      state.chainLog = this.chainLog.toJSON();
+    }
     writeFileSync(fileName, JSON.stringify(state));
   }
 
 }
 
-if (process.argv.length !== 3) {
-  console.error(`Usage: ${process.argv[0]} ${process.argv[1]} <config.json>`);
-  process.exit();
-}
-let config = JSON.parse(readFileSync(process.argv[2]));
-let name = config.name;
+module.exports = TcpPrimeMiner;
 
-let knownMiners = config.knownMiners || [];
+// The rest only runs when started from the command line.
+if (require.main === module) {
+  let options;
+  try {
+    options = CommandLine.parse(process.argv.slice(2));
+  } catch (err) {
+    // Anything other than a mistake in the command line is a bug
+    if (!err.usage) throw err;
+    console.error(err.message);
+    process.stderr.write(CommandLine.USAGE);
+    process.exit(CommandLine.EXIT_USAGE);
+  }
+  if (options.help) {
+    process.stdout.write(CommandLine.USAGE);
+    process.exit(CommandLine.EXIT_OK);
+  }
 
-// Clearing the screen so things look a little nicer.
-console.clear();
+  let config = {};
+  if (options.configFile) {
+    try {
+      config = JSON.parse(readFileSync(options.configFile));
+    } catch (err) {
+      console.error(`Could not read config file ${options.configFile}: ${err.message}`);
+      process.exit(CommandLine.EXIT_FAILURE);
+    }
+  }
 
-let startingBalances = config.genesis ? config.genesis.startingBalances : {};
-let genesis = PrimeBlockchain.makeGenesis({
-  blockClass: PrimeBlock,
-  transactionClass: Transaction,
-  startingBalances: startingBalances
-});
+  // Options replace settings from the config file.
+  if (options.port !== undefined) {
+    config.connection = Object.assign({}, config.connection, { port: options.port });
+  }
+  if (options.peers !== undefined) {
+    config.knownMiners = (config.knownMiners || []).concat(options.peers);
+  }
+  if (options.threads !== undefined) {
+    config.threads = options.threads;
+  }
+  if (options.chainLog !== undefined) {
+    config.chainLog = Object.assign({}, config.chainLog, { fileName: options.chainLog });
+  }
+  if (options.chainLogThreshold !== undefined) {
+    config.chainLog = Object.assign({}, config.chainLog, { threshold: options.chainLogThreshold });
+  }
+  if (config.chainLog && !config.chainLog.fileName) {
+    console.error(`No file for the chain log, set chainLog.fileName in a config file or use --chain-log.`);
+    process.stderr.write(CommandLine.USAGE);
+    process.exit(CommandLine.EXIT_USAGE);
+  }
+  if (!config.connection || !Number.isInteger(config.connection.port)) {
+    console.error(`No port to listen on, set connection.port in a config file or use --port.`);
+    process.stderr.write(CommandLine.USAGE);
+    process.exit(CommandLine.EXIT_USAGE);
+  }
+
+  let name = config.name || `Miner ${config.connection.port}`;
+  let knownMiners = config.knownMiners || [];
+
+  // The menu needs a terminal, so without one the miner runs headless.
+  let headless = options.headless || !process.stdin.isTTY || !process.stdout.isTTY;
+  let logger = new Logger({ name, level: options.logLevel });
+
+  // Must be chosen before any numbers are created.
+  if (config.bigNum) {
+    BigNum.use(config.bigNum);
+  }
+
+  // Clearing the screen so things look a little nicer.
+  if (!headless) {
+    console.clear();
+  }
+
+  // The network's profile gives the consensus settings, see NetworkProfiles.
+  let network = config.network || NetworkProfiles.MAINNET;
+  if (!NetworkProfiles.names().includes(network)) {
+    console.error(`Unknown network ${network}, set network to one of ${NetworkProfiles.names().join(", ")}.`);
+    process.exit(CommandLine.EXIT_USAGE);
+  }
+  let startingBalances = config.genesis ? config.genesis.startingBalances : {};
+  let genesis = PrimeBlockchain.makeGenesis({
+    network: network,
+    blockClass: PrimeBlock,
+    transactionClass: Transaction,
+    startingBalances: startingBalances
+  });
+
+  // Resume from the blocks saved by an earlier run, which start with
+  // that run's genesis block.
+  let blockStore;
+  if (config.blockStore) {
+    blockStore = new BlockStore(config.blockStore);
+    if (blockStore.blocks.length > 0) {
+      genesis = PrimeBlockchain.deserializeBlock(blockStore.blocks[0]);
+    }
+    if (genesis.networkMagic !== undefined && genesis.networkMagic !== PrimeBlockchain.NETWORK_MAGIC) {
+      console.error(`Block store ${config.blockStore} belongs to another network than ${network}.`);
+      process.exit(CommandLine.EXIT_FAILURE);
+    }
+  }
+
+  let chainLog;
+  if (config.chainLog) {
+    try {
+      chainLog = new ChainLog(config.chainLog);
+    } catch (err) {
+      console.error(`Could not open chain log ${config.chainLog.fileName}: ${err.message}`);
+      process.exit(CommandLine.EXIT_FAILURE);
+    }
+  }
 
-console.log(`Starting ${name}`);
-let minnie = new TcpPrimeMiner({name: name, keyPair: config.keyPair, connection: config.connection, startingBlock: genesis});
+  if (headless) {
+    logger.info(`Starting ${name}`, { port: config.connection.port, network });
+  }else {
+    console.log(`Starting ${name} on ${network}`);
+  }
+  let minnie = new TcpPrimeMiner({
+    name: name,
+    keyPair: config.keyPair,
+    connection: config.connection,
+    startingBlock: genesis,
+    threads: config.threads,
+    blockStore: blockStore,
+    addressBook: config.addressBook,
+    rpc: config.rpc,
+    chainLog: chainLog,
+  });
+
+  // Saves the prime chains if asked to, then exits.
+  let shutDown = (code) => {
+    if (options.exportPrimes) {
+      writeFileSync(options.exportPrimes, JSON.stringify(minnie.primeChains));
+    }
+    process.exit(code);
+  };
 
-// Silencing the logging messages
-minnie.log = function(){};
+  if (headless) {
+    minnie.log = (msg) => logger.info(msg);
+    logger.info(`Mining`, { address: minnie.address, threads: minnie.threads });
 
-// Register with known miners and begin mining.
-minnie.initialize(knownMiners);
+    process.on('uncaughtException', (err) => {
+      logger.error(err.message, { stack: err.stack });
+      process.exit(CommandLine.EXIT_FAILURE);
+    });
+    ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, () => {
+      logger.info(`Shutting down on ${signal}`);
+      shutDown(CommandLine.EXIT_OK);
+    }));
 
-let rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+    // Reports progress now and then at the debug level.
+    setInterval(() => logger.debug(`Status`, {
+      chainLength: minnie.lastBlock.chainLength,
+      headId: minnie.lastBlock.id,
+      syncing: minnie.syncing,
+      stats: minnie.sieve.stats,
+    }), TcpPrimeMiner.STATUS_INTERVAL);
+  }else {
+    // Silencing the logging messages
+    minnie.log = function(){};
+  }
 
-function readUserInput() {
-  rl.question(`
+  // Register with known miners and begin mining.
+  minnie.initialize(knownMiners).then((port) => {
+    if (headless) logger.info(`Listening for miners`, { port });
+  }, (err) => {
+    if (headless) {
+      logger.error(`Could not listen for miners: ${err.message}`);
+    }else {
+      console.error(`Could not listen for miners: ${err.message}`);
+    }
+    process.exit(CommandLine.EXIT_FAILURE);
+  });
+
+  if (!headless) {
+    let rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    function readUserInput() {
+      rl.question(`
   Funds: ${minnie.availableGold}
   Address: ${minnie.address}
   Pending transactions: ${minnie.showPendingOut()}
@@ -161,73 +432,98 @@ function readUserInput() {
   *show blocks for (d)ebugging and exit?
   *(s)ave your state?
   *save all (p)rime chains found?
+  *show sieve (m)ining stats?${network === NetworkProfiles.REGTEST ? `
+  *(g)enerate blocks?` : ""}
   *e(x)it without saving?
   
   Your choice: `, (answer) => {
-    console.clear();
-    switch (answer.trim().toLowerCase()) {
-      case 'x':
-        console.log(`Shutting down.  Have a nice day.`);
-        process.exit(0);
-        /* falls through */
-      case 'b':
-        console.log("  Balances: ");
-        minnie.showAllBalances();
-        break;
-      case 'c':
-        rl.question(`  port: `, (p) => {
-          minnie.registerWith({port: p});
-          console.log(`Registering with miner at port ${p}`);
-          readUserInput();
-        });
-        break;
-      case 't':
-        rl.question(`  amount: `, (amt) => {
-          amt = parseInt(amt, 10);
-          if (amt > minnie.availableGold) {
-            console.log(`***Insufficient gold.  You only have ${minnie.availableGold}.`);
-            readUserInput();
-          } else {
-            rl.question(`  address: `, (addr) => {
-              let output = {amount: amt, address: addr};
-              console.log(`Transferring ${amt} gold to ${addr}.`);
-              minnie.postTransaction([output]);
+        console.clear();
+        switch (answer.trim().toLowerCase()) {
+          case 'x':
+            console.log(`Shutting down.  Have a nice day.`);
+            shutDown(CommandLine.EXIT_OK);
+            /* falls through */
+          case 'b':
+            console.log("  Balances: ");
+            minnie.showAllBalances();
+            break;
+          case 'c':
+            rl.question(`  [host:]port: `, (p) => {
+              let [host, port] = p.trim().includes(':') ? p.trim().split(':') : [undefined, p.trim()];
+              minnie.registerWith({host, port: parseInt(port, 10)});
+              console.log(`Registering with miner at ${p}`);
               readUserInput();
             });
-          }
-        });
-        break;
-      case 'r':
-        minnie.resendPendingTransactions();
-        break;
-      case 's':
-        rl.question(`  file name: `, (fname) => {
-          minnie.saveJson(fname);
-          readUserInput();
-        });
-        break;
-      case 'p':
-        rl.question(`  file name: `, (fname) => {
-          writeFileSync(fname, JSON.stringify(minnie.primeChains));
-          readUserInput();
-        });
-        break;
-      case 'd':
-        minnie.blocks.forEach((block) => {
-          let s = "";
-          block.transactions.forEach((tx) => s += `${tx.id} `);
-          if (s !== "") console.log(`${block.id} transactions: ${s}`);
-        });
+            break;
+          case 't':
+            rl.question(`  amount: `, (amt) => {
+              amt = parseInt(amt, 10);
+              if (amt > minnie.availableGold) {
+                console.log(`***Insufficient gold.  You only have ${minnie.availableGold}.`);
+                readUserInput();
+              } else {
+                rl.question(`  address: `, (addr) => {
+                  let output = {amount: amt, address: addr};
+                  console.log(`Transferring ${amt} gold to ${addr}.`);
+                  minnie.postTransaction([output]);
+                  readUserInput();
+                });
+              }
+            });
+            break;
+          case 'r':
+            minnie.resendPendingTransactions();
+            break;
+          case 's':
+            rl.question(`  file name: `, (fname) => {
+              minnie.saveJson(fname);
+              readUserInput();
+            });
+            break;
+          case 'p':
+            rl.question(`  file name: `, (fname) => {
+              writeFileSync(fname, JSON.stringify(minnie.primeChains));
+              readUserInput();
+            });
+            break;
+          case 'm':
+            console.log(`  Mining stats: ${minnie.sieve.showStats()}`);
+            break;
+          case 'g':
+            if (network !== NetworkProfiles.REGTEST) {
+              console.log(`Blocks can only be generated on ${NetworkProfiles.REGTEST}.`);
+              break;
+            }
+            rl.question(`  number of blocks (at most ${PrimeMiner.MAX_GENERATE}): `, (n) => {
+              let count = Math.max(0, Math.min(parseInt(n, 10) || 0, PrimeMiner.MAX_GENERATE));
+              try {
+                minnie.generate(count).forEach((block) => {
+                  console.log(`Generated block ${block.chainLength}: ${block.id}`);
+                });
+              } catch (err) {
+                console.log(`***${err.message}`);
+              }
+              readUserInput();
+            });
+            break;
+          case 'd':
+            minnie.blocks.forEach((block) => {
+              let s = "";
+              block.transactions.forEach((tx) => s += `${tx.id} `);
+              if (s !== "") console.log(`${block.id} transactions: ${s}`);
+            });
+            console.log();
+            minnie.showBlockchain();
+            shutDown(CommandLine.EXIT_OK);
+            /* falls through */
+          default:
+            console.log(`Unrecognized choice: ${answer}`);
+        }
         console.log();
-        minnie.showBlockchain();
-        process.exit(0);
-        /* falls through */
-      default:
-        console.log(`Unrecognized choice: ${answer}`);
+        setTimeout(readUserInput, 0);
+      });
     }
-    console.log();
-    setTimeout(readUserInput, 0);
-  });
-}
 
-readUserInput();
\ No newline at end of file
+    readUserInput();
+  }
+}
@@ -1,14 +1,46 @@
 "use strict";
 
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
 const assert = require('chai').assert;
 const BigInteger = require('jsbn').BigInteger;
-const { Transaction, utils } = require('spartan-gold');
+const { FakeNet, Transaction, utils } = require('spartan-gold');
 
 const PrimeBlock = require('./primeBlock.js');
 const PrimeBlockchain = require('./primeBlockchain.js');
 const PrimeClient = require('./primeClient.js');
 const PrimeMiner = require('./primeMiner.js');
 const Prime = require('./prime.js');
+const Primality = require('./primality.js');
+const PrimeDifficulty = require('./primeDifficulty.js');
+const PrimeSieve = require('./primeSieve.js');
+const PrimeWorkerPool = require('./primeWorkerPool.js');
+const BigNum = require('./bigNum.js');
+const NativeBigInteger = require('./nativeBigInteger.js');
+const BlockStore = require('./blockStore.js');
+const BlockValidator = require('./blockValidator.js');
+const ChainLog = require('./chainLog.js');
+const ChainExporter = require('./chainExporter.js');
+const ChainTypes = require('./chainTypes.js');
+const NetworkProfiles = require('./networkProfiles.js');
+const PrimeTuplet = require('./primeTuplet.js');
+const FrameDecoder = require('./frameDecoder.js');
+const TcpNet = require('./tcpNet.js');
+const AddressBook = require('./addressBook.js');
+const TcpPrimeMiner = require('./tcpPrimeMiner.js');
+const ChainSync = require('./chainSync.js');
+const BlockHeader = require('./blockHeader.js');
+const MerkleTree = require('./merkleTree.js');
+const RpcServer = require('./rpcServer.js');
+const CommandLine = require('./commandLine.js');
+const Logger = require('./logger.js');
+const PrimeLightClient = require('./primeLightClient.js');
+const PrimePool = require('./primePool.js');
+const PoolMiner = require('./poolMiner.js');
 
 
 // Generating keypair for multiple test cases, since key generation is slow.
@@ -19,7 +51,7 @@ let addr = utils.calcAddress(kp.public);
 const EASY_POW_TARGET = 1;
 
 // Setting blockchain configuration.  (Usually this would be done during the creation of the genesis block.)
-PrimeBlockchain.makeGenesis({ blockClass: PrimeBlock, transactionClass: Transaction });
+PrimeBlockchain.makeGenesis({ blockClass: PrimeBlock, transactionClass: Transaction, primeChainBaseTarget: EASY_POW_TARGET });
 
 describe('utils', () => {
   describe('.verifySignature', () => {
@@ -158,17 +190,2196 @@ describe('PrimeBlock', () => {
 
       assert.notEqual(firstHash, secondHash);
     });
+
+    it("should commit to transactions through their Merkle root.", () => {
+      let b = new PrimeBlock(addr, prevBlock);
+      let emptyHash = b.hashHeader();
+      assert.equal(b.transactionsRoot, MerkleTree.EMPTY_ROOT);
+
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b.addTransaction(tx);
+      assert.notEqual(b.hashHeader(), emptyHash);
+      assert.equal(b.transactionsRoot, MerkleTree.root([tx.id]));
+      assert.equal(JSON.parse(b.serialize()).transactionsRoot, b.transactionsRoot);
+    });
+  });
+
+  describe('#proveTransaction', () => {
+    it("should build a proof that checks out against the block's transactions root.", () => {
+      let b = new PrimeBlock(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b.addTransaction(tx);
+      let proof = b.proveTransaction(tx.id);
+
+      let b2 = PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      assert.equal(b2.transactionsRoot, b.transactionsRoot);
+      assert.isTrue(b2.verifyTransactionProof(tx.id, proof));
+      assert.isFalse(b2.verifyTransactionProof("ffff", proof));
+      assert.isNull(b.proveTransaction("ffff"));
+    });
+  });
+
+  describe('#hasValidProof', () => {
+    it("should not accept faulty proof certificate (negative multiplier, short chain length).", () => {
+      let b = new PrimeBlock(addr, prevBlock);
+
+      b.primeMultiplier = new BigInteger("0");
+      b.primeChainLength = 0;
+
+      assert.isFalse(b.hasValidProof());
+    }); 
+
+    it("should accept fractional targets and reject lengths longer than the chain found.", () => {
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+
+      let b = new PrimeBlock(addr, prevBlock, 1.5);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.isAtLeast(b.primeChainLength, 1.5);
+      assert.isTrue(b.hasValidProof());
+
+      b.primeChainLength += 1;
+      assert.isFalse(b.hasValidProof());
+    });
+
+    it("should only accept the chain type and length the origin yields.", () => {
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+
+      let b = new PrimeBlock(addr, prevBlock, 1.5);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.isTrue(b.hasValidProof());
+      let { primeChainLength, primeChainType } = b;
+
+      // Shorter lengths that still meet the target are not the length found
+      assert.notEqual(primeChainLength, b.target);
+      b.primeChainLength = b.target;
+      assert.isFalse(b.hasValidProof());
+      b.primeChainLength = primeChainLength;
+
+      [PrimeBlockchain.CUNNINGHAM_CHAIN_1, PrimeBlockchain.CUNNINGHAM_CHAIN_2, PrimeBlockchain.BITWIN_CHAIN]
+        .filter((chainType) => chainType !== primeChainType)
+        .forEach((chainType) => {
+          b.primeChainType = chainType;
+          assert.isFalse(b.hasValidProof());
+        });
+
+      b.primeChainType = primeChainType;
+      assert.isTrue(b.hasValidProof());
+    });
+
+    it("should only accept chain types the network enables.", () => {
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+
+      let b = new PrimeBlock(addr, prevBlock, EASY_POW_TARGET);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.isTrue(b.hasValidProof());
+
+      let chainTypes = PrimeBlockchain.cfg.chainTypes;
+      try {
+        PrimeBlockchain.cfg.chainTypes = PrimeBlockchain.DEFAULT_CHAIN_TYPES.filter((chainType) => chainType !== b.primeChainType);
+        assert.isFalse(b.hasValidProof());
+        PrimeBlockchain.cfg.chainTypes = [b.primeChainType];
+        assert.isTrue(b.hasValidProof());
+      } finally {
+        PrimeBlockchain.cfg.chainTypes = chainTypes;
+      }
+    });
+
+    it("should reject multipliers that are not multiples of the base primorial.", () => {
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+
+      let b = new PrimeBlock(addr, prevBlock, EASY_POW_TARGET);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.isTrue(b.hasValidProof());
+
+      // Moving the primorial into the multiplier's factors keeps the origin
+      b.primeMultiplier = b.primeMultiplier.divide(Prime.BI_BASE_PRIMORIAL);
+      assert.isFalse(b.hasValidProof());
+      b.primeMultiplier = b.primeMultiplier.negate().multiply(Prime.BI_BASE_PRIMORIAL);
+      assert.isFalse(b.hasValidProof());
+    });
+  });
+});
+
+describe('BigNum', () => {
+  afterEach(() => BigNum.use(BigNum.JSBN));
+
+  describe('.use', () => {
+    it("should create numbers with the selected backend.", () => {
+      BigNum.use(BigNum.NATIVE);
+      assert.instanceOf(BigNum.from("42"), NativeBigInteger);
+      assert.instanceOf(Prime.BI_TWO, NativeBigInteger);
+      BigNum.use(BigNum.JSBN);
+      assert.instanceOf(BigNum.from("42"), BigInteger);
+      assert.instanceOf(Prime.BI_TWO, BigInteger);
+    });
+
+    it("should reject unknown backends.", () => {
+      assert.throws(() => BigNum.use("gmp"));
+    });
+  });
+
+  describe('NativeBigInteger', () => {
+    it("should give the same results as jsbn.", () => {
+      let a = "67026081958959551441168950416445192340375003089599891848159881651712771889548358759525302759";
+      let b = "43254354352389257781273986594814904732849254353412";
+      let [ja, jb] = [new BigInteger(a), new BigInteger(b)];
+      let [na, nb] = [new NativeBigInteger(a), new NativeBigInteger(b)];
+      assert.equal(na.multiply(nb).toString(), ja.multiply(jb).toString());
+      assert.equal(nb.subtract(na).toString(), jb.subtract(ja).toString());
+      assert.equal(na.divide(nb).toString(), ja.divide(jb).toString());
+      assert.equal(nb.negate().mod(na).toString(), jb.negate().mod(ja).toString());
+      assert.equal(nb.modPow(na, na).toString(16), jb.modPow(ja, ja).toString(16));
+      assert.equal(na.shiftLeft(24).divide(nb).intValue(), ja.shiftLeft(24).divide(jb).intValue());
+      assert.equal(na.bitLength(), ja.bitLength());
+      assert.equal(new NativeBigInteger("ff", 16).compareTo(new NativeBigInteger("255")), 0);
+    });
+
+    it("should agree with jsbn on which numbers are probably prime.", () => {
+      for (let i = 0; i < 5000; i += 7) {
+        let n = i.toString();
+        assert.equal(new NativeBigInteger(n).isProbablePrime(), new BigInteger(n).isProbablePrime(), n);
+      }
+      let composite = "1000000000000000000000000000000000000000000000000000000000000000000000000000000081";
+      assert.equal(new NativeBigInteger(composite).isProbablePrime(20), new BigInteger(composite).isProbablePrime(20));
+    });
+  });
+
+  describe('PrimeBlock', () => {
+    it("should stay valid and keep its hash when moved between backends.", () => {
+      let prevBlock = new PrimeBlock("8e7912");
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+
+      BigNum.use(BigNum.NATIVE);
+      let b = new PrimeBlock(addr, prevBlock, 1.5);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.instanceOf(b.primeMultiplier, NativeBigInteger);
+      assert.isTrue(b.hasValidProof());
+      let serialBlock = b.serialize();
+
+      BigNum.use(BigNum.JSBN);
+      let b2 = PrimeBlockchain.deserializeBlock(JSON.parse(serialBlock));
+      assert.instanceOf(b2.primeMultiplier, BigInteger);
+      assert.isTrue(b2.hasValidProof());
+      assert.equal(b2.hashVal(), b.hashVal());
+    });
+
+    it("should refuse the same malformed multipliers with either backend.", () => {
+      let prevBlock = new PrimeBlock("8e7912");
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: prevBlock, keyPair: kp});
+      miner.log = function(){};
+      let b = new PrimeBlock(addr, prevBlock, EASY_POW_TARGET);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      let digits = b.primeMultiplier.toString();
+
+      let malformed = [` ${digits}`, `${digits}\n`, `0x${b.primeMultiplier.toString(16)}`, `0b${b.primeMultiplier.toString(2)}`,
+        `+${digits}`, `-${digits}`, `${digits.slice(0, 1)}_${digits.slice(1)}`, `${digits}z`, "", "1e3"];
+      BigNum.BACKENDS.forEach((backend) => {
+        BigNum.use(backend);
+        malformed.forEach((s) => {
+          assert.throws(() => BigNum.from(s), /Invalid number/, JSON.stringify(s));
+          let o = JSON.parse(b.serialize());
+          o.primeMultiplier = s;
+          assert.throws(() => PrimeBlockchain.deserializeBlock(o), /Invalid prime multiplier/, JSON.stringify(s));
+
+          let header = new BlockHeader(Object.assign(BlockHeader.fromBlock(b).toJSON(), { primeMultiplier: s }));
+          assert.equal(BlockValidator.checkProof(header).reason, BlockValidator.BAD_MULTIPLIER, JSON.stringify(s));
+        });
+        assert.isTrue(PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize())).hasValidProof());
+      });
+    });
+  });
+});
+
+describe('NetworkProfiles', () => {
+  let makeGenesis = (cfg) => PrimeBlockchain.makeGenesis(Object.assign({ blockClass: PrimeBlock, transactionClass: Transaction }, cfg));
+
+  // Later tests use the settings made at the top of this file.
+  after(() => makeGenesis({ primeChainBaseTarget: EASY_POW_TARGET }));
+
+  it("should make the same genesis block on every node of a network, and another on each network.", () => {
+    let startingBalances = { [addr]: 500 };
+    let ids = NetworkProfiles.names().map((network) => {
+      let genesis = makeGenesis({ network, startingBalances });
+      assert.equal(makeGenesis({ network, startingBalances }).id, genesis.id);
+      assert.equal(PrimeBlockchain.deserializeBlock(JSON.parse(genesis.serialize())).id, genesis.id);
+      assert.equal(genesis.networkMagic, NetworkProfiles.get(network).magic);
+      return genesis.id;
+    });
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it("should take consensus settings from the profile unless they are given.", () => {
+    makeGenesis({ network: NetworkProfiles.REGTEST, targetBlockTime: 500 });
+    assert.equal(PrimeBlockchain.NETWORK, NetworkProfiles.REGTEST);
+    assert.equal(PrimeBlockchain.NETWORK_MAGIC, NetworkProfiles.get(NetworkProfiles.REGTEST).magic);
+    assert.equal(PrimeBlockchain.PRIME_CHAIN_BASE_TARGET, 1);
+    assert.equal(PrimeBlockchain.MAX_PRIME_CHAIN_TARGET, 1);
+    assert.equal(PrimeBlockchain.TARGET_BLOCK_TIME, 500);
+    assert.equal(PrimeBlockchain.BASE_PRIMORIAL, 210);
+    assert.equal(PrimeBlockchain.COINBASE_AMT_ALLOWED, 25);
+    assert.throws(() => makeGenesis({ network: "devnet" }), /Unknown network devnet/);
+  });
+});
+
+describe('PrimeMiner', function() {
+  this.timeout(20000);
+
+  let makeGenesis = (cfg) => PrimeBlockchain.makeGenesis(Object.assign({ blockClass: PrimeBlock, transactionClass: Transaction }, cfg));
+  let startingBalances = { [addr]: 500 };
+  let net = { broadcast: function(){} };
+
+  // Later tests use the settings made at the top of this file.
+  after(() => makeGenesis({ primeChainBaseTarget: EASY_POW_TARGET }));
+
+  function makeMiner(genesis) {
+    let miner = new PrimeMiner({name: "Minnie", net: net, startingBlock: genesis, keyPair: kp});
+    miner.log = function(){};
+    return miner;
+  }
+
+  describe('#generate', () => {
+    it("should mine the number of blocks asked for on regtest only.", () => {
+      let miner = makeMiner(makeGenesis({ network: NetworkProfiles.MAINNET, startingBalances }));
+      assert.throws(() => miner.generate(1), /only be generated on regtest/);
+
+      miner = makeMiner(makeGenesis({ network: NetworkProfiles.REGTEST, startingBalances }));
+      let blocks = miner.generate(3, "ffff");
+      assert.lengthOf(blocks, 3);
+      assert.equal(miner.lastBlock.id, blocks[2].id);
+      assert.equal(miner.lastBlock.chainLength, 3);
+      blocks.forEach((b) => assert.isTrue(b.hasValidProof()));
+
+      // A block's reward is paid by the block after it
+      assert.equal(miner.lastBlock.balanceOf("ffff"), 2 * PrimeBlockchain.COINBASE_AMT_ALLOWED);
+    });
+
+    it("should refuse to mine more blocks than allowed in one call.", () => {
+      let miner = makeMiner(makeGenesis({ network: NetworkProfiles.REGTEST, startingBalances }));
+      let head = miner.lastBlock;
+      assert.throws(() => miner.generate(PrimeMiner.MAX_GENERATE + 1), /0 to 100 blocks/);
+      assert.throws(() => miner.generate(-1), /0 to 100 blocks/);
+      assert.equal(miner.lastBlock, head);
+    });
+  });
+
+  describe('#mineBlock', () => {
+    it("should mine a block with the given transactions and keep the others pending.", () => {
+      let miner = makeMiner(makeGenesis({ network: NetworkProfiles.REGTEST, startingBalances }));
+      let first = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 0});
+      first.sign(kp.private);
+      let second = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 30, address: "ffff"}], fee: 1, nonce: 1});
+      second.sign(kp.private);
+
+      miner.startNewSearch();
+      miner.addTransaction(first);
+      miner.addTransaction(second);
+
+      let b = miner.mineBlock({ transactions: [first] });
+      assert.deepEqual(Array.from(b.transactions.keys()), [first.id]);
+      assert.equal(miner.lastBlock.id, b.id);
+      assert.deepEqual(Array.from(miner.currentBlock.transactions.keys()), [second.id]);
+
+      // Already in the chain
+      assert.throws(() => miner.mineBlock({ transactions: [first] }), /cannot be added/);
+      assert.equal(miner.lastBlock.id, b.id);
+
+      b = miner.mineBlock();
+      assert.deepEqual(Array.from(b.transactions.keys()), [second.id]);
+      assert.equal(miner.lastBlock.balanceOf("ffff"), 50);
+      assert.equal(miner.currentBlock.transactions.size, 0);
+    });
+
+    it("should give up after the most rounds allowed.", () => {
+      let miner = makeMiner(makeGenesis({ network: NetworkProfiles.REGTEST, startingBalances }));
+      let head = miner.lastBlock;
+      assert.throws(() => miner.mineBlock({ maxRounds: 1 }), /No proof found for block 1 in 1 rounds/);
+      assert.equal(miner.lastBlock, head);
+    });
+  });
+});
+
+describe('PrimeDifficulty', () => {
+  // Builds a chain on a new genesis block, spacing blocks the given number of milliseconds apart.
+  function makeChain(length, spacing, target) {
+    let genesis = new PrimeBlock("8e7912");
+    let blocks = new Map([[genesis.id, genesis]]);
+    let block = genesis;
+    for (let i = 1; i <= length; i++) {
+      block = new PrimeBlock(addr, block, target);
+      block.timestamp = i * spacing;
+      blocks.set(block.id, block);
+    }
+    return { genesis, blocks, lastBlock: block };
+  }
+
+  describe('.nextTarget', () => {
+    it("should use the base target after the genesis block.", () => {
+      let { genesis, blocks } = makeChain(0, 0);
+      assert.equal(PrimeDifficulty.nextTarget(genesis, blocks), PrimeBlockchain.PRIME_CHAIN_BASE_TARGET);
+    });
+
+    it("should keep the previous target between retargets.", () => {
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 2, 1, 3);
+      assert.equal(PrimeDifficulty.nextTarget(lastBlock, blocks), 3);
+    });
+
+    it("should raise the target by a fraction when blocks are mined a little fast.", () => {
+      let spacing = PrimeBlockchain.TARGET_BLOCK_TIME / 2;
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 1, spacing, 3);
+      let target = PrimeDifficulty.nextTarget(lastBlock, blocks);
+      assert.closeTo(target, 3 + Math.log10(2), 1e-6);
+    });
+
+    it("should raise the target when blocks are mined too fast.", () => {
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 1, 1, 3);
+      assert.equal(PrimeDifficulty.nextTarget(lastBlock, blocks), 4);
+    });
+
+    it("should lower the target when blocks are mined too slow.", () => {
+      let spacing = PrimeBlockchain.TARGET_BLOCK_TIME * 10;
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 1, spacing, 3);
+      assert.equal(PrimeDifficulty.nextTarget(lastBlock, blocks), 2);
+    });
+
+    it("should keep the target when blocks are mined on time.", () => {
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 1, PrimeBlockchain.TARGET_BLOCK_TIME, 3);
+      assert.equal(PrimeDifficulty.nextTarget(lastBlock, blocks), 3);
+    });
+
+    it("should not go below the minimum target.", () => {
+      let spacing = PrimeBlockchain.TARGET_BLOCK_TIME * 10;
+      let min = PrimeBlockchain.MIN_PRIME_CHAIN_TARGET;
+      let { blocks, lastBlock } = makeChain(PrimeBlockchain.RETARGET_INTERVAL - 1, spacing, min);
+      assert.equal(PrimeDifficulty.nextTarget(lastBlock, blocks), min);
+    });
+  });
+
+  describe('.blockWork', () => {
+    it("should grow by the length difficulty factor for each extra prime of the target.", () => {
+      let { genesis, lastBlock } = makeChain(1, 1, 2);
+      assert.equal(PrimeDifficulty.blockWork(genesis), 0);
+      assert.equal(PrimeDifficulty.blockWork(lastBlock), 100);
+      lastBlock.target = 3.5;
+      assert.closeTo(PrimeDifficulty.blockWork(lastBlock), Math.pow(10, 3.5), 1e-9);
+    });
+
+    it("should not count a chain longer than the target.", () => {
+      let { lastBlock } = makeChain(1, 1, 2);
+      lastBlock.primeChainLength = 2.5;
+      let work = PrimeDifficulty.blockWork(lastBlock);
+      lastBlock.primeChainLength = 6;
+      assert.equal(PrimeDifficulty.blockWork(lastBlock), work);
+    });
+  });
+
+  describe('.isBetterHead', () => {
+    it("should prefer a shorter chain of hard blocks to a longer chain of easy ones.", () => {
+      let easy = makeChain(5, 1, 1).lastBlock;
+      let hard = makeChain(2, 1, 3).lastBlock;
+      easy.totalWork = 5 * 10;
+      hard.totalWork = 2 * 1000;
+      assert.isTrue(PrimeDifficulty.isBetterHead(hard, easy));
+      assert.isFalse(PrimeDifficulty.isBetterHead(easy, hard));
+    });
+
+    it("should break ties by lowest block id.", () => {
+      let a = makeChain(1, 1, 2).lastBlock;
+      let b = makeChain(1, 2, 2).lastBlock;
+      let [low, high] = a.id < b.id ? [a, b] : [b, a];
+      assert.isTrue(PrimeDifficulty.isBetterHead(low, high));
+      assert.isFalse(PrimeDifficulty.isBetterHead(high, low));
+      assert.isFalse(PrimeDifficulty.isBetterHead(low, low));
+    });
+  });
+});
+
+describe('PrimeSieve', () => {
+  describe('.generateSmallPrimes', () => {
+    it("should find all primes up to the limit.", () => {
+      assert.deepEqual(PrimeSieve.generateSmallPrimes(30), [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]);
+    });
+  });
+
+  describe('.modInverse', () => {
+    it("should invert numbers modulo a small prime.", () => {
+      assert.equal(PrimeSieve.modInverse(2, 11), 6);
+      assert.equal(PrimeSieve.modInverse(123, 997) * 123 % 997, 1);
+    });
+  });
+
+  describe('#sieve', () => {
+    let blockHeaderHash = new BigInteger(utils.hash("sieve"), 16).setBit(255);
+    let base = blockHeaderHash.multiply(Prime.BI_BASE_PRIMORIAL);
+    let start = new BigInteger("2");
+    let target = 2;
+
+    it("should only remove multipliers whose chains are too short.", () => {
+      let sieve = new PrimeSieve({sieveSize: 256});
+      let offsets = new Set(sieve.sieve(base, start, target));
+      assert.isBelow(offsets.size, 256);
+      for (let i = 0; i < 256; i++) {
+        if (offsets.has(i)) continue;
+        let multiplier = start.add(new BigInteger(i.toString()));
+        let { chainLength } = Prime.findPrimeChain(base.multiply(multiplier), target);
+        assert.isBelow(chainLength, target);
+      }
+    });
+
+    it("should sieve by the chain types searched.", () => {
+      // Small origins, so that many chains reach the target
+      let sieve = new PrimeSieve({sieveSize: 1024, sievePrimeLimit: 100});
+      let smallStart = new BigInteger("1000");
+      // Every other member of a generalized chain with a = 4 is a multiple
+      // of 3 for origins that are multiples of 210, so those only reach 1.
+      [
+        { names: [ChainTypes.PRIME_TRIPLET, ChainTypes.PRIME_QUADRUPLET], target },
+        { names: [ChainTypes.GENERALIZED_CUNNINGHAM_CHAIN_1_4, ChainTypes.GENERALIZED_CUNNINGHAM_CHAIN_2_4], target: 1 },
+        { names: [PrimeBlockchain.BITWIN_CHAIN], target },
+      ].forEach(({names, target}) => {
+        let offsets = new Set(sieve.sieve(Prime.BI_BASE_PRIMORIAL, smallStart, target, names));
+        assert.isBelow(offsets.size, 1024);
+        let found = 0;
+        for (let i = 0; i < 1024; i++) {
+          let multiplier = smallStart.add(new BigInteger(i.toString()));
+          let { chainLength } = Prime.findPrimeChain(Prime.BI_BASE_PRIMORIAL.multiply(multiplier), target, names);
+          if (chainLength >= target) {
+            assert.isTrue(offsets.has(i), `${names} chain at offset ${i} was removed`);
+            found++;
+          }
+        }
+        assert.isAbove(found, 0);
+      });
+    });
+
+    it("should count candidates removed by each stage.", () => {
+      let sieve = new PrimeSieve({sieveSize: 256});
+      let offsets = sieve.sieve(base, start, target);
+      assert.equal(sieve.stats.candidates, 256);
+      assert.equal(sieve.stats.sieveRemoved, 256 - offsets.length);
+
+      sieve.recordResult(0, target);
+      sieve.recordResult(1.5, target);
+      sieve.recordResult(2.5, target);
+      assert.equal(sieve.stats.primalityRemoved, 1);
+      assert.equal(sieve.stats.lengthRemoved, 1);
+      assert.equal(sieve.stats.chainsFound, 1);
+    });
+  });
+});
+
+describe('Primality', () => {
+  let two = BigNum.from(2);
+  let m61 = two.pow(61).subtract(BigNum.from(1));
+  let m89 = two.pow(89).subtract(BigNum.from(1));
+
+  describe('.isPrime', () => {
+    it("should agree with trial division for small numbers.", () => {
+      for (let i = 0; i < 1000; i++) {
+        let prime = i > 1;
+        for (let j = 2; j * j <= i; j++) {
+          if (i % j === 0) prime = false;
+        }
+        assert.equal(Primality.isPrime(BigNum.from(i)), prime, i);
+      }
+    });
+
+    it("should accept large primes and reject pseudoprimes, squares and semiprimes.", () => {
+      assert.isTrue(Primality.isPrime(two.pow(127).subtract(BigNum.from(1))));
+      assert.isTrue(Primality.isPrime(m89));
+      [BigNum.from(561), BigNum.from(3215031751), BigNum.from(5777), m61.multiply(m61), m61.multiply(m89)].forEach((n) => {
+        assert.isFalse(Primality.isPrime(n), n.toString());
+      });
+    });
+  });
+
+  describe('.bpswTest', () => {
+    it("should catch strong pseudoprimes to base 2 and strong Lucas pseudoprimes.", () => {
+      assert.isTrue(Primality.millerRabinTest(BigNum.from(2047), 2));
+      assert.isFalse(Primality.bpswTest(BigNum.from(2047)));
+      assert.isTrue(Primality.strongLucasTest(BigNum.from(5459)));
+      assert.isFalse(Primality.bpswTest(BigNum.from(5459)));
+      assert.isTrue(Primality.bpswTest(m61));
+    });
+  });
+});
+
+describe('ChainTypes', () => {
+  describe('.findPrimeChain', () => {
+    it("should find the same chains as the Cunningham and bitwin searches of Prime.", () => {
+      for (let o = 2; o < 3000; o += 2) {
+        let origin = BigNum.from(o);
+        let first = Prime.findCunninghamChain(origin.subtract(Prime.BI_ONE), PrimeBlockchain.CUNNINGHAM_CHAIN_1, 3);
+        let second = Prime.findCunninghamChain(origin.add(Prime.BI_ONE), PrimeBlockchain.CUNNINGHAM_CHAIN_2, 3);
+        let bitwin = Prime.bitwinChainLength(first, second);
+        let expected = { chainLength: bitwin, chainType: PrimeBlockchain.BITWIN_CHAIN };
+        if (first >= second && first >= bitwin) {
+          expected = { chainLength: first, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 };
+        }else if (second >= first && second >= bitwin) {
+          expected = { chainLength: second, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_2 };
+        }
+        assert.deepEqual(ChainTypes.findPrimeChain(origin, 3), expected);
+      }
+    });
+
+    it("should only search the chain types given, preferring the first on ties.", () => {
+      let origin = BigNum.from(810);
+      assert.deepEqual(ChainTypes.findPrimeChain(origin, undefined, [PrimeBlockchain.CUNNINGHAM_CHAIN_1, ChainTypes.PRIME_QUADRUPLET]),
+        { chainLength: 4, chainType: ChainTypes.PRIME_QUADRUPLET });
+      assert.deepEqual(ChainTypes.findPrimeChain(origin, 2, [ChainTypes.PRIME_TRIPLET, ChainTypes.PRIME_QUADRUPLET]),
+        { chainLength: 2, chainType: ChainTypes.PRIME_TRIPLET });
+      assert.throws(() => ChainTypes.findPrimeChain(origin, 2, ["NOT_A_CHAIN"]), /Invalid chain type/);
+    });
+  });
+
+  describe('#build', () => {
+    it("should list the numbers of each kind of chain.", () => {
+      let build = (name, origin, chainLength) => ChainTypes.get(name).build(BigNum.from(origin), chainLength).map(String);
+      assert.deepEqual(build(PrimeBlockchain.CUNNINGHAM_CHAIN_1, 90, 2.5), ["89", "179"]);
+      assert.deepEqual(build(PrimeBlockchain.BITWIN_CHAIN, 6, 3.2), ["5", "7", "11"]);
+      assert.deepEqual(build(ChainTypes.GENERALIZED_CUNNINGHAM_CHAIN_1_4, 4, 3.9), ["3", "13", "53"]);
+      assert.deepEqual(build(ChainTypes.PRIME_QUADRUPLET, 810, 4), ["821", "823", "827", "829"]);
+      assert.throws(() => build(ChainTypes.PRIME_TRIPLET, 810, 4), /at most 3 primes/);
+      assert.throws(() => build(PrimeBlockchain.CUNNINGHAM_CHAIN_2, 810, 0.5), /less than 1/);
+    });
+
+    it("should give chains that search finds again.", () => {
+      let generalized = ChainTypes.get(ChainTypes.GENERALIZED_CUNNINGHAM_CHAIN_1_4);
+      let chainLength = generalized.search(BigNum.from(4));
+      assert.isAbove(chainLength, 3);
+      assert.isTrue(generalized.verify(BigNum.from(4), chainLength));
+      assert.isFalse(generalized.verify(BigNum.from(4), 3));
+    });
+  });
+
+  describe('.register', () => {
+    it("should reject names and labels already in use.", () => {
+      assert.throws(() => ChainTypes.register(new PrimeTuplet({ name: PrimeBlockchain.BITWIN_CHAIN, label: "TW2", offsets: [1] })), /already registered/);
+      assert.throws(() => ChainTypes.register(new PrimeTuplet({ name: "TWIN_PRIMES", label: "TWN", offsets: [-1, 1] })), /already in use/);
+      assert.isFalse(ChainTypes.has("TWIN_PRIMES"));
+    });
+  });
+});
+
+describe('BlockStore', () => {
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500], ["ffff", 100] ]);
+  let net = { broadcast: function(){} };
+
+  let dir;
+  let fileName;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockStore-'));
+    fileName = path.join(dir, 'blocks.ndjson');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Mines blocks on top of genesis with a client that saves to fileName.
+  function mineBlocks(count) {
+    let store = new BlockStore(fileName);
+    let miner = new PrimeMiner({name: "Minnie", net: net, startingBlock: genesis, blockStore: store});
+    miner.log = function(){};
+    for (let i = 0; i < count; i++) {
+      let b = new PrimeBlock(addr, miner.lastBlock, EASY_POW_TARGET);
+      b.timestamp = genesis.timestamp + i + 1;
+      miner.currentBlock = b;
+      miner.findProof(true);
+    }
+    store.close();
+    return miner;
+  }
+
+  describe('#replay', () => {
+    it("should restore every accepted block after a restart.", () => {
+      let miner = mineBlocks(3);
+
+      let store = new BlockStore(fileName);
+      assert.lengthOf(store.blocks, 4);
+      let clint = new PrimeClient({net: net, startingBlock: genesis, blockStore: store});
+      clint.log = function(){};
+      store.close();
+
+      assert.equal(clint.lastBlock.id, miner.lastBlock.id);
+      assert.equal(clint.blocks.size, miner.blocks.size);
+      assert.equal(clint.lastBlock.balanceOf(addr), miner.lastBlock.balanceOf(addr));
+      assert.lengthOf(clint.primeChains, 3);
+    });
+
+    it("should refuse blocks saved from a different genesis block.", () => {
+      mineBlocks(1);
+      let otherGenesis = new PrimeBlock("8e7912");
+      otherGenesis.timestamp = genesis.timestamp + 1;
+
+      let store = new BlockStore(fileName);
+      assert.throws(() => new PrimeClient({net: net, startingBlock: otherGenesis, blockStore: store}));
+      store.close();
+    });
+
+    it("should not restore blocks that fail validation.", () => {
+      mineBlocks(2);
+      let lines = fs.readFileSync(fileName, 'utf8').split('\n');
+      let o = JSON.parse(lines[1].substring(lines[1].indexOf(' ') + 1));
+      o.primeChainLength += 1;
+      let json = JSON.stringify(o);
+      lines[1] = `${utils.hash(json)} ${json}`;
+      fs.writeFileSync(fileName, lines.join('\n'));
+
+      let store = new BlockStore(fileName);
+      let clint = new PrimeClient({net: net, startingBlock: genesis, blockStore: store});
+      clint.log = function(){};
+      store.close();
+      assert.equal(clint.lastBlock, clint.blocks.get(genesis.id));
+    });
+  });
+
+  describe('#recover', () => {
+    it("should cut off a block that was only partly written and keep appending.", () => {
+      mineBlocks(2);
+      let size = fs.statSync(fileName).size;
+      let lines = fs.readFileSync(fileName, 'utf8').split('\n');
+      fs.appendFileSync(fileName, lines[2].substring(0, 40));
+
+      let store = new BlockStore(fileName);
+      assert.lengthOf(store.blocks, 3);
+      assert.equal(fs.statSync(fileName).size, size);
+
+      let clint = new PrimeClient({net: net, startingBlock: genesis, blockStore: store});
+      clint.log = function(){};
+      let b = new PrimeBlock(addr, clint.lastBlock, EASY_POW_TARGET);
+      let miner = new PrimeMiner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      miner.currentBlock = b;
+      miner.findProof(true);
+      clint.receiveBlock(b);
+      store.close();
+
+      assert.lengthOf(new BlockStore(fileName).blocks, 4);
+    });
+
+    it("should stop reading at a block that fails its checksum.", () => {
+      mineBlocks(2);
+      let lines = fs.readFileSync(fileName, 'utf8').split('\n');
+      lines[1] = lines[1].replace('"chainLength":1', '"chainLength":2');
+      fs.writeFileSync(fileName, lines.join('\n'));
+
+      let store = new BlockStore(fileName);
+      store.close();
+      assert.lengthOf(store.blocks, 1);
+      assert.equal(fs.readFileSync(fileName, 'utf8'), lines[0] + '\n');
+    });
+  });
+});
+
+// Finds a port nothing is listening on.
+function freePort() {
+  let server = net.createServer();
+  return new Promise((resolve) => server.listen(0, () => {
+    let port = server.address().port;
+    server.close(() => resolve(port));
+  }));
+}
+
+describe('ChainLog', () => {
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500] ]);
+
+  let dir;
+  let fileName;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chainLog-'));
+    fileName = path.join(dir, 'chains.log');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  describe('#record', () => {
+    it("should log chains at or above the threshold with their origin.", () => {
+      let log = new ChainLog({ fileName, threshold: 1.5 });
+      let chain = { headerHash: "ff", multiplier: "210", chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 };
+      assert.isFalse(log.record(Object.assign({ chainLength: 1.2 }, chain)));
+      assert.isTrue(log.record(Object.assign({ chainLength: 2.3, time: 7 }, chain)));
+      log.close();
+
+      let chains = ChainLog.read(fileName);
+      assert.equal(chains.length, 1);
+      assert.equal(chains[0].origin, "53550");
+      assert.equal(chains[0].chainLength, 2.3);
+      assert.equal(chains[0].time, 7);
+    });
+
+    it("should rotate full files and drop the oldest.", () => {
+      let log = new ChainLog({ fileName, threshold: 1, maxFileSize: 300, maxFiles: 2 });
+      for (let i = 1; i <= 12; i++) {
+        log.record({ headerHash: "ff", multiplier: "210", chainLength: i, chainType: PrimeBlockchain.BITWIN_CHAIN });
+      }
+      log.close();
+
+      let fileNames = ChainLog.fileNames(fileName, 2);
+      assert.deepEqual(fileNames, [`${fileName}.2`, `${fileName}.1`, fileName]);
+      assert.isFalse(fs.existsSync(`${fileName}.3`));
+      fileNames.forEach((name) => assert.isAtMost(fs.statSync(name).size, 300));
+
+      let lengths = [].concat(...fileNames.map((name) => ChainLog.read(name))).map((c) => c.chainLength);
+      assert.isBelow(lengths.length, 12);
+      assert.deepEqual(lengths, lengths.slice().sort((a, b) => a - b));
+      assert.equal(lengths[lengths.length - 1], 12);
+    });
+
+    it("should be written by a miner for chains short of the target.", () => {
+      let log = new ChainLog({ fileName, threshold: 1 });
+      let miner = new PrimeMiner({name: "Minnie", net: { broadcast: function(){} }, startingBlock: genesis,
+        miningRounds: 300, chainLog: log});
+      miner.log = function(){};
+      miner.currentBlock = new PrimeBlock(addr, genesis, 4);
+      miner.findProof(true);
+      log.close();
+
+      let chains = ChainLog.read(fileName);
+      assert.isAbove(chains.length, 0);
+      let blockHeaderHash = BigNum.from(miner.currentBlock.hashHeader(), 16);
+      chains.forEach((chain) => {
+        assert.isAtLeast(chain.chainLength, 1);
+        assert.equal(chain.origin, blockHeaderHash.multiply(BigNum.from(chain.multiplier)).toString());
+      });
+    });
+  });
+});
+
+describe('ChainExporter', () => {
+  describe('.format', () => {
+    let chain = { blockID: 7, hash: 'say "hi"', type: "TWN", length: 3.4, digits: 3, primeOrigin: "210", primeChain: "209,211,419" };
+
+    it("should quote CSV fields holding commas or quotes.", () => {
+      assert.equal(ChainExporter.format([chain], ChainExporter.CSV).split("\n")[1],
+        '7,"say ""hi""",,,,TWN,3.4,3,210,"209,211,419"');
+    });
+
+    it("should list chains by whole length for primes.zone, and reject unknown formats.", () => {
+      assert.equal(ChainExporter.format([chain], ChainExporter.PRIMES_ZONE), "TWN3 3 210\n");
+      assert.deepEqual(JSON.parse(ChainExporter.format([chain], ChainExporter.JSON)), [chain]);
+      assert.throws(() => ChainExporter.format([chain], "xml"), /Unknown format/);
+    });
+  });
+});
+
+describe('buildPrimeChains.js', function() {
+  this.timeout(20000);
+
+  let dir;
+  beforeEach(() => dir = fs.mkdtempSync(path.join(os.tmpdir(), 'buildPrimeChains-')));
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Runs the script, resolving with its exit code and output.
+  function run(args) {
+    return new Promise((resolve) => {
+      let child = spawn(process.execPath, ['buildPrimeChains.js', ...args], { cwd: __dirname, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = "";
+      let stderr = "";
+      child.stdout.on('data', (chunk) => stdout += chunk);
+      child.stderr.on('data', (chunk) => stderr += chunk);
+      child.on('exit', (code) => resolve({ code, stdout, stderr }));
+    });
+  }
+
+  it("should print the chains from chain logs, oldest first, leaving the logs as they are.", () => {
+    let fileName = path.join(dir, 'chains.log');
+    let log = new ChainLog({ fileName, threshold: 1, maxFileSize: 1 });
+    log.record({ headerHash: "ff", multiplier: "210", chainLength: 2.5, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 });
+    log.record({ headerHash: "ff", multiplier: "420", chainLength: 2.1, chainType: PrimeBlockchain.BITWIN_CHAIN });
+    log.close();
+    let logged = fs.readFileSync(fileName, 'utf8');
+
+    return run(ChainLog.fileNames(fileName)).then(({ code, stdout }) => {
+      assert.equal(code, 0);
+      let chains = JSON.parse(stdout);
+      assert.deepEqual(chains.map((c) => [c.type, c.length, c.digits, c.primeOrigin, c.primeChain]), [
+        ["1CC", 2.5, 5, "53550", "53549,107099"],
+        ["TWN", 2.1, 6, "107100", "107099,107101"],
+      ]);
+      assert.equal(fs.readFileSync(fileName, 'utf8'), logged);
+    });
+  });
+
+  it("should verify every chain with --verify, reporting the first composite number.", () => {
+    let fileName = path.join(dir, 'primes.json');
+    let blocks = [
+      { blockNumber: 1, blockHeaderHash: "ff", primeMultiplier: "210", primeChainLength: 2.5, primeChainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 },
+      { blockNumber: 2, blockHeaderHash: "ff", primeMultiplier: "210", primeChainLength: 3.2, primeChainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 },
+      { blockNumber: 3, blockHeaderHash: "ff", primeMultiplier: "210", primeChainLength: 2, primeChainType: "NOT_A_CHAIN" },
+      { blockNumber: 4, blockHeaderHash: "ff", primeMultiplier: "210", primeChainLength: 3.1, primeChainType: PrimeBlockchain.BITWIN_CHAIN },
+    ];
+    fs.writeFileSync(fileName, JSON.stringify(blocks));
+
+    return run(["--verify", fileName]).then(({ code, stdout }) => {
+      assert.equal(code, 1);
+      let lines = stdout.split("\n");
+      assert.deepEqual(lines.slice(0, 4), [
+        "PASS block 1 1CC2.5 (5 digits)",
+        "FAIL block 2 1CC3.2 (5 digits): number 2 of 3 is composite",
+        "FAIL block 3 ???: Invalid chain type found",
+        "PASS block 4 TWN3.1 (5 digits)",
+      ]);
+      assert.include(stdout, "Verified 4 chains with Miller-Rabin (25 bases) and BPSW: 2 passed, 2 failed");
+      assert.equal(fs.readFileSync(fileName, 'utf8'), JSON.stringify(blocks));
+    });
+  });
+
+  it("should write the chains to an output file in any format, never over an input.", () => {
+    let fileName = path.join(dir, 'primes.json');
+    let blocks = [
+      { blockNumber: 1, blockHash: "ab", blockHeaderHash: "ff", primeMultiplier: "210", primeChainLength: 2.5, primeChainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1 },
+    ];
+    fs.writeFileSync(fileName, JSON.stringify(blocks));
+    let csvName = path.join(dir, 'primes.csv');
+
+    return run(["--format", "csv", "-o", csvName, fileName]).then(({ code, stdout }) => {
+      assert.equal(code, 0);
+      assert.equal(stdout, "");
+      assert.equal(fs.readFileSync(csvName, 'utf8'),
+        "blockID,hash,time,headerHash,multiplier,type,length,digits,primeOrigin,primeChain\n" +
+        '1,ab,,,,1CC,2.5,5,53550,"53549,107099"\n');
+      return run(["--format=primes-zone", fileName]);
+    }).then(({ code, stdout }) => {
+      assert.equal(code, 0);
+      assert.equal(stdout, "1CC2 5 53550\n");
+      return run(["--output", fileName, fileName]);
+    }).then(({ code, stderr }) => {
+      assert.equal(code, 1);
+      assert.include(stderr, "is also an input");
+      assert.equal(fs.readFileSync(fileName, 'utf8'), JSON.stringify(blocks));
+      return run(["--format", "xml", fileName]);
+    }).then(({ code }) => {
+      assert.equal(code, 2);
+    });
+  });
+
+  it("should give the same chains again when reading chains it built.", () => {
+    let fileName = path.join(dir, 'primes.json');
+    let builtName = path.join(dir, 'built.ndjson');
+    fs.writeFileSync(fileName, JSON.stringify([
+      { blockNumber: 1, blockHash: "ab", blockHeaderHash: "ff", primeMultiplier: "420", primeChainLength: 2.1, primeChainType: PrimeBlockchain.BITWIN_CHAIN },
+    ]));
+
+    return run(["--format", "ndjson", "-o", builtName, fileName]).then(({ code }) => {
+      assert.equal(code, 0);
+      return run(["--format", "ndjson", builtName]);
+    }).then(({ code, stdout }) => {
+      assert.equal(code, 0);
+      assert.equal(stdout, fs.readFileSync(builtName, 'utf8'));
+    });
+  });
+});
+
+describe('MerkleTree', () => {
+  let leaves = ["a", "b", "c", "d", "e"];
+
+  describe('.root', () => {
+    it("should depend on every leaf and their order.", () => {
+      let root = MerkleTree.root(leaves);
+      assert.notEqual(MerkleTree.root(["a", "b", "c", "d", "f"]), root);
+      assert.notEqual(MerkleTree.root(["b", "a", "c", "d", "e"]), root);
+      assert.equal(MerkleTree.root(["a"]), MerkleTree.hashLeaf("a"));
+      assert.equal(MerkleTree.root([]), MerkleTree.EMPTY_ROOT);
+    });
+
+    it("should not accept an inner node as a leaf.", () => {
+      let inner = MerkleTree.hashNode(MerkleTree.hashLeaf("a"), MerkleTree.hashLeaf("b"));
+      assert.notEqual(MerkleTree.root([inner]), MerkleTree.root(["a", "b"]));
+    });
+  });
+
+  describe('.proof', () => {
+    it("should prove every leaf for trees of any size.", () => {
+      for (let size = 1; size <= leaves.length; size++) {
+        let someLeaves = leaves.slice(0, size);
+        let root = MerkleTree.root(someLeaves);
+        someLeaves.forEach((leaf, i) => {
+          assert.isTrue(MerkleTree.verify(leaf, MerkleTree.proof(someLeaves, i), root));
+        });
+      }
+    });
+
+    it("should not verify a wrong leaf or a changed proof.", () => {
+      let root = MerkleTree.root(leaves);
+      let proof = MerkleTree.proof(leaves, 2);
+      assert.isFalse(MerkleTree.verify("b", proof, root));
+
+      let flipped = proof.map((step) => ({ hash: step.hash, left: !step.left }));
+      assert.isFalse(MerkleTree.verify("c", flipped, root));
+      assert.isFalse(MerkleTree.verify("c", proof.slice(1), root));
+      assert.isFalse(MerkleTree.verify("c", null, root));
+      assert.throws(() => MerkleTree.proof(leaves, 5));
+    });
+  });
+});
+
+describe('FrameDecoder', () => {
+  // Collects the messages and malformed frames a decoder reports.
+  function makeDecoder() {
+    let decoder = new FrameDecoder();
+    let received = { messages: [], malformed: 0 };
+    decoder.on(FrameDecoder.MESSAGE, (o) => received.messages.push(o));
+    decoder.on(FrameDecoder.MALFORMED, () => received.malformed++);
+    return { decoder, received };
+  }
+
+  describe('#push', () => {
+    it("should rebuild messages split across chunks and coalesced into one.", () => {
+      let { decoder, received } = makeDecoder();
+      let bytes = Buffer.concat([1, 2, 3].map((n) => FrameDecoder.encode({ n })));
+      for (let i = 0; i < bytes.length; i++) {
+        decoder.push(bytes.subarray(i, i + 1));
+      }
+      decoder.push(bytes);
+      assert.deepEqual(received.messages.map((o) => o.n), [1, 2, 3, 1, 2, 3]);
+    });
+
+    it("should skip frames that are not JSON and keep decoding.", () => {
+      let { decoder, received } = makeDecoder();
+      let bad = Buffer.from("{not json");
+      let header = Buffer.alloc(4);
+      header.writeUInt32BE(bad.length, 0);
+      decoder.push(Buffer.concat([header, bad, FrameDecoder.encode({ n: 1 })]));
+      assert.equal(received.malformed, 1);
+      assert.deepEqual(received.messages, [{ n: 1 }]);
+    });
+
+    it("should report an error for frames over the maximum size.", () => {
+      let { decoder, received } = makeDecoder();
+      let errors = [];
+      decoder.on('error', (err) => errors.push(err));
+      let header = Buffer.alloc(4);
+      header.writeUInt32BE(FrameDecoder.MAX_FRAME_SIZE + 1, 0);
+      decoder.push(header);
+      assert.lengthOf(errors, 1);
+      assert.lengthOf(received.messages, 0);
+    });
+  });
+});
+
+describe('TcpNet', function() {
+  this.timeout(20000);
+
+  let sender;
+  let receiver;
+  beforeEach(() => {
+    sender = new TcpNet();
+    receiver = new TcpNet();
+  });
+  afterEach(() => Promise.all([sender.close(), receiver.close()]));
+
+  // Resolves with the messages received once count have arrived.
+  function receiveMessages(port, count) {
+    return new Promise((resolve) => {
+      let messages = [];
+      receiver.listen(port, (msg, o) => {
+        messages.push({ msg, o });
+        if (messages.length === count) resolve(messages);
+      });
+    });
+  }
+
+  describe('#sendMessage', () => {
+    it("should deliver a multi-megabyte message and many small ones in order.", () => {
+      let count = 500;
+      let big = { data: "x".repeat(4 * 1024 * 1024) };
+      let received;
+      return freePort().then((port) => {
+        received = receiveMessages(port, count + 1);
+        sender.register({ address: "receiver", connection: { port } });
+        sender.sendMessage("receiver", "BIG", big);
+        for (let i = 0; i < count; i++) {
+          sender.sendMessage("receiver", "SMALL", JSON.stringify({ i }));
+        }
+        return received;
+      }).then((messages) => {
+        assert.equal(messages[0].msg, "BIG");
+        assert.equal(messages[0].o.data.length, big.data.length);
+        assert.deepEqual(messages.slice(1).map((m) => m.o.i), [...Array(count).keys()]);
+        assert.equal(sender.peers.size, 1);
+      });
+    });
+
+    it("should queue messages until the peer is listening.", () => {
+      return freePort().then((port) => {
+        sender.register({ address: "receiver", connection: { port } });
+        sender.sendMessage("receiver", "FIRST", {});
+        sender.sendMessage("receiver", "SECOND", {});
+        return new Promise((resolve) => setTimeout(resolve, TcpNet.INITIAL_RECONNECT_DELAY * 2))
+          .then(() => receiveMessages(port, 2));
+      }).then((messages) => {
+        assert.deepEqual(messages.map((m) => m.msg), ["FIRST", "SECOND"]);
+      });
+    });
+
+    it("should ignore malformed frames from a peer.", () => {
+      let received;
+      return freePort().then((port) => {
+        received = receiveMessages(port, 1);
+        let bad = Buffer.from("]");
+        let header = Buffer.alloc(4);
+        header.writeUInt32BE(bad.length, 0);
+        let socket = net.connect({ port }, () => {
+          socket.end(Buffer.concat([header, bad, FrameDecoder.encode({ o: {} }),
+            FrameDecoder.encode({ magic: PrimeBlockchain.NETWORK_MAGIC, msg: "GOOD", o: {} })]));
+        });
+        return received;
+      }).then((messages) => {
+        assert.deepEqual(messages.map((m) => m.msg), ["GOOD"]);
+      });
+    });
+
+    it("should ignore messages from other networks.", () => {
+      let received;
+      return freePort().then((port) => {
+        received = receiveMessages(port, 1);
+        let testnet = new TcpNet({ magic: NetworkProfiles.get(NetworkProfiles.TESTNET).magic });
+        testnet.sendToConnection({ port }, "OTHER", {});
+        setTimeout(() => {
+          testnet.close();
+          sender.sendToConnection({ port }, "SAME", {});
+        }, 100);
+        return received;
+      }).then((messages) => {
+        assert.deepEqual(messages.map((m) => m.msg), ["SAME"]);
+      });
+    });
+
+    it("should log and keep going when handling a message throws.", () => {
+      let logged = [];
+      receiver.log = (s) => logged.push(s);
+      return freePort().then((port) => new Promise((resolve) => {
+        receiver.listen(port, (msg, o) => {
+          if (msg === "GOOD") resolve();
+          PrimeBlockchain.deserializeBlock(o);
+        });
+        sender.sendToConnection({ port }, "BAD", { chainLength: 1 });
+        sender.sendToConnection({ port }, "GOOD", null);
+      })).then(() => {
+        assert.lengthOf(logged.filter((s) => s.startsWith("Ignoring bad BAD message")), 1);
+      });
+    });
+
+    it("should drop messages for unknown addresses.", () => {
+      let logged = [];
+      sender.log = (s) => logged.push(s);
+      sender.sendMessage("nobody", "LOST", {});
+      assert.deepEqual(logged, ["Dropping LOST message for unknown address nobody."]);
+      assert.equal(sender.peers.size, 0);
+    });
+  });
+});
+
+describe('AddressBook', () => {
+  describe('#add', () => {
+    it("should forget the stalest peer when full.", () => {
+      let book = new AddressBook({ maxSize: 2 });
+      assert.isTrue(book.add({ port: 9000 }));
+      assert.isTrue(book.add({ hostname: "localhost", port: 9001 }));
+      assert.isFalse(book.add({ host: "localhost", port: 9000 }));
+      book.markSeen({ port: 9000 }, 10);
+      book.markSeen({ port: 9001 }, 5);
+
+      book.add({ port: 9002 });
+      assert.equal(book.size, 2);
+      assert.isTrue(book.has({ port: 9000 }));
+      assert.isFalse(book.has({ port: 9001 }));
+    });
+  });
+
+  describe('#startPingRound', () => {
+    it("should drop peers that miss too many pings in a row.", () => {
+      let book = new AddressBook({ maxMissedPings: 2 });
+      book.add({ port: 9000 });
+      book.add({ port: 9001 });
+
+      assert.lengthOf(book.startPingRound(), 0);
+      book.markSeen({ port: 9000 });
+      assert.lengthOf(book.startPingRound(), 0);
+      book.markSeen({ port: 9000 });
+      let dropped = book.startPingRound();
+
+      assert.deepEqual(dropped.map((peer) => peer.connection.port), [9001]);
+      assert.deepEqual(book.connections().map((c) => c.port), [9000]);
+    });
+  });
+
+  describe('#toJSON', () => {
+    it("should restore the same peers.", () => {
+      let book = new AddressBook();
+      book.add({ port: 9000 }, "abc");
+      book.markSeen({ port: 9000 }, 42);
+      let copy = new AddressBook({ entries: JSON.parse(JSON.stringify(book)) });
+      assert.deepEqual(copy.toJSON(), book.toJSON());
+    });
+  });
+});
+
+describe('TcpPrimeMiner', function() {
+  this.timeout(30000);
+
+  describe('#saveJson', () => {
+    it("should save the address book.", () => {
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcpPrimeMiner-'));
+      let fileName = path.join(dir, 'config.json');
+      try {
+        let miner = new TcpPrimeMiner({name: "Minnie", keyPair: kp, connection: { port: 9000 }, startingBlock: new PrimeBlock("8e7912")});
+        miner.knownMiners = [];
+        miner.addPeer({ port: 9001 }, "abc");
+        miner.addPeer({ port: 9000 });
+        miner.saveJson(fileName);
+
+        let config = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+        let restored = new TcpPrimeMiner({name: "Minnie", keyPair: kp, connection: { port: 9000 }, startingBlock: new PrimeBlock("8e7912"), addressBook: config.addressBook});
+        assert.deepEqual(restored.addressBook.connections(), [{ port: 9001 }]);
+        assert.equal(config.network, PrimeBlockchain.NETWORK);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('#joinNetwork', () => {
+    it("should start the JSON-RPC server when one is configured.", () => {
+      return freePort().then((port) => {
+        let miner = new TcpPrimeMiner({name: "Minnie", keyPair: kp, connection: { port }, startingBlock: new PrimeBlock("8e7912"), rpc: { port: 0 }});
+        miner.log = function(){};
+        miner.addPeer({ port: port + 1 }, "abc");
+        return miner.joinNetwork([]).then(() => {
+          let rpcPort = miner.rpcServer.server.address().port;
+          return new Promise((resolve, reject) => {
+            let req = http.request({ host: "127.0.0.1", port: rpcPort, method: "POST" }, (res) => {
+              let chunks = [];
+              res.on('data', (chunk) => chunks.push(chunk));
+              res.on('end', () => resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))));
+            });
+            req.on('error', reject);
+            req.end(JSON.stringify({ jsonrpc: "2.0", id: 1, method: "getPeers" }));
+          });
+        }).then(({ result }) => {
+          assert.deepEqual(result.map((peer) => peer.address), ["abc"]);
+        }).finally(() => miner.leaveNetwork());
+      });
+    });
+  });
+
+  describe('#exchangePeers', () => {
+    // Runs a miner in its own process that only networks, without mining,
+    // and prints the ports of its peers whenever they change.
+    const NODE_SCRIPT = `
+      const { Transaction, utils } = require('spartan-gold');
+      const PrimeBlockchain = require('./primeBlockchain.js');
+      const PrimeBlock = require('./primeBlock.js');
+      const TcpPrimeMiner = require('./tcpPrimeMiner.js');
+      let [port, ...seeds] = process.argv.slice(1).map(Number);
+      let genesis = PrimeBlockchain.makeGenesis({ blockClass: PrimeBlock, transactionClass: Transaction });
+      let miner = new TcpPrimeMiner({ name: String(port), keyPair: utils.generateKeypair(),
+        connection: { port }, startingBlock: genesis, peerExchangeInterval: 100 });
+      miner.log = function(){};
+      miner.joinNetwork(seeds.map((p) => ({ port: p })));
+      let last;
+      setInterval(() => {
+        let peers = miner.addressBook.connections().map((c) => c.port).sort();
+        let clients = Array.from(miner.net.clients.values()).map((c) => c.connection.port).sort();
+        let line = JSON.stringify({ peers, clients });
+        if (line !== last) console.log(last = line);
+      }, 50);
+    `;
+
+    let nodes = [];
+    afterEach(() => {
+      nodes.forEach((node) => node.kill());
+      nodes = [];
+    });
+
+    // Starts a node and keeps track of the peers it last reported.
+    function startNode(port, seeds) {
+      let node = spawn(process.execPath, ['-e', NODE_SCRIPT, port, ...seeds], { cwd: __dirname });
+      node.state = { peers: [], clients: [] };
+      let output = "";
+      node.stdout.on('data', (chunk) => {
+        output += chunk;
+        let lines = output.split('\n');
+        output = lines.pop();
+        lines.forEach((line) => node.state = JSON.parse(line));
+      });
+      nodes.push(node);
+      return node;
+    }
+
+    it("should connect a node that knows one seed to the whole mesh, and drop dead peers.", () => {
+      let ports;
+      let newcomer;
+      return Promise.all([freePort(), freePort(), freePort(), freePort()]).then((p) => {
+        ports = Array.from(new Set(p));
+        assert.lengthOf(ports, 4);
+        startNode(ports[0], []);
+        startNode(ports[1], [ports[0]]);
+        startNode(ports[2], [ports[1]]);
+        newcomer = startNode(ports[3], [ports[2]]);
+
+        let others = ports.slice(0, 3).sort();
+        return waitFor(() => JSON.stringify(newcomer.state.peers) === JSON.stringify(others) &&
+          JSON.stringify(newcomer.state.clients) === JSON.stringify(others));
+      }).then(() => {
+        return waitFor(() => nodes.every((node) => node.state.clients.length === 3));
+      }).then(() => {
+        nodes[0].kill();
+        return waitFor(() => !newcomer.state.peers.includes(ports[0]) && !newcomer.state.clients.includes(ports[0]));
+      });
+    });
+  });
+});
+
+// Resolves once check passes, polling every 50 milliseconds.
+function waitFor(check) {
+  return new Promise((resolve) => {
+    let timer = setInterval(() => {
+      if (check()) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 50);
+  });
+}
+
+// Makes a miner on its own network with a chain of the given length.
+function makeMinedChain(genesis, length) {
+  let fakeNet = new FakeNet();
+  let miner = new PrimeMiner({name: "Minnie", net: fakeNet, startingBlock: genesis});
+  miner.log = function(){};
+  for (let i = 0; i < length; i++) {
+    let b = new PrimeBlock(addr, miner.lastBlock, EASY_POW_TARGET);
+    b.timestamp = genesis.timestamp + i + 1;
+    miner.currentBlock = b;
+    miner.findProof(true);
+  }
+  fakeNet.register(miner);
+  return { fakeNet, miner };
+}
+
+describe('ChainSync', function() {
+  this.timeout(20000);
+
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500] ]);
+  let syncSettings = { maxHeaders: 3, maxBlocks: 2, headTimeout: 50, validationThreads: 1 };
+
+  describe('#start', () => {
+    it("should download a longer chain in batches.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 7);
+      let clint = new PrimeClient({name: "Clint", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      clint.log = function(){};
+      fakeNet.register(clint);
+
+      let done = clint.startSync();
+      assert.isTrue(clint.syncing);
+      return done.then(() => {
+        assert.isFalse(clint.syncing);
+        assert.equal(clint.lastBlock.id, miner.lastBlock.id);
+        assert.equal(clint.blocks.size, 8);
+        assert.equal(clint.lastBlock.balanceOf(addr), miner.lastBlock.balanceOf(addr));
+      });
+    });
+
+    it("should finish without changes when no peer has more work.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 2);
+      let clint = new PrimeClient({name: "Clint", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      clint.log = function(){};
+      fakeNet.register(clint);
+      [...miner.blocks.values()].forEach((b) => clint.receiveBlock(b));
+
+      return miner.startSync().then(() => {
+        assert.equal(miner.lastBlock.id, clint.lastBlock.id);
+        assert.equal(miner.blocks.size, 3);
+      });
+    });
+
+    it("should keep its head if a downloaded block has an invalid proof.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 3);
+      let bad = new PrimeBlock(addr, miner.lastBlock, EASY_POW_TARGET);
+      bad.primeMultiplier = Prime.BI_BASE_PRIMORIAL;
+      bad.primeChainLength = 5;
+      bad.totalWork = miner.lastBlock.totalWork + PrimeDifficulty.blockWork(bad);
+      miner.blocks.set(bad.id, bad);
+      miner.lastBlock = bad;
+
+      let clint = new PrimeClient({name: "Clint", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      clint.log = function(){};
+      fakeNet.register(clint);
+
+      return clint.startSync().then(() => {
+        assert.isFalse(clint.blocks.has(bad.id));
+        assert.equal(clint.lastBlock.id, bad.prevBlockHash);
+      });
+    });
+
+    it("should give up on a peer that claims more work than its chain has.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 2);
+      miner.chainSync.provideHead = ({from}) => {
+        fakeNet.sendMessage(from, ChainSync.HEAD, { from: miner.address, id: miner.lastBlock.id,
+          chainLength: 1000, totalWork: miner.lastBlock.totalWork * 1000 });
+      };
+      let requests = 0;
+      miner.on(ChainSync.GET_HEADERS, () => requests++);
+
+      // Clint's own chain has more work than the miner's, so the
+      // miner's blocks never become the head.
+      let clint = new PrimeClient({name: "Clint", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      clint.log = function(){};
+      fakeNet.register(clint);
+      let other = makeMinedChain(genesis, 0).miner;
+      for (let i = 0; i < 3; i++) {
+        other.currentBlock = new PrimeBlock("ffff", other.lastBlock, EASY_POW_TARGET);
+        other.findProof(true);
+      }
+      other.blocks.forEach((b) => clint.receiveBlock(b));
+      let head = clint.lastBlock;
+
+      return clint.startSync().then(() => {
+        assert.isFalse(clint.syncing);
+        assert.equal(clint.lastBlock, head);
+        assert.isTrue(clint.blocks.has(miner.lastBlock.id));
+        assert.equal(requests, 2);
+      });
+    });
+
+    it("should not request blocks for made-up headers.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 3);
+      miner.chainSync.provideHeaders = ({from}) => {
+        // Real headers with their timestamps changed, linked by made-up ids
+        let prevBlockHash = genesis.id;
+        let headers = miner.chainSync.bestChain().slice(1).map((b, i) => {
+          let header = BlockHeader.fromBlock(b).toJSON();
+          header.timestamp += 1000;
+          header.prevBlockHash = prevBlockHash;
+          header.id = prevBlockHash = utils.hash(`made up ${i}`);
+          return header;
+        });
+        fakeNet.sendMessage(from, ChainSync.HEADERS, { from: miner.address, headers });
+      };
+      let blockRequests = 0;
+      miner.on(ChainSync.GET_BLOCKS, () => blockRequests++);
+
+      let clint = new PrimeClient({name: "Clint", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      clint.log = function(){};
+      fakeNet.register(clint);
+
+      return clint.startSync().then(() => {
+        assert.equal(blockRequests, 0);
+        assert.equal(clint.lastBlock, clint.blocks.get(genesis.id));
+      });
+    });
   });
 
-  describe('#hasValidProof', () => {
-    it("should not accept faulty proof certificate (negative multiplier, short chain length).", () => {
-      let b = new PrimeBlock(addr, prevBlock);
+  describe('#checkPeer', () => {
+    it("should start syncing when a peer has more work, and pause mining until done.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 4);
+      let late = new PrimeMiner({name: "Donald", net: fakeNet, startingBlock: genesis, sync: syncSettings});
+      late.log = function(){};
+      fakeNet.register(late);
 
-      b.primeMultiplier = new BigInteger("0");
-      b.primeChainLength = 0;
+      late.currentBlock = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      late.chainSync.checkPeer(miner.address);
+      return new Promise((resolve) => late.once(ChainSync.SYNC_DONE, resolve)).then(() => {
+        assert.equal(late.lastBlock.id, miner.lastBlock.id);
+        // The head changed during the sync, so the miner moved on to a new block
+        assert.equal(late.currentBlock.prevBlockHash, miner.lastBlock.id);
+      });
+    });
 
-      assert.isFalse(b.hasValidProof());
-    }); 
+    it("should not mine while syncing.", () => {
+      let { miner } = makeMinedChain(genesis, 0);
+      miner.chainSync.begin();
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      assert.isFalse(miner.blocks.has(b.id));
+      assert.equal(b.primeChainLength, 0);
+      miner.chainSync.finish();
+    });
+  });
+});
+
+describe('PrimeLightClient', function() {
+  this.timeout(20000);
+
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500], ["ffff", 100] ]);
+  let syncSettings = { maxHeaders: 3, maxBlocks: 2, headTimeout: 50, validationThreads: 0 };
+
+  function makeLightClient(fakeNet) {
+    let light = new PrimeLightClient({name: "Lucy", net: fakeNet, startingBlock: genesis, sync: syncSettings, proofTimeout: 200});
+    light.log = function(){};
+    fakeNet.register(light);
+    return light;
+  }
+
+  describe('#startSync', () => {
+    it("should follow the best chain keeping only headers.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 5);
+      let light = makeLightClient(fakeNet);
+
+      return light.startSync().then(() => {
+        assert.equal(light.lastBlock.id, miner.lastBlock.id);
+        assert.equal(light.lastBlock.totalWork, miner.lastBlock.totalWork);
+        assert.equal(light.blocks.size, 6);
+        assert.instanceOf(light.lastBlock, BlockHeader);
+        assert.isUndefined(light.lastBlock.transactions);
+        assert.isUndefined(light.lastBlock.balances);
+      });
+    });
+
+    it("should not answer requests for its chain.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 2);
+      let light = makeLightClient(fakeNet);
+      return light.startSync().then(() => {
+        // A network where the light client is the only peer
+        let lightOnly = new FakeNet();
+        let clint = new PrimeClient({name: "Clint", net: lightOnly, startingBlock: genesis, sync: syncSettings});
+        clint.log = function(){};
+        lightOnly.register(light, clint);
+        return clint.startSync().then(() => {
+          assert.equal(clint.lastBlock, clint.blocks.get(genesis.id));
+          assert.equal(light.lastBlock.id, miner.lastBlock.id);
+        });
+      });
+    });
+  });
+
+  describe('#receiveBlock', () => {
+    it("should accept a valid block and reject one without a valid proof.", () => {
+      let { miner } = makeMinedChain(genesis, 0);
+      let light = makeLightClient(new FakeNet());
+
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      let header = light.receiveBlock(JSON.parse(b.serialize()));
+      assert.equal(header.id, b.id);
+      assert.equal(header.headerHash, b.hashHeader());
+      assert.equal(light.lastBlock, header);
+
+      let bad = new PrimeBlock(addr, b, EASY_POW_TARGET);
+      assert.isNull(light.receiveBlock(bad));
+      assert.isFalse(light.blocks.has(bad.id));
+      assert.equal(light.lastBlock, header);
+    });
+  });
+
+  describe('#requestTransactionProof', () => {
+    let t = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 0});
+    t.sign(kp.private);
+
+    it("should resolve with the block including the transaction.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 1);
+      let b = new PrimeBlock(addr, miner.lastBlock, EASY_POW_TARGET);
+      b.addTransaction(t);
+      miner.currentBlock = b;
+      miner.findProof(true);
+      miner.currentBlock = new PrimeBlock(addr, b, EASY_POW_TARGET);
+      miner.findProof(true);
+
+      let light = makeLightClient(fakeNet);
+      return light.startSync().then(() => light.requestTransactionProof(t.id)).then((proof) => {
+        assert.equal(proof.header.id, b.id);
+        assert.equal(proof.transaction.id, t.id);
+        assert.equal(proof.confirmations, 1);
+      });
+    });
+
+    it("should resolve with null if no peer can prove the transaction.", () => {
+      let { fakeNet, miner } = makeMinedChain(genesis, 2);
+      let light = makeLightClient(fakeNet);
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      b.addTransaction(t);
+
+      return light.startSync().then(() => {
+        // The miner claims the transaction is in its head, with a proof
+        // from a block the light client never accepted
+        miner.chainSync.provideTransactionProof = ({from, txId}) => {
+          fakeNet.sendMessage(from, ChainSync.TX_PROOF, {
+            from: miner.address,
+            txId,
+            blockId: miner.lastBlock.id,
+            transaction: t,
+            proof: b.proveTransaction(txId),
+          });
+        };
+        return light.requestTransactionProof(t.id);
+      }).then((proof) => {
+        assert.isNull(proof);
+      });
+    });
+  });
+});
+
+describe('PrimePool', function() {
+  this.timeout(60000);
+
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500] ]);
+
+  // Shares can only fall short of a block above the lowest target, and a
+  // shallow confirmation depth lets the rewards be paid out quickly.
+  let saved;
+  before(() => {
+    saved = Object.assign({}, PrimeBlockchain.cfg);
+    PrimeBlockchain.cfg.powTarget = 2;
+    PrimeBlockchain.cfg.confirmedDepth = 1;
+  });
+  after(() => {
+    PrimeBlockchain.cfg.powTarget = saved.powTarget;
+    PrimeBlockchain.cfg.confirmedDepth = saved.confirmedDepth;
+  });
+
+  // Finds a multiplier in a range whose chain passes check.
+  function findShare(job, {start, end}, check) {
+    let blockHeaderHash = BigNum.from(job.headerHash, 16);
+    for (let i = start; i < end; i++) {
+      let multiplier = Prime.BI_BASE_PRIMORIAL.multiply(BigNum.from(i));
+      let { chainLength, chainType } = Prime.findPrimeChain(blockHeaderHash.multiply(multiplier), job.target);
+      if (check(chainLength)) {
+        return { multiplier: multiplier.toString(), chainType };
+      }
+    }
+  }
+
+  describe('.splitReward', () => {
+    it("should split a reward in proportion to shares, rounding down.", () => {
+      let shares = new Map([ ["aaaa", 1], ["bbbb", 2], ["cccc", 0] ]);
+      assert.deepEqual(PrimePool.splitReward(24, shares), [ {amount: 8, address: "aaaa"}, {amount: 16, address: "bbbb"} ]);
+      assert.deepEqual(PrimePool.splitReward(10, shares), [ {amount: 3, address: "aaaa"}, {amount: 6, address: "bbbb"} ]);
+      assert.deepEqual(PrimePool.splitReward(10, new Map()), []);
+    });
+  });
+
+  describe('#receiveShare', () => {
+    it("should count valid shares and reject stale, duplicate, short and out of range ones.", () => {
+      let fakeNet = new FakeNet();
+      let pool = new PrimePool({name: "Pauline", net: fakeNet, startingBlock: genesis});
+      let mina = new PrimeClient({name: "Mina", net: fakeNet, startingBlock: genesis});
+      pool.log = function(){};
+      fakeNet.register(pool, mina);
+      let results = [];
+      mina.on(PrimePool.SHARE_RESULT, (o) => results.push(o));
+
+      pool.startNewSearch();
+      return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+        pool.provideJob({from: mina.address});
+        let job = pool.job;
+        let range = job.ranges.get(mina.address)[0];
+        assert.equal(job.target, 2);
+        assert.equal(job.shareTarget, 1);
+
+        let isShare = (chainLength) => chainLength >= job.shareTarget && chainLength < job.target;
+        let share = findShare(job, range, isShare);
+        let short = findShare(job, range, (chainLength) => chainLength < job.shareTarget);
+        let outside = findShare(job, { start: range.end, end: range.end + 1000 }, isShare);
+        let submit = (s, jobId=job.jobId) => pool.receiveShare(Object.assign({ from: mina.address, jobId }, s));
+
+        assert.isTrue(submit(share));
+        assert.isFalse(submit(share));
+        assert.isFalse(submit(short));
+        assert.isFalse(submit(outside));
+        assert.isFalse(submit(share, job.jobId + 1));
+        assert.isFalse(submit({ multiplier: "211", chainType: share.chainType }));
+        assert.equal(pool.roundShares.get(mina.address), 1);
+        return new Promise((resolve) => setTimeout(resolve, 0));
+      }).then(() => {
+        assert.deepEqual(results.map((r) => r.reason), [undefined, "duplicate share", "chain too short",
+          "multiplier outside assigned range", "stale job", "malformed multiplier"]);
+      });
+    });
+  });
+
+  describe('PoolMiner', () => {
+    it("should mine shares for the pool and be paid in proportion to them.", () => {
+      let fakeNet = new FakeNet();
+      let sync = { headTimeout: 10 };
+      let pool = new PrimePool({name: "Pauline", net: fakeNet, startingBlock: genesis, sync});
+      let miners = ["Mina", "Milo"].map((name) =>
+        new PoolMiner({name, net: fakeNet, startingBlock: genesis, pool: pool.address, miningRounds: 20, sync}));
+      [pool, ...miners].forEach((m) => m.log = function(){});
+      fakeNet.register(pool, ...miners);
+      [pool, ...miners].forEach((m) => m.initialize());
+
+      let payout;
+      return waitFor(() => pool.payouts.length > 0).then(() => {
+        payout = pool.payouts[0];
+        let reward = pool.blocks.get(payout.blockId).totalRewards() - PrimeBlockchain.DEFAULT_TX_FEE;
+        let total = Object.values(payout.shares).reduce((acc, count) => acc + count, 0);
+        assert.isAbove(payout.outputs.length, 0);
+        payout.outputs.forEach(({amount, address}) => {
+          assert.include(miners.map((m) => m.address), address);
+          assert.equal(amount, Math.floor(reward * payout.shares[address] / total));
+        });
+
+        // The miners see the payout once the pool includes it in a block
+        return waitFor(() => payout.outputs.every(({amount, address}) =>
+          miners.every((m) => m.lastBlock.balanceOf(address) >= amount)));
+      }).then(() => {
+        miners.forEach((m) => m.removeAllListeners(PrimeBlockchain.START_MINING));
+        assert.isAbove(miners[0].shareStats.accepted + miners[1].shareStats.accepted, 0);
+      });
+    });
+  });
+});
+
+describe('RpcServer', function() {
+  this.timeout(20000);
+
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500], ["ffff", 100] ]);
+
+  let miner, server, port;
+  beforeEach(() => {
+    ({ miner } = makeMinedChain(genesis, 3));
+    server = new RpcServer(miner);
+    return server.listen().then((p) => port = p);
+  });
+
+  afterEach(() => server.close());
+
+  // Posts a body to the server, resolving with the status and parsed response.
+  function post(body) {
+    return new Promise((resolve, reject) => {
+      let req = http.request({ host: "127.0.0.1", port, method: "POST" }, (res) => {
+        let chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          let text = Buffer.concat(chunks).toString('utf8');
+          resolve({ status: res.statusCode, body: text === "" ? undefined : JSON.parse(text) });
+        });
+      });
+      req.on('error', reject);
+      req.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  }
+
+  function call(method, params) {
+    return post({ jsonrpc: "2.0", id: 1, method, params }).then(({ body }) => body);
+  }
+
+  it("should report the head and find blocks by hash and height.", () => {
+    return call("getHead").then(({ result }) => {
+      assert.equal(result.id, miner.lastBlock.id);
+      assert.equal(result.chainLength, 3);
+      assert.equal(result.totalWork, miner.lastBlock.totalWork);
+      return call("getBlock", { height: 1 });
+    }).then(({ result }) => {
+      let block = miner.lastBlock;
+      while (block.chainLength > 1) block = miner.blocks.get(block.prevBlockHash);
+      assert.equal(result.id, block.id);
+      assert.equal(PrimeBlockchain.deserializeBlock(result).id, block.id);
+      return call("getBlock", { hash: miner.lastBlock.id });
+    }).then(({ result }) => {
+      assert.equal(result.chainLength, 3);
+      return call("getBlock", { hash: "nope" });
+    }).then(({ result }) => {
+      assert.isNull(result);
+    });
+  });
+
+  it("should report balances, peers, mining status and prime chains.", () => {
+    return call("getBalance", { address: "ffff" }).then(({ result }) => {
+      assert.equal(result.balance, 100);
+      return call("getPeers");
+    }).then(({ result }) => {
+      assert.deepEqual(result, []);
+      return call("getMiningStatus");
+    }).then(({ result }) => {
+      assert.isTrue(result.mining);
+      assert.isFalse(result.syncing);
+      assert.isAtLeast(result.chainTests, 3);
+      assert.isAtLeast(result.chainTestsPerSecond, 0);
+      return call("getPrimeChains");
+    }).then(({ result }) => {
+      assert.lengthOf(result, miner.primeChains.length);
+      assert.equal(result[1].blockHeaderHash, miner.primeChains[1].blockHeaderHash);
+    });
+  });
+
+  it("should accept a signed transaction and list it as pending.", () => {
+    let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 0});
+    tx.sign(kp.private);
+    let unsigned = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 0});
+
+    return call("sendTransaction", { transaction: unsigned }).then(({ error }) => {
+      assert.equal(error.code, RpcServer.INVALID_PARAMS);
+      return call("sendTransaction", { transaction: tx });
+    }).then(({ result }) => {
+      assert.equal(result.id, tx.id);
+      assert.isTrue(miner.currentBlock.transactions.has(tx.id));
+      return call("getPendingTransactions");
+    }).then(({ result }) => {
+      assert.deepEqual(result.map((o) => new Transaction(o).id), [tx.id]);
+    });
+  });
+
+  it("should generate blocks on regtest only.", () => {
+    let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 0});
+    tx.sign(kp.private);
+
+    let network = PrimeBlockchain.cfg.network;
+    return call("generate", { count: 2 }).then(({ error }) => {
+      assert.equal(error.code, RpcServer.METHOD_NOT_FOUND);
+      PrimeBlockchain.cfg.network = NetworkProfiles.REGTEST;
+      return call("generate", { count: 0 });
+    }).then(({ error }) => {
+      assert.equal(error.code, RpcServer.INVALID_PARAMS);
+      return call("generate", { count: 2, address: "ffff" });
+    }).then(({ result }) => {
+      assert.lengthOf(result, 2);
+      assert.equal(miner.lastBlock.id, result[1]);
+      assert.equal(miner.lastBlock.chainLength, 5);
+      assert.equal(miner.lastBlock.balanceOf("ffff"), 100 + PrimeBlockchain.COINBASE_AMT_ALLOWED);
+      return call("generateBlock", { transactions: [tx] });
+    }).then(({ result }) => {
+      assert.equal(result.id, miner.lastBlock.id);
+      assert.equal(result.chainLength, 6);
+      assert.deepEqual(result.transactions.map(([id]) => id), [tx.id]);
+      return call("generateBlock", { transactions: [tx] });
+    }).then(({ error }) => {
+      assert.equal(error.code, RpcServer.INVALID_PARAMS);
+    }).finally(() => {
+      PrimeBlockchain.cfg.network = network;
+    });
+  });
+
+  it("should answer batches and report JSON-RPC errors.", () => {
+    return post([
+      { jsonrpc: "2.0", id: 1, method: "getHead" },
+      { jsonrpc: "2.0", id: 2, method: "mine" },
+      { jsonrpc: "2.0", method: "getHead" },
+      { jsonrpc: "2.0", id: 3, method: "getBlock", params: {} },
+      { id: 4 },
+    ]).then(({ body }) => {
+      assert.deepEqual(body.map((r) => r.id), [1, 2, 3, null]);
+      assert.equal(body[0].result.id, miner.lastBlock.id);
+      assert.equal(body[1].error.code, RpcServer.METHOD_NOT_FOUND);
+      assert.equal(body[2].error.code, RpcServer.INVALID_PARAMS);
+      assert.equal(body[3].error.code, RpcServer.INVALID_REQUEST);
+      return post("{not json");
+    }).then(({ body }) => {
+      assert.equal(body.error.code, RpcServer.PARSE_ERROR);
+      return post({ jsonrpc: "2.0", method: "getHead" });
+    }).then(({ status, body }) => {
+      assert.equal(status, 204);
+      assert.isUndefined(body);
+    });
+  });
+});
+
+describe('CommandLine', () => {
+  describe('.parse', () => {
+    it("should read options, with or without an equals sign.", () => {
+      let options = CommandLine.parse(["--headless", "--port", "9000", "--peers=example.com:9001,9002",
+        "--threads", "2", "--export-primes", "primes.json", "--log-level=debug", "config.json"]);
+      assert.isTrue(options.headless);
+      assert.isFalse(options.help);
+      assert.equal(options.port, 9000);
+      assert.deepEqual(options.peers, [{ host: "example.com", port: 9001 }, { port: 9002 }]);
+      assert.equal(options.threads, 2);
+      assert.equal(options.exportPrimes, "primes.json");
+      assert.equal(options.logLevel, "debug");
+      assert.equal(options.configFile, "config.json");
+    });
+
+    it("should read the chain log options.", () => {
+      let options = CommandLine.parse(["--chain-log", "chains.log", "--chain-log-threshold=2.5"]);
+      assert.equal(options.chainLog, "chains.log");
+      assert.strictEqual(options.chainLogThreshold, 2.5);
+    });
+
+    it("should leave out options that were not given.", () => {
+      let options = CommandLine.parse([]);
+      assert.isFalse(options.headless);
+      assert.isUndefined(options.port);
+      assert.isUndefined(options.configFile);
+      assert.isTrue(CommandLine.parse(["-h"]).help);
+    });
+
+    it("should reject unknown options and bad values as usage errors.", () => {
+      [
+        ["--bogus"],
+        ["--port"],
+        ["--port", "http"],
+        ["--port", "70000"],
+        ["--threads", "-1"],
+        ["--log-level", "loud"],
+        ["--chain-log-threshold", "0"],
+        ["--peers", "example.com:"],
+        ["a.json", "b.json"],
+      ].forEach((args) => {
+        assert.throws(() => CommandLine.parse(args), Error);
+        try {
+          CommandLine.parse(args);
+        } catch (err) {
+          assert.isTrue(err.usage, args.join(" "));
+        }
+      });
+    });
+  });
+});
+
+describe('Logger', () => {
+  it("should write JSON lines at or above its level.", () => {
+    let lines = [];
+    let stream = { write: (s) => lines.push(s) };
+    let logger = new Logger({ name: "Minnie", level: "warn", stream });
+    logger.error("broken", { code: 3 });
+    logger.warn("odd");
+    logger.info("fine");
+    logger.debug("detail");
+
+    assert.lengthOf(lines, 2);
+    let first = JSON.parse(lines[0]);
+    assert.equal(first.level, "error");
+    assert.equal(first.name, "Minnie");
+    assert.equal(first.msg, "broken");
+    assert.equal(first.code, 3);
+    assert.isString(first.time);
+    assert.equal(JSON.parse(lines[1]).msg, "odd");
+    assert.throws(() => new Logger({ level: "loud" }));
+  });
+});
+
+describe('tcpPrimeMiner.js', function() {
+  this.timeout(20000);
+
+  // Runs the script, resolving with its exit code and output. If
+  // untilLine is given, the script is stopped with SIGTERM once a line
+  // of output contains it.
+  function run(args, untilLine) {
+    return new Promise((resolve) => {
+      let child = spawn(process.execPath, ['tcpPrimeMiner.js', ...args], { cwd: __dirname, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = "";
+      let stderr = "";
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+        if (untilLine && stdout.includes(untilLine)) {
+          untilLine = undefined;
+          child.kill('SIGTERM');
+        }
+      });
+      child.stderr.on('data', (chunk) => stderr += chunk);
+      child.on('exit', (code) => resolve({ code, stdout, stderr }));
+    });
+  }
+
+  it("should show the usage with --help and exit with 0.", () => {
+    return run(["--help"]).then(({ code, stdout }) => {
+      assert.equal(code, CommandLine.EXIT_OK);
+      assert.include(stdout, "--export-primes");
+    });
+  });
+
+  it("should exit with the usage error code for a bad command line.", () => {
+    return run(["--bogus"]).then(({ code, stderr }) => {
+      assert.equal(code, CommandLine.EXIT_USAGE);
+      assert.include(stderr, "Unknown option --bogus.");
+      return run(["--headless"]);
+    }).then(({ code, stderr }) => {
+      assert.equal(code, CommandLine.EXIT_USAGE);
+      assert.include(stderr, "No port to listen on");
+      return run(["missing.json"]);
+    }).then(({ code }) => {
+      assert.equal(code, CommandLine.EXIT_FAILURE);
+    });
+  });
+
+  it("should run headless with JSON logs and export prime chains on exit.", () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcpPrimeMiner-'));
+    let fileName = path.join(dir, 'primes.json');
+    return freePort().then((port) => {
+      return run(["--headless", "--port", String(port), "--export-primes", fileName], "Listening for miners");
+    }).then(({ code, stdout }) => {
+      assert.equal(code, CommandLine.EXIT_OK);
+      let lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+      assert.equal(lines[0].level, "info");
+      assert.include(lines.map((line) => line.msg), "Shutting down on SIGTERM");
+      assert.isArray(JSON.parse(fs.readFileSync(fileName, 'utf8')));
+    }).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it("should start on the network named in its config.", () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcpPrimeMiner-'));
+    let fileName = path.join(dir, 'config.json');
+    return freePort().then((port) => {
+      fs.writeFileSync(fileName, JSON.stringify({ connection: { port }, network: NetworkProfiles.REGTEST }));
+      return run(["--headless", fileName], "Listening for miners");
+    }).then(({ code, stdout }) => {
+      assert.equal(code, CommandLine.EXIT_OK);
+      let lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+      assert.equal(lines[0].network, NetworkProfiles.REGTEST);
+      fs.writeFileSync(fileName, JSON.stringify({ connection: { port: 0 }, network: "devnet" }));
+      return run(["--headless", fileName]);
+    }).then(({ code, stderr }) => {
+      assert.equal(code, CommandLine.EXIT_USAGE);
+      assert.include(stderr, "Unknown network devnet");
+    }).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+});
+
+describe('PrimeWorkerPool', function() {
+  // Starting worker threads takes a moment.
+  this.timeout(20000);
+
+  let headerHash = new BigInteger(utils.hash("workers"), 16).setBit(255).toString(16);
+
+  describe('#search', () => {
+    it("should report the first proof found for the current search only.", () => {
+      let pool = new PrimeWorkerPool({threads: 2, sieveSize: 256});
+      let found = new Promise((resolve) => pool.once(PrimeWorkerPool.PROOF_FOUND, resolve));
+
+      // Start a search that will not finish, then replace it with an easy one.
+      pool.search(headerHash, PrimeBlockchain.MAX_PRIME_CHAIN_TARGET);
+      let firstJob = pool.jobId;
+      pool.search(headerHash, EASY_POW_TARGET);
+
+      return found.then((proof) => {
+        assert.notEqual(proof.jobId, firstJob);
+        assert.isAtLeast(proof.chainLength, EASY_POW_TARGET);
+        assert.isFalse(pool.isSearching(headerHash));
+
+        let origin = new BigInteger(headerHash, 16).multiply(new BigInteger(proof.multiplier));
+        assert.equal(Prime.findPrimeChain(origin, EASY_POW_TARGET).chainType, proof.chainType);
+      }).finally(() => pool.terminate());
+    });
+
+    it("should report chains at or above the log threshold.", () => {
+      let pool = new PrimeWorkerPool({threads: 1, sieveSize: 256, logThreshold: 1});
+      let logged = new Promise((resolve) => pool.once(PrimeWorkerPool.CHAIN_FOUND, resolve));
+
+      pool.search(headerHash, 5);
+
+      return logged.then((chain) => {
+        assert.equal(chain.headerHash, headerHash);
+        assert.isAtLeast(chain.chainLength, 1);
+        let origin = new BigInteger(headerHash, 16).multiply(new BigInteger(chain.multiplier));
+        assert.equal(Prime.findPrimeChain(origin, 5).chainLength, chain.chainLength);
+      }).finally(() => pool.terminate());
+    });
+  });
+});
+
+describe('BlockValidator', () => {
+  let genesis = new PrimeBlock("8e7912");
+  genesis.balances = new Map([ [addr, 500], ["ffff", 100] ]);
+  let net = { broadcast: function(){} };
+
+  let miner = new PrimeMiner({name: "Minnie", net: net, startingBlock: genesis});
+  miner.log = function(){};
+
+  // Finds a proof for a block without the miner receiving it, failing
+  // the test instead of searching forever.
+  function mine(b) {
+    let { headerHash, blockHeaderHash } = miner.findHeaderHash(b);
+    let found = miner.searchProof(b, headerHash, blockHeaderHash, PrimeMiner.MAX_GENERATE_ROUNDS);
+    assert.isTrue(found, `No proof found for block ${b.chainLength}.`);
+    return b;
+  }
+
+  // Sends a block to a new client, returning the reasons it was rejected for.
+  function rejections(b, client=new PrimeClient({net: net, startingBlock: genesis})) {
+    client.log = function(){};
+    let reasons = [];
+    client.on(BlockValidator.BLOCK_REJECTED, ({reason}) => reasons.push(reason));
+    assert.isNull(client.receiveBlock(b));
+    return reasons;
+  }
+
+  describe('.checkProof', () => {
+    it("should give the reason a proof is invalid.", () => {
+      let b = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET));
+      assert.isNull(BlockValidator.checkProof(b));
+      let copy = () => PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      let reason = (block) => BlockValidator.checkProof(block).reason;
+
+      let low = copy();
+      while (new BigInteger(low.hashHeader(), 16).compareTo(PrimeBlockchain.BLOCK_HEADER_HASH_MIN) >= 0) {
+        low.primeNonce++;
+      }
+      assert.equal(reason(low), BlockValidator.HEADER_HASH_TOO_LOW);
+
+      let outOfRange = copy();
+      outOfRange.target = PrimeBlockchain.MAX_PRIME_CHAIN_TARGET + 1;
+      miner.findHeaderHash(outOfRange);
+      assert.equal(reason(outOfRange), BlockValidator.TARGET_NOT_ALLOWED);
+
+      let short = copy();
+      short.primeChainLength = EASY_POW_TARGET / 2;
+      assert.equal(reason(short), BlockValidator.CHAIN_TOO_SHORT);
+
+      let multiplier = copy();
+      multiplier.primeMultiplier = multiplier.primeMultiplier.divide(Prime.BI_BASE_PRIMORIAL);
+      assert.equal(reason(multiplier), BlockValidator.BAD_MULTIPLIER);
+
+      let disabled = copy();
+      disabled.primeChainType = ChainTypes.PRIME_TRIPLET;
+      assert.equal(reason(disabled), BlockValidator.BAD_CHAIN_TYPE);
+
+      // Move to an origin whose chain of the claimed length includes a composite
+      let blockHeaderHash = new BigInteger(b.hashHeader(), 16);
+      let composite = copy();
+      do {
+        composite.primeMultiplier = composite.primeMultiplier.add(Prime.BI_BASE_PRIMORIAL);
+      } while (ChainTypes.get(b.primeChainType).build(blockHeaderHash.multiply(composite.primeMultiplier), b.primeChainLength)
+        .every((n) => Prime.fermatPrimalityTest(n)));
+      assert.equal(reason(composite), BlockValidator.COMPOSITE_CHAIN_MEMBER);
+
+      // Same primes, but not the fraction the search finds
+      let length = copy();
+      length.primeChainLength = Number.isInteger(b.primeChainLength) ? b.primeChainLength + 0.5 : Math.floor(b.primeChainLength);
+      assert.equal(reason(length), BlockValidator.BAD_CHAIN_LENGTH);
+    });
+
+    it("should turn down a huge chain length without building the chain.", () => {
+      let b = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET));
+      let longest = ChainTypes.get(b.primeChainType).maxLength(b.target);
+      assert.isAtLeast(longest, b.primeChainLength);
+
+      let huge = PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      huge.primeChainLength = 60000;
+      let start = Date.now();
+      assert.deepEqual(rejections(huge), [BlockValidator.BAD_CHAIN_LENGTH]);
+
+      // Headers from peers during a sync are checked the same way
+      let header = new BlockHeader(Object.assign(BlockHeader.fromBlock(b).toJSON(), { primeChainLength: 60000 }));
+      assert.equal(BlockValidator.checkProof(header).reason, BlockValidator.BAD_CHAIN_LENGTH);
+      assert.isBelow(Date.now() - start, 1000);
+    });
+  });
+
+  describe('.medianTimePast', () => {
+    it("should take the median timestamp of the last blocks.", () => {
+      let blocks = new Map([[genesis.id, genesis]]);
+      let chain = [genesis];
+      [50, 10, 40, 20, 30, 90, 80, 70, 60, 100, 110, 5].forEach((t) => {
+        let b = new PrimeBlock(addr, chain[chain.length - 1], EASY_POW_TARGET);
+        b.timestamp = genesis.timestamp + t;
+        blocks.set(b.id, b);
+        chain.push(b);
+      });
+
+      assert.equal(BlockValidator.medianTimePast(genesis, blocks), genesis.timestamp);
+      assert.equal(BlockValidator.medianTimePast(chain[2], blocks), genesis.timestamp + 10);
+      // Only the last 11 blocks count, leaving out the genesis block and 50
+      assert.equal(PrimeBlockchain.MEDIAN_TIME_SPAN, 11);
+      assert.equal(BlockValidator.medianTimePast(chain[12], blocks), genesis.timestamp + 60);
+    });
+  });
+
+  describe('#receiveBlock', () => {
+    it("should emit BLOCK_ACCEPTED for a valid block and BLOCK_REJECTED with the reason for others.", () => {
+      let c = new PrimeClient({net: net, startingBlock: genesis});
+      c.log = function(){};
+      let accepted = [];
+      c.on(BlockValidator.BLOCK_ACCEPTED, (block) => accepted.push(block));
+
+      let b = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET));
+      assert.equal(c.receiveBlock(b), b);
+      assert.deepEqual(accepted, [b]);
+
+      assert.deepEqual(rejections(b, c), [BlockValidator.DUPLICATE_BLOCK]);
+
+      let bad = PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      bad.primeMultiplier = bad.primeMultiplier.divide(Prime.BI_BASE_PRIMORIAL);
+      assert.deepEqual(rejections(bad), [BlockValidator.BAD_MULTIPLIER]);
+    });
+
+    it("should reject a second proof for a stored block header.", () => {
+      let c = new PrimeClient({net: net, startingBlock: genesis});
+      let b = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET));
+      c.receiveBlock(b);
+
+      let malleated = PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      malleated.primeChainLength = 0;
+      mine(malleated);
+      assert.deepEqual(rejections(malleated, c), [BlockValidator.DUPLICATE_HEADER]);
+    });
+
+    it("should reject blocks that do not follow from their parent.", () => {
+      let tall = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      tall.chainLength = 5;
+      assert.deepEqual(rejections(mine(tall)), [BlockValidator.BAD_HEIGHT]);
+
+      let hard = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET + 1));
+      assert.deepEqual(rejections(hard), [BlockValidator.UNEXPECTED_TARGET]);
+
+      // Skipping addTransaction, which would refuse the wrong nonce
+      let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 20, address: "ffff"}], fee: 1, nonce: 5});
+      tx.sign(kp.private);
+      let invalid = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      invalid.transactions.set(tx.id, tx);
+      assert.deepEqual(rejections(mine(invalid)), [BlockValidator.INVALID_TRANSACTIONS]);
+    });
+
+    it("should reject timestamps not after the median time past or too far ahead of the clock.", () => {
+      let now = genesis.timestamp + 1000;
+      let c = new PrimeClient({net: net, startingBlock: genesis, clock: () => now});
+      c.log = function(){};
+
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      b.timestamp = genesis.timestamp + 10;
+      assert.equal(c.receiveBlock(mine(b)), b);
+
+      // The median of the genesis block and b is b's timestamp
+      let old = new PrimeBlock(addr, b, EASY_POW_TARGET);
+      old.timestamp = b.timestamp;
+      assert.deepEqual(rejections(mine(old), c), [BlockValidator.TIMESTAMP_TOO_OLD]);
+
+      let ahead = new PrimeBlock(addr, b, EASY_POW_TARGET);
+      ahead.timestamp = now + PrimeBlockchain.MAX_FUTURE_DRIFT + 1;
+      assert.deepEqual(rejections(mine(ahead), c), [BlockValidator.TIMESTAMP_IN_FUTURE]);
+
+      // Accepted once the clock catches up
+      now += 1;
+      assert.equal(c.receiveBlock(ahead), ahead);
+    });
+
+    it("should have miners stamp blocks after the median time past when their clock is behind.", () => {
+      let ahead = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      ahead.timestamp = genesis.timestamp + 5000;
+      mine(ahead);
+
+      let m = new PrimeMiner({name: "Mickey", net: net, startingBlock: genesis, clock: () => genesis.timestamp + 5000});
+      m.log = function(){};
+      m.receiveBlock(ahead);
+      m.clock = () => genesis.timestamp;
+      m.startNewSearch();
+      assert.equal(m.currentBlock.timestamp, ahead.timestamp + 1);
+
+      mine(m.currentBlock);
+      let c = new PrimeClient({net: net, startingBlock: genesis, clock: () => genesis.timestamp + 5000});
+      c.receiveBlock(ahead);
+      assert.equal(c.receiveBlock(m.currentBlock), m.currentBlock);
+    });
+
+    it("should keep a block with a missing parent without rejecting it.", () => {
+      let parent = mine(new PrimeBlock(addr, genesis, EASY_POW_TARGET));
+      let child = mine(new PrimeBlock(addr, parent, EASY_POW_TARGET));
+
+      let c = new PrimeClient({net: net, startingBlock: genesis});
+      c.requestMissingBlock = function(){};
+      assert.deepEqual(rejections(child, c), []);
+      assert.isTrue(c.pendingBlocks.has(parent.id));
+
+      c.receiveBlock(parent);
+      assert.equal(c.lastBlock, child);
+    });
   });
 });
 
@@ -191,6 +2402,29 @@ describe('PrimeClient', () => {
   let miner = new PrimeMiner({name: "Minnie", net: net, startingBlock: genesis});
   miner.log = function(){};
 
+  describe('#findProof', function() {
+    // Starting worker threads takes a moment.
+    this.timeout(20000);
+
+    it("should find a valid proof using worker threads.", () => {
+      let announced;
+      let announcements = new Promise((resolve) => announced = resolve);
+      let threadedNet = { broadcast: (msg, block) => announced(block) };
+      let threadedMiner = new PrimeMiner({name: "Mickey", net: threadedNet, startingBlock: genesis, keyPair: kp, threads: 2});
+      threadedMiner.log = function(){};
+
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      threadedMiner.currentBlock = b;
+      threadedMiner.findProof();
+
+      return announcements.then((block) => {
+        assert.equal(block, b);
+        assert.isTrue(b.hasValidProof());
+        assert.equal(threadedMiner.blocks.get(b.id), b);
+      }).finally(() => threadedMiner.stopWorkers());
+    });
+  });
+
   describe('#receiveBlock', () => {
     it("should reject any block without a valid proof.", () => {
       let b = new PrimeBlock(addr, genesis);
@@ -234,6 +2468,82 @@ describe('PrimeClient', () => {
       assert.equal(clint.blocks.get(bAlt.id), bAlt);
       assert.equal(clint.lastBlock, b2);
     });
+
+    it("should pick the same head between forks with equal work, whichever arrives first.", () => {
+      let forks = [t, t2].map((tx) => {
+        let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+        b.addTransaction(tx);
+        miner.currentBlock = b;
+        miner.findProof();
+        return b;
+      });
+      let expected = forks[0].id < forks[1].id ? forks[0] : forks[1];
+
+      [forks, forks.slice().reverse()].forEach((order) => {
+        let c = new PrimeClient({net: net, startingBlock: genesis});
+        c.log = function(){};
+        order.forEach((b) => c.receiveBlock(b));
+        assert.equal(c.lastBlock, expected);
+        assert.equal(c.lastBlock.totalWork, PrimeDifficulty.blockWork(expected));
+      });
+    });
+
+    it("should reject a copy of a stored block with a different proof for the same header.", () => {
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      b.addTransaction(t);
+      miner.currentBlock = b;
+      miner.findProof();
+
+      let c = new PrimeClient({net: net, startingBlock: genesis});
+      c.log = function(){};
+      assert.equal(c.receiveBlock(b), b);
+
+      // Search the same header for another multiplier that holds a chain
+      let malleated = PrimeBlockchain.deserializeBlock(JSON.parse(b.serialize()));
+      let blockHeaderHash = new BigInteger(b.hashHeader(), 16);
+      do {
+        malleated.primeMultiplier = malleated.primeMultiplier.add(Prime.BI_BASE_PRIMORIAL);
+        let proof = Prime.findPrimeChain(blockHeaderHash.multiply(malleated.primeMultiplier), malleated.target);
+        malleated.primeChainLength = proof.chainLength;
+        malleated.primeChainType = proof.chainType;
+      } while (malleated.primeChainLength < malleated.target);
+
+      assert.isTrue(malleated.hasValidProof());
+      assert.equal(malleated.hashHeader(), b.hashHeader());
+      assert.notEqual(malleated.id, b.id);
+      assert.isNull(c.receiveBlock(malleated));
+      assert.isFalse(c.blocks.has(malleated.id));
+      assert.equal(c.lastBlock, b);
+    });
+
+    it("should reject a block whose target does not match the chain's history.", () => {
+      let b = new PrimeBlock(addr, genesis, EASY_POW_TARGET + 1);
+      // Finding a proof.
+      miner.currentBlock = b;
+
+      miner.findProof();
+      // Receiving and verifying block
+      assert.isTrue(b.hasValidProof());
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+  });
+
+  describe('#syncTransactions', () => {
+    it("should keep transactions from a longer chain when switching to a shorter one.", () => {
+      let m = new PrimeMiner({name: "Mickey", net: net, startingBlock: genesis});
+      let a1 = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      a1.addTransaction(t);
+      let a2 = new PrimeBlock(addr, a1, EASY_POW_TARGET);
+      a2.addTransaction(t2);
+      let shorter = new PrimeBlock(addr, genesis, EASY_POW_TARGET);
+      shorter.addTransaction(t);
+      [a1, a2, shorter].forEach((b) => m.blocks.set(b.id, b));
+
+      m.currentBlock = new PrimeBlock(addr, a2, EASY_POW_TARGET);
+      let txSet = m.syncTransactions(shorter);
+      assert.deepEqual([...txSet], [t2]);
+    });
   });
 
   describe('Prime', () => {
@@ -262,6 +2572,79 @@ describe('PrimeClient', () => {
         assert(Prime.eulerLagrangePrimalityTest(prime3, PrimeBlockchain.CUNNINGHAM_CHAIN_1));
         assert.isFalse(Prime.eulerLagrangePrimalityTest(prime2, PrimeBlockchain.CUNNINGHAM_CHAIN_1));
       });
+
+      // The Primecoin mainnet genesis block, block 0 with hash
+      // 963d17ba4dc753138078a2f56afb3af9674e2546822badff26837db9a0152106,
+      // mined with nonce 383 and the multiplier 532541 * 23#. Its origin is
+      // the header hash below times that multiplier. Both
+      // Cunningham chains from its origin have 3 primes, which make the
+      // bitwin chain of length 6 that met the block's target of 6.
+      let primecoinGenesisOrigin = new BigInteger("a6d8ded5409f1d1eb0cc3c54f4dd324258cfb5d54fdd2597b0aa227a517a39f1", 16)
+        .multiply(new BigInteger("118806100082670"));
+      let primecoinChains = [
+        { block: "mainnet genesis block", origin: primecoinGenesisOrigin, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_1, length: 3 },
+        { block: "mainnet genesis block", origin: primecoinGenesisOrigin, chainType: PrimeBlockchain.CUNNINGHAM_CHAIN_2, length: 3 },
+      ];
+
+      primecoinChains.forEach(({block, origin, chainType, length}) => {
+        let first = chainType === PrimeBlockchain.CUNNINGHAM_CHAIN_1 ? origin.subtract(Prime.BI_ONE) : origin.add(Prime.BI_ONE);
+
+        it(`should follow the ${origin.bitLength()} bit ${chainType} of length ${length} in the Primecoin ${block} and stop at its end.`, () => {
+          let n = first;
+          for (let i = 1; i < length; i++) {
+            assert(Prime.eulerLagrangePrimalityTest(n, chainType));
+            n = Prime.nextInChain(n, chainType);
+          }
+          assert.isFalse(Prime.eulerLagrangePrimalityTest(n, chainType));
+          assert.equal(Math.floor(Prime.findCunninghamChain(first, chainType)), length);
+        });
+      });
+
+      it("should find the bitwin chain of the Primecoin mainnet genesis block.", () => {
+        let { chainLength, chainType } = Prime.findPrimeChain(primecoinGenesisOrigin);
+        assert.equal(chainType, PrimeBlockchain.BITWIN_CHAIN);
+        assert.equal(Math.floor(chainLength), 6);
+      });
+    });
+
+    describe('#findCunninghamChain', () => {
+      it("should add the fractional length of the composite that breaks the chain.", () => {
+        // 19, 37, 73 are prime, 145 is not
+        let chainLength = Prime.findCunninghamChain(new BigInteger("19"), PrimeBlockchain.CUNNINGHAM_CHAIN_2);
+        assert.equal(chainLength, 3 + Prime.fractionalLength(new BigInteger("145")));
+        assert(chainLength > 3 && chainLength < 4);
+      });
+
+      it("should stop early once the target is met.", () => {
+        let chainLength = Prime.findCunninghamChain(new BigInteger("19"), PrimeBlockchain.CUNNINGHAM_CHAIN_2, 2);
+        assert.equal(chainLength, 2);
+      });
+
+      it("should have length 0 if the first number is not prime.", () => {
+        assert.equal(Prime.findCunninghamChain(composite2, PrimeBlockchain.CUNNINGHAM_CHAIN_1), 0);
+      });
+    });
+
+    describe('#fractionalLength', () => {
+      it("should be a fraction between 0 and 1.", () => {
+        let fraction = Prime.fractionalLength(composite3.add(Prime.BI_ONE));
+        assert(fraction >= 0 && fraction < 1);
+      });
+
+      it("should be the same for the same number.", () => {
+        assert.equal(Prime.fractionalLength(composite2), Prime.fractionalLength(new BigInteger("100")));
+      });
+    });
+
+    describe('#bitwinChainLength', () => {
+      it("should allow an extra prime when the first chain is longer.", () => {
+        assert.equal(Prime.bitwinChainLength(3.5, 2.25), 5.25);
+      });
+
+      it("should take the fraction of the first chain otherwise.", () => {
+        assert.equal(Prime.bitwinChainLength(2.5, 2.75), 4.5);
+        assert.equal(Prime.bitwinChainLength(2.5, 3.75), 4.5);
+      });
     });
 
     describe('#findPrimeChain', () => {